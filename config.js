@@ -14,9 +14,136 @@ module.exports = {
       speaker: process.env.SAVARAM_TTS_SPEAKER || 'anushka',
       language_code: process.env.SAVARAM_TTS_LANGUAGE || 'hi-IN',
     },
+    translate: {
+      url: process.env.SAVARAM_TRANSLATE_URL || 'https://api.sarvam.ai/translate',
+      apiKey: process.env.SAVARAM_TRANSLATE_KEY || process.env.SAVARAM_TTS_KEY,
+      model: process.env.SAVARAM_TRANSLATE_MODEL || 'mayura:v1',
+    },
+  },
+  providers: {
+    stt: process.env.STT_PROVIDER || 'sarvam',
+    tts: process.env.TTS_PROVIDER || 'sarvam',
+    translate: process.env.TRANSLATE_PROVIDER || 'sarvam',
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      sttModel: process.env.OPENAI_STT_MODEL || 'whisper-1',
+      ttsModel: process.env.OPENAI_TTS_MODEL || 'tts-1',
+      voice: process.env.OPENAI_TTS_VOICE || 'alloy',
+      translateModel: process.env.OPENAI_TRANSLATE_MODEL || 'gpt-4o-mini',
+    },
+    local: {
+      sttUrl: process.env.LOCAL_STT_URL || 'http://localhost:9000/inference',
+      ttsUrl: process.env.LOCAL_TTS_URL || 'http://localhost:5000',
+      voice: process.env.LOCAL_TTS_VOICE,
+      translateUrl: process.env.LOCAL_TRANSLATE_URL || 'http://localhost:7000/translate',
+    },
+  },
+  audio: {
+    silenceBetweenMs: parseInt(process.env.AUDIO_SILENCE_BETWEEN_MS, 10) || 0,
+    sttSegmentOverlapSeconds: parseFloat(process.env.STT_SEGMENT_OVERLAP_SECONDS) || 1,
+  },
+  tts: {
+    concurrency: parseInt(process.env.TTS_CONCURRENCY, 10) || 3,
+  },
+  segmentation: {
+    minChars: process.env.SENTENCE_MIN_CHARS !== undefined ? parseInt(process.env.SENTENCE_MIN_CHARS, 10) : 12,
+    maxChars: parseInt(process.env.SENTENCE_MAX_CHARS, 10) || 450,
+  },
+  textNormalization: {
+    enabled: process.env.TEXT_NORMALIZATION_ENABLED !== 'false',
+    expand: process.env.TEXT_NORMALIZATION_EXPAND !== 'false',
+    urls: process.env.TEXT_NORMALIZATION_URLS || 'domain',
+    abbreviationsFile: process.env.TEXT_NORMALIZATION_ABBREVIATIONS_FILE,
+  },
+  ttsCache: {
+    enabled: process.env.TTS_CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.TTS_CACHE_MAX_ENTRIES, 10) || 1000,
+    maxBytes: parseInt(process.env.TTS_CACHE_MAX_BYTES, 10) || 100 * 1024 * 1024,
+    ttlMs: parseInt(process.env.TTS_CACHE_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000,
+    dir: process.env.TTS_CACHE_DIR,
+    diskMaxEntries: parseInt(process.env.TTS_CACHE_DISK_MAX_ENTRIES, 10) || 10000,
+  },
+  resilience: {
+    retries: process.env.RETRY_MAX_RETRIES !== undefined ? parseInt(process.env.RETRY_MAX_RETRIES, 10) : 2,
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 300,
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 5000,
+    maxRetryAfterMs: parseInt(process.env.RETRY_MAX_RETRY_AFTER_MS, 10) || 30000,
+    breakerFailureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5,
+    breakerResetMs: parseInt(process.env.BREAKER_RESET_MS, 10) || 30000,
   },
   webhook: {
     url: process.env.WEBHOOK_URL,
+    format: process.env.WEBHOOK_FORMAT || 'auto',
+    textPath: process.env.WEBHOOK_TEXT_PATH,
+    bearerToken: process.env.WEBHOOK_BEARER_TOKEN,
+    headers: process.env.WEBHOOK_HEADERS,
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET,
+    payloadTemplate: process.env.WEBHOOK_PAYLOAD_TEMPLATE,
+    webhooksFile: process.env.WEBHOOKS_FILE,
+    defaultName: process.env.WEBHOOK_DEFAULT || 'default',
+    metadataMaxBytes: parseInt(process.env.WEBHOOK_METADATA_MAX_BYTES, 10) || 4096,
+  },
+  clips: {
+    dir: process.env.CLIPS_DIR,
+  },
+  sessions: {
+    store: process.env.SESSION_STORE || 'memory',
+    dir: process.env.SESSION_DIR || './data/sessions',
+    ttlMs: parseInt(process.env.SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    memoryMaxBytes: parseInt(process.env.SESSION_MEMORY_MAX_BYTES, 10) || 256 * 1024 * 1024,
+  },
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    ttlMs: parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000,
+    callbackSecret: process.env.JOB_CALLBACK_SECRET,
+    callbackAllowedHosts: (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '').split(',').map((h) => h.trim()).filter(Boolean),
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED, 10) || 20,
+  },
+  translation: {
+    enabled: process.env.TRANSLATION_ENABLED === 'true',
+    agentLanguage: process.env.TRANSLATION_AGENT_LANGUAGE || 'en-IN',
+  },
+  redaction: {
+    logs: process.env.REDACTION_LOGS !== 'false',
+    storage: process.env.REDACTION_STORAGE !== 'false',
+    webhook: process.env.REDACTION_WEBHOOK || 'off',
+    detectors: (process.env.REDACTION_DETECTORS || 'email,upi,card,aadhaar,phone,pan').split(',').map((d) => d.trim()).filter(Boolean),
+    patterns: process.env.REDACTION_PATTERNS,
+  },
+  pipeline: {
+    hooks: (process.env.PIPELINE_HOOKS || '').split(',').map((h) => h.trim()).filter(Boolean),
+  },
+  voice: {
+    energyThreshold: parseInt(process.env.VOICE_ENERGY_THRESHOLD, 10) || 500,
+    silenceMs: parseInt(process.env.VOICE_SILENCE_MS, 10) || 800,
+    minSpeechMs: parseInt(process.env.VOICE_MIN_SPEECH_MS, 10) || 200,
+    maxUtteranceMs: parseInt(process.env.VOICE_MAX_UTTERANCE_MS, 10) || 30000,
+    bargeIn: process.env.VOICE_BARGE_IN !== 'false',
+  },
+  auth: {
+    apiKeys: (process.env.API_KEYS || '').split(',').map((k) => k.trim()).filter(Boolean),
+    apiKeysFile: process.env.API_KEYS_FILE,
+    adminApiKey: process.env.ADMIN_API_KEY,
+    rateLimitPerMinute: process.env.RATE_LIMIT_PER_MINUTE ? parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) : 60,
+    monthlyAudioSeconds: parseInt(process.env.QUOTA_AUDIO_SECONDS, 10) || 0,
+    monthlyTtsCharacters: parseInt(process.env.QUOTA_TTS_CHARACTERS, 10) || 0,
+    usageFile: process.env.USAGE_FILE,
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json',
+  },
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN,
+  },
+  readiness: {
+    cacheMs: process.env.READY_CACHE_MS !== undefined ? parseInt(process.env.READY_CACHE_MS, 10) : 10000,
+    probeTimeoutMs: parseInt(process.env.READY_PROBE_TIMEOUT_MS, 10) || 3000,
+  },
+  cors: {
+    origins: (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean),
   },
   server: {
     port: process.env.PORT || 3000,
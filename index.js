@@ -1,6 +1,34 @@
 const express = require('express');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const config = require('./config');
+const logger = require('./services/logger');
+const { validateConfig } = require('./services/configValidation');
+
+const log = logger.createLogger('HTTP');
+const configLog = logger.createLogger('Config');
+
+// Fail fast on a broken configuration, before the services below load it
+const { errors: configErrors, warnings: configWarnings } = validateConfig(config);
+for (const warning of configWarnings) {
+  configLog.warn(warning);
+}
+if (configErrors.length > 0) {
+  for (const error of configErrors) {
+    configLog.error(error);
+  }
+  configLog.error('Not starting: invalid configuration', { errors: configErrors.length });
+  process.exit(1);
+}
+
 const apiRoutes = require('./routes/api');
+const adminRoutes = require('./routes/admin');
+const { VOICE_SOCKET_PATH, createVoiceSocketServer } = require('./routes/voiceSocket');
+const { TELEPHONY_SOCKET_PATH, createTelephonySocketServer } = require('./routes/telephonySocket');
+const { attachSocketServers } = require('./routes/sockets');
+const cors = require('./middleware/cors');
+const { authenticate, requireAdmin, requireMetricsToken } = require('./middleware/auth');
+const metrics = require('./services/metrics');
+const cancellation = require('./services/cancellation');
 
 const app = express();
 
@@ -11,14 +39,48 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files
 app.use(express.static('public'));
 
-// Request logging middleware
+// Request ID, request logging and HTTP metrics
+// Everything logged while handling the request carries its requestId. Clients
+// may pick it (a UUID in X-Request-Id) to cancel a request before its response
+// tells them the ID.
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+  const suppliedId = req.get('X-Request-Id');
+  req.requestId = suppliedId && isUuid(suppliedId) && !cancellation.find(suppliedId.toLowerCase())
+    ? suppliedId.toLowerCase()
+    : uuidv4();
+  res.setHeader('X-Request-Id', req.requestId);
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  // Routers rewrite req.path while handling the request
+  const path = req.path;
+
+  res.on('finish', () => {
+    // Label by route pattern, not path, to keep the number of series bounded
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = endTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    log.info('Request completed', {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+    });
+  });
+
+  logger.runWithContext({ requestId: req.requestId }, next);
 });
 
+// Prometheus metrics, outside the API key checks; METRICS_TOKEN restricts scraping
+// and is required in production
+if (config.metrics.enabled) {
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.status(200).type('text/plain; version=0.0.4').send(metrics.render());
+  });
+}
+
 // API Routes
-app.use('/api', apiRoutes);
+app.use('/api', cors);
+app.use('/api/admin', requireAdmin, adminRoutes);
+app.use('/api', authenticate, apiRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -27,14 +89,26 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /api/health',
+      ready: 'GET /api/ready',
       processRecording: 'POST /api/process-recording',
+      stt: 'POST /api/stt',
+      tts: 'POST /api/tts',
+      chat: 'POST /api/chat',
+      jobs: 'POST /api/jobs, GET /api/jobs/:id',
+      voice: 'WS /api/voice',
+      telephony: 'WS /api/telephony',
+      session: 'GET|DELETE /api/sessions/:id',
+      ttsCache: 'GET|DELETE /api/admin/tts-cache, POST /api/admin/tts-cache/prewarm',
+      circuitBreakers: 'GET /api/admin/circuit-breakers',
+      usage: 'GET /api/admin/usage',
+      metrics: 'GET /metrics',
     },
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  log.error('Unhandled error', { error: err, stack: err.stack });
   res.status(500).json({
     success: false,
     error: err.message || 'Internal server error',
@@ -51,13 +125,23 @@ app.use((req, res) => {
 
 // Start server
 const PORT = config.server.port;
-app.listen(PORT, () => {
-  console.log(`\n✓ Server is running on http://localhost:${PORT}`);
-  console.log(`✓ Environment: ${config.server.nodeEnv}`);
-  console.log(`✓ Savaram STT URL: ${config.savaram.stt.url}`);
-  console.log(`✓ Savaram TTS URL: ${config.savaram.tts.url}`);
-  console.log(`✓ Webhook URL: ${config.webhook.url}`);
-  console.log(`\nReady to process recordings...\n`);
+const server = app.listen(PORT, () => {
+  log.info('Server is running', {
+    url: `http://localhost:${PORT}`,
+    environment: config.server.nodeEnv,
+    sttUrl: config.savaram.stt.url,
+    ttsUrl: config.savaram.tts.url,
+    webhookUrl: config.webhook.url,
+    voiceSocket: `ws://localhost:${PORT}${VOICE_SOCKET_PATH}`,
+    telephonySocket: `ws://localhost:${PORT}${TELEPHONY_SOCKET_PATH}`,
+    metrics: config.metrics.enabled ? `http://localhost:${PORT}/metrics` : undefined,
+  });
+});
+
+// WebSocket voice sessions and phone calls share the HTTP server
+attachSocketServers(server, {
+  [VOICE_SOCKET_PATH]: createVoiceSocketServer(),
+  [TELEPHONY_SOCKET_PATH]: createTelephonySocketServer(),
 });
 
 module.exports = app;
@@ -0,0 +1,31 @@
+const audioInputService = require('../services/audioInputService');
+
+/**
+ * Express middleware: reject uploads that are not audio with 415
+ * Raw PCM with an out-of-range rate or channel count is rejected with 400.
+ * Must run after multer. Sets req.audioInfo (format, duration, sample rate,
+ * channels) for the route; requests without a file are left to the route.
+ */
+function validateAudio(req, res, next) {
+  if (!req.file) return next();
+
+  const pcmError = audioInputService.checkPcmParams(req.file.mimetype);
+  if (pcmError) {
+    return res.status(400).json({ success: false, error: pcmError });
+  }
+
+  const audioInfo = audioInputService.inspectAudio(req.file.buffer, req.file.mimetype);
+  if (!audioInfo) {
+    return res.status(415).json({
+      success: false,
+      error: 'Unsupported media type: upload must be WAV, MP3, OGG, FLAC, WebM, MP4/M4A, AMR, AAC or raw PCM (audio/L16)',
+    });
+  }
+
+  req.audioInfo = audioInfo;
+  next();
+}
+
+module.exports = {
+  validateAudio,
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const config = require('../config');
+const usageService = require('../services/usageService');
+
+// Reachable without an API key (load balancer probes)
+const PUBLIC_PATHS = ['/health', '/ready'];
+
+/**
+ * Read the API key a client presented
+ * Accepted as X-API-Key, "Authorization: Bearer <key>" or, only on WebSocket
+ * upgrades since browsers cannot set headers there, ?apiKey=. URLs end up in
+ * proxy access logs, so plain HTTP requests must use a header.
+ * @param {Object} req - Express or raw HTTP request
+ * @returns {string|undefined} - Presented key
+ */
+function getPresentedKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return header;
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket') return undefined;
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('apiKey') || undefined;
+}
+
+/**
+ * Whether a presented value equals a configured secret
+ * Compared in constant time, so response timing does not reveal the secret.
+ * @param {string} [presented] - Value as presented by the client
+ * @param {string} [secret] - Configured secret
+ * @returns {boolean}
+ */
+function matchesSecret(presented, secret) {
+  if (!presented || !secret) return false;
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(presented);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a presented key is ADMIN_API_KEY
+ * @param {string} [presented] - Key as presented by the client
+ * @returns {boolean}
+ */
+function isAdminKey(presented) {
+  return matchesSecret(presented, config.auth.adminApiKey);
+}
+
+/**
+ * Resolve and rate-limit the API key of a request
+ * @param {Object} req - Express or raw HTTP request
+ * @returns {{apiKey: Object|null, status?: number, error?: string, rateLimit?: Object}}
+ */
+function checkRequest(req) {
+  return checkApiKey(getPresentedKey(req));
+}
+
+/**
+ * Resolve and rate-limit a presented API key
+ * @param {string} [presented] - Key as presented by the client
+ * @returns {{apiKey: Object|null, status?: number, error?: string, rateLimit?: Object}}
+ */
+function checkApiKey(presented) {
+  if (!usageService.isAuthEnabled()) {
+    return { apiKey: null };
+  }
+
+  const apiKey = usageService.getApiKey(presented);
+  if (!apiKey) {
+    return { apiKey: null, status: 401, error: 'Invalid or missing API key' };
+  }
+
+  const rateLimit = usageService.checkRateLimit(apiKey);
+  if (!rateLimit.allowed) {
+    return { apiKey, rateLimit, status: 429, error: 'Rate limit exceeded' };
+  }
+
+  return { apiKey, rateLimit };
+}
+
+/**
+ * Whether a request presents a configured API key or ADMIN_API_KEY
+ * For public endpoints that tell known callers more; the key's rate limit is
+ * not applied. Always true while authentication is disabled.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isKnownCaller(req) {
+  if (!usageService.isAuthEnabled()) return true;
+  const presented = getPresentedKey(req);
+  return Boolean(presented && (usageService.getApiKey(presented) || isAdminKey(presented)));
+}
+
+/**
+ * Express middleware: require a valid API key and apply its rate limit
+ * Sets req.apiKey (null when authentication is disabled).
+ */
+function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const result = checkRequest(req);
+  req.apiKey = result.apiKey;
+
+  if (result.rateLimit && result.rateLimit.limit > 0) {
+    res.setHeader('X-RateLimit-Limit', result.rateLimit.limit);
+    res.setHeader('X-RateLimit-Remaining', result.rateLimit.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(result.rateLimit.resetMs / 1000));
+  }
+
+  if (result.status) {
+    if (result.status === 429) {
+      res.setHeader('Retry-After', Math.ceil(result.rateLimit.resetMs / 1000));
+    }
+    return res.status(result.status).json({
+      success: false,
+      error: result.error,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware factory: reject with 429 once a monthly quota is used up
+ * @param {string} kind - 'audioSeconds' or 'ttsCharacters'
+ * @returns {Function} - Middleware
+ */
+function requireQuota(kind) {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const quota = usageService.checkQuota(req.apiKey, kind);
+    if (!quota.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: `Monthly ${kind} quota exceeded`,
+        used: quota.used,
+        limit: quota.limit,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware: check and record the audio-seconds quota of an upload
+ * The audio is recorded (for metrics) even when authentication is disabled.
+ * Must run after multer (and validateAudio, whose exact duration it prefers).
+ */
+function meterAudio(req, res, next) {
+  if (!req.file) return next();
+
+  if (req.apiKey) {
+    const quota = usageService.checkQuota(req.apiKey, 'audioSeconds');
+    if (!quota.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: 'Monthly audioSeconds quota exceeded',
+        used: quota.used,
+        limit: quota.limit,
+      });
+    }
+  }
+
+  const audioSeconds = req.audioInfo && req.audioInfo.durationSeconds !== null
+    ? req.audioInfo.durationSeconds
+    : usageService.estimateAudioSeconds(req.file.buffer);
+  usageService.recordUsage(req.apiKey, { audioSeconds });
+  next();
+}
+
+/**
+ * Express middleware: require ADMIN_API_KEY for admin endpoints
+ * Admin endpoints stay open only while no API keys are configured at all.
+ */
+function requireAdmin(req, res, next) {
+  if (!config.auth.adminApiKey) {
+    if (!usageService.isAuthEnabled()) return next();
+    return res.status(403).json({
+      success: false,
+      error: 'Admin endpoints are disabled: ADMIN_API_KEY is not configured',
+    });
+  }
+
+  if (!isAdminKey(getPresentedKey(req))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin API key',
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware: require "Authorization: Bearer <METRICS_TOKEN>" when a token is set
+ */
+function requireMetricsToken(req, res, next) {
+  if (!config.metrics.token) return next();
+
+  const authorization = req.headers.authorization || '';
+  const presented = authorization.startsWith('Bearer ') ? authorization.slice(7) : undefined;
+  if (!matchesSecret(presented, config.metrics.token)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid metrics token',
+    });
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireQuota,
+  meterAudio,
+  requireAdmin,
+  requireMetricsToken,
+  checkRequest,
+  checkApiKey,
+  isKnownCaller,
+};
@@ -0,0 +1,27 @@
+const config = require('../config');
+
+/**
+ * CORS with a configurable allow-list (CORS_ORIGINS, comma-separated)
+ * Origins not on the list get no CORS headers, so browsers block the
+ * response. Use "*" to allow any origin.
+ */
+function cors(req, res, next) {
+  const origin = req.headers.origin;
+  const allowed = config.cors.origins;
+
+  if (origin && (allowed.includes('*') || allowed.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Session-Id, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, X-Request-Id');
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  next();
+}
+
+module.exports = cors;
@@ -0,0 +1,206 @@
+const express = require('express');
+const config = require('../config');
+const ttsService = require('../services/ttsService');
+const ttsCache = require('../services/ttsCache');
+const resilience = require('../services/resilience');
+const usageService = require('../services/usageService');
+const redaction = require('../services/redaction');
+const logger = require('../services/logger');
+
+const router = express.Router();
+const log = logger.createLogger('Admin');
+
+/**
+ * Build TTS options from an admin request body
+ * Voice controls are part of the cache key, so they must match the requests
+ * whose audio is being prewarmed or purged.
+ * @param {Object} body - Request body
+ * @returns {{options: Object, error: string|null}} - See ttsService.parseVoiceOptions
+ */
+function ttsOptionsFromBody(body) {
+  return ttsService.parseVoiceOptions({
+    ttsProvider: body.ttsProvider,
+    speaker: body.speaker,
+    language: body.language,
+    pace: body.pace,
+    pitch: body.pitch,
+    loudness: body.loudness,
+    sampleRate: body.sampleRate,
+  });
+}
+
+/**
+ * Check the texts of a prewarm or purge request
+ * @param {*} texts - Value of the `texts` field
+ * @returns {string|null} - Error message, or null if every item is a non-empty string
+ */
+function validateTexts(texts) {
+  if (!Array.isArray(texts) || texts.length === 0) {
+    return 'texts must be a non-empty array';
+  }
+  if (!texts.every((text) => typeof text === 'string' && text.trim() !== '')) {
+    return 'texts must contain only non-empty strings';
+  }
+  return null;
+}
+
+/**
+ * GET /admin/tts-cache
+ * TTS cache hit/miss statistics
+ */
+router.get('/tts-cache', (req, res) => {
+  res.status(200).json({
+    success: true,
+    stats: ttsCache.getStats(),
+  });
+});
+
+/**
+ * POST /admin/tts-cache/prewarm
+ * Synthesize and cache prompts ahead of time
+ * Body: { texts: [...], speaker?, language?, pace?, pitch?, loudness?, sampleRate?, ttsProvider? }
+ */
+router.post('/tts-cache/prewarm', async (req, res) => {
+  // Without a cache this would only pay for audio that is thrown away
+  if (!config.ttsCache.enabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'TTS cache is disabled (TTS_CACHE_ENABLED=false)',
+    });
+  }
+
+  const texts = req.body.texts;
+  const textsError = validateTexts(texts);
+  if (textsError) {
+    return res.status(400).json({
+      success: false,
+      error: textsError,
+    });
+  }
+
+  const { options: ttsOptions, error: ttsOptionsError } = ttsOptionsFromBody(req.body);
+  if (ttsOptionsError) {
+    return res.status(400).json({
+      success: false,
+      error: ttsOptionsError,
+    });
+  }
+
+  const results = [];
+
+  for (const text of texts) {
+    try {
+      await ttsService.convertTextToSpeech(text, ttsOptions);
+      results.push({ text, success: true });
+    } catch (error) {
+      results.push({ text, success: false, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: results.every((r) => r.success),
+    results: results,
+    stats: ttsCache.getStats(),
+  });
+});
+
+/**
+ * DELETE /admin/tts-cache
+ * Purge the whole cache, or only the given texts
+ * Body (optional): { texts: [...], plus the same voice options as prewarm }
+ */
+router.delete('/tts-cache', async (req, res) => {
+  try {
+    let purged = 0;
+
+    if (Array.isArray(req.body.texts) && req.body.texts.length > 0) {
+      const textsError = validateTexts(req.body.texts);
+      if (textsError) {
+        return res.status(400).json({
+          success: false,
+          error: textsError,
+        });
+      }
+      const { options: ttsOptions, error: ttsOptionsError } = ttsOptionsFromBody(req.body);
+      if (ttsOptionsError) {
+        return res.status(400).json({
+          success: false,
+          error: ttsOptionsError,
+        });
+      }
+      for (const text of req.body.texts) {
+        purged += await ttsCache.purge(ttsService.getCacheKey(text, ttsOptions));
+      }
+    } else {
+      purged = await ttsCache.purge();
+    }
+
+    res.status(200).json({
+      success: true,
+      purged: purged,
+      stats: ttsCache.getStats(),
+    });
+  } catch (error) {
+    log.error('Error purging cache', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /admin/circuit-breakers
+ * State of the per-upstream circuit breakers
+ */
+router.get('/circuit-breakers', (req, res) => {
+  const breakers = resilience.getBreakerStates();
+  res.status(200).json({
+    success: true,
+    allClosed: breakers.every((b) => b.state === 'closed'),
+    breakers: breakers,
+  });
+});
+
+/**
+ * GET /admin/usage
+ * Current month's usage and limits per API key
+ */
+router.get('/usage', (req, res) => {
+  res.status(200).json({
+    success: true,
+    authEnabled: usageService.isAuthEnabled(),
+    keys: usageService.getUsageReport(),
+  });
+});
+
+/**
+ * POST /admin/redaction/detokenize
+ * Original values of the tokens the webhook received (REDACTION_WEBHOOK=tokenize),
+ * for an agent that needs them, e.g. to look up the caller's account
+ * Body: { sessionId, text }
+ */
+router.post('/redaction/detokenize', (req, res) => {
+  const { sessionId, text } = req.body;
+  if (typeof sessionId !== 'string' || typeof text !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'sessionId and text are required',
+    });
+  }
+
+  if (!redaction.hasTokens(sessionId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'No tokens issued for this session',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    sessionId: sessionId,
+    text: redaction.detokenize(sessionId, text),
+  });
+});
+
+module.exports = router;
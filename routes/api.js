@@ -1,11 +1,25 @@
 const express = require('express');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
 const sttService = require('../services/sttService');
-const webhookService = require('../services/webhookService');
 const ttsService = require('../services/ttsService');
+const sessionStore = require('../services/sessionStore');
+const usageService = require('../services/usageService');
+const jobQueue = require('../services/jobQueue');
+const outboundGuard = require('../services/outboundGuard');
+const wavService = require('../services/wavService');
+const pipeline = require('../services/pipeline');
+const redaction = require('../services/redaction');
+const readinessService = require('../services/readinessService');
+const cancellation = require('../services/cancellation');
+const logger = require('../services/logger');
+const { requireQuota, meterAudio, isKnownCaller } = require('../middleware/auth');
+const { validateAudio } = require('../middleware/audio');
+const pipelineOptions = require('./pipelineOptions');
 
 const router = express.Router();
+const log = logger.createLogger('API');
+const sessionLog = logger.createLogger('Session');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -14,22 +28,116 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
 });
+// multer calls next() from stream events, outside the request's log context
+const uploadAudio = logger.preserveContext(upload.single('audio'));
+
+/**
+ * Name of the API key a request was made with, null without authentication
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function keyName(req) {
+  return req.apiKey ? req.apiKey.name : null;
+}
+
+/**
+ * Resolve the conversation session for a request
+ * Clients continue a conversation by passing `sessionId` (query, body or
+ * X-Session-Id header); otherwise a new session is issued.
+ * @param {Object} req - Express request
+ * @returns {Promise<{sessionId: string|null, status?: number, error?: string}>} -
+ *   See pipelineOptions.resolveSession
+ */
+function resolveSession(req) {
+  const supplied = req.query.sessionId || (req.body && req.body.sessionId) || req.get('X-Session-Id');
+  return pipelineOptions.resolveSession(supplied, keyName(req));
+}
+
+/**
+ * Make a request's pipeline cancellable
+ * It is cancelled when the client disconnects before the response is complete
+ * or calls POST /requests/:id/cancel.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} - Pass to the STT, webhook and TTS calls
+ */
+function trackRequest(req, res) {
+  const tracked = cancellation.track(req.requestId, { owner: keyName(req), kind: 'http' });
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      tracked.cancel('Client disconnected');
+    }
+    tracked.release();
+  });
+  return tracked.signal;
+}
+
+/**
+ * Log a failed pipeline run
+ * @param {Error} error - Error it failed with
+ * @param {string} message - Log message for a failure
+ * @returns {string} - Outcome: 'cancelled' or 'error'
+ */
+function logFailure(error, message) {
+  if (cancellation.isCancelled(error)) {
+    log.info('Request cancelled', { reason: error.message });
+    return 'cancelled';
+  }
+  log.error(message, { error });
+  return 'error';
+}
+
+/**
+ * Read the STT parameters of a request (query string or body)
+ * @param {Object} req - Express request
+ * @returns {{options: Object, error: string|null}} - See sttService.parseSttOptions
+ */
+function parseSttOptions(req) {
+  const param = pipelineOptions.requestParam(req);
+  return sttService.parseSttOptions({
+    language: param('language'),
+    model: param('sttModel'),
+    sttProvider: param('sttProvider'),
+  });
+}
+
+/**
+ * Read the TTS voice parameters of a /tts request (query string or body)
+ * With no STT around it, the TTS language is plain `language`.
+ * @param {Object} req - Express request
+ * @returns {{options: Object, error: string|null}} - See ttsService.parseVoiceOptions
+ */
+function parseTtsOptions(req) {
+  const param = pipelineOptions.requestParam(req);
+  return ttsService.parseVoiceOptions({
+    ttsProvider: param('ttsProvider'),
+    speaker: param('speaker'),
+    language: param('language'),
+    pace: param('pace'),
+    pitch: param('pitch'),
+    loudness: param('loudness'),
+    sampleRate: param('sampleRate'),
+  });
+}
 
 /**
  * POST /process-recording-stream
  * Streaming endpoint - sends results progressively as they're ready
  * Uses Server-Sent Events (SSE) to stream responses
  */
-router.post('/process-recording-stream', upload.single('audio'), async (req, res) => {
-  const requestId = uuidv4();
+router.post('/process-recording-stream', requireQuota('ttsCharacters'), uploadAudio, validateAudio, meterAudio, async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
   
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
 
   const sendEvent = (type, data) => {
+    // The response may already be closed if the pipeline failed mid-stream
+    // or the client went away
+    if (res.writableEnded || res.destroyed) return;
     res.write(`event: ${type}\n`);
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
@@ -45,132 +153,138 @@ router.post('/process-recording-stream', upload.single('audio'), async (req, res
       return;
     }
 
+    const { sessionId, error: sessionError } = await resolveSession(req);
+    if (!sessionId) {
+      sendEvent('error', {
+        success: false,
+        error: sessionError,
+      });
+      res.end();
+      return;
+    }
+
     sendEvent('start', {
       requestId: requestId,
+      sessionId: sessionId,
       message: 'Processing started',
       timestamp: new Date().toISOString(),
     });
 
-    console.log(`\n[${requestId}] Starting recording processing (STREAMING)...`);
-    console.log(`[${requestId}] Received file: ${req.file.originalname} (${req.file.size} bytes)`);
-
-    // Extract optional parameters
-    const sttOptions = {
-      language_code: req.query.language || req.body.language,
-      model: req.query.sttModel || req.body.sttModel,
-    };
-
-    // Remove undefined options
-    Object.keys(sttOptions).forEach(key => sttOptions[key] === undefined && delete sttOptions[key]);
-
-    // Step 1: Convert audio to text using STT
-    console.log(`[${requestId}] Step 1: Converting audio to text using STT...`);
-    sendEvent('stt_start', {
-      message: 'Converting audio to text...',
-    });
-
-    const sttText = await sttService.convertAudioToText(
-      req.file.buffer,
-      req.file.mimetype || 'audio/wav',
-      sttOptions
-    );
-    console.log(`[${requestId}] STT Result: "${sttText}"`);
-
-    sendEvent('stt_complete', {
-      sttText: sttText,
-      sttOptions: sttOptions,
-    });
-
-    // Step 2: Call webhook with streaming response
-    console.log(`[${requestId}] Step 2: Calling webhook with streaming response...`);
-    sendEvent('webhook_start', {
-      message: 'Calling webhook...',
-    });
-
-    const webhookResponses = await webhookService.callWebhookStream(sttText, requestId);
-    console.log(`[${requestId}] Webhook returned ${webhookResponses.length} responses`);
+    log.info('Starting recording processing', { streaming: true });
+    log.info('Received file', { file: req.file.originalname, bytes: req.file.size });
 
-    sendEvent('webhook_complete', {
-      webhookResponseCount: webhookResponses.length,
-    });
-
-    // Step 3: Process webhook responses - accumulate content chunks into complete text
-    console.log(`[${requestId}] Step 3: Accumulating webhook responses into complete text...`);
-    
-    // Extract only 'item' type responses and accumulate content
-    let accumulatedText = '';
-    for (const webhookResponse of webhookResponses) {
-      const content = webhookService.extractTextFromResponse(webhookResponse);
-      if (content) {
-        accumulatedText += content;
-      }
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions(pipelineOptions.requestParam(req));
+    if (optionsError) {
+      sendEvent('error', {
+        requestId: requestId,
+        success: false,
+        error: optionsError,
+      });
+      res.end();
+      return;
     }
+    const { sttOptions, ttsOptions, webhookOptions, translation } = options;
 
-    console.log(`[${requestId}] Accumulated text: "${accumulatedText}"`);
-
-    // Split accumulated text into sentences for TTS conversion
-    const sentences = webhookService.splitIntoSentences(accumulatedText);
-    console.log(`[${requestId}] Split into ${sentences.length} sentence(s) for TTS conversion`);
-
-    sendEvent('tts_start', {
-      message: 'Converting text to speech...',
-      totalSentences: sentences.length,
-      accumulatedText: accumulatedText,
-    });
-
-    // Convert each sentence to speech and stream immediately
+    let queuedCount = 0;
     let successCount = 0;
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i];
-      
-      // Skip very short sentences (single punctuation, etc.)
-      if (sentence.trim().length < 2) {
-        console.log(`[${requestId}] Skipping short sentence: "${sentence}"`);
-        continue;
-      }
+    let ttsStarted = false;
 
-      try {
-        console.log(`[${requestId}] Converting sentence ${i + 1}/${sentences.length}: "${sentence}"`);
-        const ttsBase64 = await ttsService.convertTextToSpeech(sentence);
-
-        successCount++;
-
-        // Send result immediately as it's ready
-        sendEvent('tts_result', {
-          sentenceIndex: successCount,
-          sentence: sentence,
-          ttsBase64: ttsBase64.substring(0, 100) + '...', // Truncate for preview
-          fullTtsBase64: ttsBase64, // Full data
-          progress: `${successCount}/${sentences.length}`,
-        });
-
-        console.log(`[${requestId}] Streamed sentence ${successCount}/${sentences.length}`);
-      } catch (error) {
-        console.error(`[${requestId}] Error converting sentence ${i + 1}:`, error.message);
-        sendEvent('tts_error', {
-          sentenceIndex: i + 1,
-          sentence: sentence,
-          error: error.message,
-        });
-      }
-    }
+    // Each stage is announced to the client as it starts
+    const stageEvents = {
+      stt: ['stt_start', 'Converting audio to text...'],
+      translate: ['translate_start', 'Translating transcript...'],
+      webhook: ['webhook_start', 'Calling webhook...'],
+    };
 
-    console.log(`[${requestId}] Processing complete. Streamed ${successCount} TTS audio files`);
+    const reply = await pipeline.runPipeline(
+      { audio: req.file.buffer, mimeType: req.file.mimetype },
+      { pipeline: 'stream', requestId, sessionId, sttOptions, ttsOptions, webhookOptions, translation, apiKey: req.apiKey, signal },
+      {
+        stage: (name, fn) => {
+          if (stageEvents[name]) {
+            const [type, message] = stageEvents[name];
+            sendEvent(type, { message });
+          }
+          return fn();
+        },
+        onTranscript: ({ text, language, translation: sttTranslation, ttsOptions: replyTtsOptions }) => {
+          sendEvent('stt_complete', {
+            sttText: text,
+            sttLanguage: language,
+            sttTranslation: sttTranslation,
+            sttOptions: sttOptions,
+            ttsOptions: replyTtsOptions,
+            audio: req.audioInfo,
+          });
+        },
+        onQueued: ({ index, sentence, clip }) => {
+          queuedCount = index;
+          if (!ttsStarted) {
+            ttsStarted = true;
+            sendEvent('tts_start', {
+              message: 'Converting text to speech...',
+            });
+          }
+          log.info('Queueing sentence', { sentenceIndex: index, clip, text: sentence });
+        },
+        onSkipped: (sentence) => {
+          log.debug('Skipping unspoken sentence', { text: sentence });
+        },
+        onResult: ({ index, sentence, translation: sentenceTranslation = null, spokenText, clip, ttsBase64 }) => {
+          successCount++;
+
+          // Send result as soon as it and every earlier sentence are ready
+          sendEvent('tts_result', {
+            sentenceIndex: index,
+            sentence: sentence,
+            translation: sentenceTranslation,
+            spokenText: spokenText,
+            clip: clip,
+            ttsBase64: ttsBase64.substring(0, 100) + '...', // Truncate for preview
+            fullTtsBase64: ttsBase64, // Full data
+            progress: `${successCount}/${queuedCount}`,
+          });
+
+          log.debug('Streamed sentence', { sentenceIndex: index });
+        },
+        onError: (error, { index, sentence, clip }) => {
+          sendEvent('tts_error', {
+            sentenceIndex: index,
+            sentence: sentence,
+            clip: clip,
+            error: error.message,
+          });
+        },
+        onDirective: (directive) => {
+          sendEvent('directive', directive);
+        },
+        onWebhookComplete: ({ webhookResponses, accumulatedText, sentenceCount, directives }) => {
+          sendEvent('webhook_complete', {
+            webhookResponseCount: webhookResponses.length,
+            totalSentences: sentenceCount,
+            accumulatedText: accumulatedText,
+            directives: directives,
+          });
+        },
+      }
+    );
 
     sendEvent('complete', {
       requestId: requestId,
+      sessionId: sessionId,
       success: true,
-      totalSentences: sentences.length,
+      totalSentences: queuedCount,
       successCount: successCount,
+      replyTranslation: reply.replyTranslation,
       message: 'Processing complete',
       timestamp: new Date().toISOString(),
     });
 
     res.end();
   } catch (error) {
-    console.error(`[${requestId}] Error processing recording:`, error.message);
+    const outcome = logFailure(error, 'Error processing recording');
 
-    sendEvent('error', {
+    sendEvent(outcome === 'cancelled' ? 'cancelled' : 'error', {
       requestId: requestId,
       success: false,
       error: error.message,
@@ -184,8 +298,9 @@ router.post('/process-recording-stream', upload.single('audio'), async (req, res
  * POST /process-recording
  * Standard endpoint - returns all results after complete processing
  */
-router.post('/process-recording', upload.single('audio'), async (req, res) => {
-  const requestId = uuidv4();
+router.post('/process-recording', requireQuota('ttsCharacters'), uploadAudio, validateAudio, meterAudio, async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
   
   try {
     // Validate file upload
@@ -196,92 +311,61 @@ router.post('/process-recording', upload.single('audio'), async (req, res) => {
       });
     }
 
-    console.log(`\n[${requestId}] Starting recording processing...`);
-    console.log(`[${requestId}] Received file: ${req.file.originalname} (${req.file.size} bytes)`);
-
-    // Extract optional parameters
-    const sttOptions = {
-      language_code: req.query.language || req.body.language,
-      model: req.query.sttModel || req.body.sttModel,
-    };
-
-    // Remove undefined options
-    Object.keys(sttOptions).forEach(key => sttOptions[key] === undefined && delete sttOptions[key]);
-
-    // Step 1: Convert audio to text using STT
-    console.log(`[${requestId}] Step 1: Converting audio to text using STT...`);
-    const sttText = await sttService.convertAudioToText(
-      req.file.buffer,
-      req.file.mimetype || 'audio/wav',
-      sttOptions
-    );
-    console.log(`[${requestId}] STT Result: "${sttText}"`);
-
-    // Step 2: Call webhook with streaming response
-    console.log(`[${requestId}] Step 2: Calling webhook with streaming response...`);
-    const webhookResponses = await webhookService.callWebhookStream(sttText, requestId);
-    console.log(`[${requestId}] Webhook returned ${webhookResponses.length} responses`);
-
-    // Step 3: Process webhook responses - accumulate content chunks into complete text
-    console.log(`[${requestId}] Step 3: Accumulating webhook responses into complete text...`);
-    
-    // Extract only 'item' type responses and accumulate content
-    let accumulatedText = '';
-    for (const webhookResponse of webhookResponses) {
-      const content = webhookService.extractTextFromResponse(webhookResponse);
-      if (content) {
-        accumulatedText += content;
-      }
+    const { sessionId, status: sessionStatus, error: sessionError } = await resolveSession(req);
+    if (!sessionId) {
+      return res.status(sessionStatus).json({
+        success: false,
+        error: sessionError,
+      });
     }
 
-    console.log(`[${requestId}] Accumulated text: "${accumulatedText}"`);
-
-    // Split accumulated text into sentences for TTS conversion
-    const sentences = webhookService.splitIntoSentences(accumulatedText);
-    console.log(`[${requestId}] Split into ${sentences.length} sentence(s) for TTS conversion`);
-
-    // Convert each sentence to speech
-    const results = [];
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i];
-      
-      // Skip very short sentences (single punctuation, etc.)
-      if (sentence.trim().length < 2) {
-        console.log(`[${requestId}] Skipping short sentence: "${sentence}"`);
-        continue;
-      }
-
-      console.log(`[${requestId}] Converting sentence ${i + 1}/${sentences.length}: "${sentence}"`);
-      const ttsBase64 = await ttsService.convertTextToSpeech(sentence);
+    log.info('Starting recording processing');
+    log.info('Received file', { file: req.file.originalname, bytes: req.file.size });
 
-      results.push({
-        sentenceIndex: results.length + 1,
-        sentence: sentence,
-        ttsBase64: ttsBase64,
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions(pipelineOptions.requestParam(req));
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
       });
     }
+    const { sttOptions, ttsOptions, webhookOptions, translation } = options;
 
-    console.log(`[${requestId}] Processing complete. Generated ${results.length} TTS audio files from accumulated text`);
+    // Sentences are synthesized while the webhook is still streaming; results come back in reply order
+    const reply = await pipeline.runPipeline(
+      { audio: req.file.buffer, mimeType: req.file.mimetype },
+      { pipeline: 'recording', requestId, sessionId, sttOptions, ttsOptions, webhookOptions, translation, apiKey: req.apiKey, signal, failOnTtsError: true }
+    );
+    const { results } = reply;
 
     res.status(200).json({
       success: true,
       requestId: requestId,
-      sttText: sttText,
+      sessionId: sessionId,
+      sttText: reply.transcript,
+      sttLanguage: reply.language,
+      sttTranslation: reply.transcriptTranslation,
       sttOptions: sttOptions,
-      webhookResponseCount: webhookResponses.length,
-      accumulatedText: accumulatedText,
+      ttsOptions: reply.ttsOptions,
+      audio: req.audioInfo,
+      webhookResponseCount: reply.webhookResponses.length,
+      accumulatedText: reply.accumulatedText,
+      replyTranslation: reply.replyTranslation,
       ttsResponseCount: results.length,
+      directives: reply.directives,
       results: results.map((r) => ({
         sentenceIndex: r.sentenceIndex,
         sentence: r.sentence,
+        translation: r.translation,
+        clip: r.clip,
         ttsBase64: r.ttsBase64.substring(0, 100) + '...', // Truncate for response preview
       })),
       fullResults: results, // Include full data
     });
   } catch (error) {
-    console.error(`[${requestId}] Error processing recording:`, error.message);
+    const outcome = logFailure(error, 'Error processing recording');
 
-    res.status(500).json({
+    res.status(outcome === 'cancelled' ? 499 : 500).json({
       success: false,
       requestId: requestId,
       error: error.message,
@@ -294,8 +378,9 @@ router.post('/process-recording', upload.single('audio'), async (req, res) => {
  * Returns only base64 audio(s) from the complete pipeline
  * Response format: { audios: [base64_1, base64_2, ...] } or single audio as base64
  */
-router.post('/process-recording-audio', upload.single('audio'), async (req, res) => {
-  const requestId = uuidv4();
+router.post('/process-recording-audio', requireQuota('ttsCharacters'), uploadAudio, validateAudio, meterAudio, async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
   
   try {
     // Validate file upload
@@ -306,145 +391,501 @@ router.post('/process-recording-audio', upload.single('audio'), async (req, res)
       });
     }
 
-    console.log(`\n[${requestId}] Starting audio-only processing...`);
-    console.log(`[${requestId}] Received file: ${req.file.originalname} (${req.file.size} bytes)`);
+    const { sessionId, status: sessionStatus, error: sessionError } = await resolveSession(req);
+    if (!sessionId) {
+      return res.status(sessionStatus).json({
+        success: false,
+        error: sessionError,
+      });
+    }
 
-    // Extract optional parameters
-    const sttOptions = {
-      language_code: req.query.language || req.body.language,
-      model: req.query.sttModel || req.body.sttModel,
-    };
+    log.info('Starting audio-only processing');
+    log.info('Received file', { file: req.file.originalname, bytes: req.file.size });
+
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions(pipelineOptions.requestParam(req));
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
+      });
+    }
+    const { sttOptions, ttsOptions, webhookOptions, translation } = options;
+
+    const { results, directives } = await pipeline.runPipeline(
+      { audio: req.file.buffer, mimeType: req.file.mimetype },
+      { pipeline: 'recording_audio', requestId, sessionId, sttOptions, ttsOptions, webhookOptions, translation, apiKey: req.apiKey, signal, failOnTtsError: true }
+    );
+
+    // Convert base64 to binary data
+    const audioBuffers = results.map((r) => Buffer.from(r.ttsBase64, 'base64'));
+
+    log.info('Processing complete', { audioFiles: audioBuffers.length });
+
+    // Combine the sentence WAVs into one file, converting any mismatched formats
+    const combined = wavService.concatWavs(audioBuffers);
+    log.info('Combined audio', { durationMs: combined.durationMs, sampleRate: combined.format.sampleRate });
+
+    const completeBase64 = combined.wav.toString('base64');
+
+    res.status(200).json({
+      success: true,
+      requestId: requestId,
+      sessionId: sessionId,
+      count: audioBuffers.length,
+      directives: directives,
+      ttsBase64: completeBase64,
+    });
+
+  } catch (error) {
+    const outcome = logFailure(error, 'Error processing recording');
+
+    res.status(outcome === 'cancelled' ? 499 : 500).json({
+      success: false,
+      requestId: requestId,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /stt
+ * Speech-to-text only - returns the transcript of an uploaded recording
+ */
+router.post('/stt', uploadAudio, validateAudio, meterAudio, async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
+
+  try {
+    // Validate file upload
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No audio file provided',
+      });
+    }
 
-    // Remove undefined options
-    Object.keys(sttOptions).forEach(key => sttOptions[key] === undefined && delete sttOptions[key]);
+    log.info('Starting STT-only processing');
+    log.info('Received file', { file: req.file.originalname, bytes: req.file.size });
 
-    // Step 1: Convert audio to text using STT
-    console.log(`[${requestId}] Step 1: Converting audio to text using STT...`);
-    const sttText = await sttService.convertAudioToText(
+    const { options: sttOptions, error: sttOptionsError } = parseSttOptions(req);
+    if (sttOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: sttOptionsError,
+      });
+    }
+
+    const { text: sttText, language: sttLanguage } = await sttService.transcribeAudio(
       req.file.buffer,
       req.file.mimetype || 'audio/wav',
-      sttOptions
+      { ...sttOptions, signal }
     );
-    console.log(`[${requestId}] STT Result: "${sttText}"`);
-
-    // Step 2: Call webhook with streaming response
-    console.log(`[${requestId}] Step 2: Calling webhook with streaming response...`);
-    const webhookResponses = await webhookService.callWebhookStream(sttText, requestId);
-    console.log(`[${requestId}] Webhook returned ${webhookResponses.length} responses`);
-
-    // Step 3: Process webhook responses - accumulate content chunks into complete text
-    console.log(`[${requestId}] Step 3: Accumulating webhook responses into complete text...`);
-    
-    // Extract only 'item' type responses and accumulate content
-    let accumulatedText = '';
-    for (const webhookResponse of webhookResponses) {
-      const content = webhookService.extractTextFromResponse(webhookResponse);
-      if (content) {
-        accumulatedText += content;
-      }
+    log.info('STT result', { text: sttText });
+
+    res.status(200).json({
+      success: true,
+      requestId: requestId,
+      sttText: sttText,
+      sttLanguage: sttLanguage,
+      sttOptions: sttOptions,
+      audio: req.audioInfo,
+    });
+  } catch (error) {
+    const outcome = logFailure(error, 'Error converting audio to text');
+
+    res.status(outcome === 'cancelled' ? 499 : 500).json({
+      success: false,
+      requestId: requestId,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /tts
+ * Text-to-speech only - converts the given text to base64 audio
+ * Body: { text, speaker?, language?, pace?, pitch?, loudness?, sampleRate? }
+ */
+router.post('/tts', requireQuota('ttsCharacters'), async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
+  const text = req.body.text;
+
+  try {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No text provided',
+      });
     }
 
-    console.log(`[${requestId}] Accumulated text: "${accumulatedText}"`);
-
-    // Split accumulated text into sentences for TTS conversion
-    const sentences = webhookService.splitIntoSentences(accumulatedText);
-    console.log(`[${requestId}] Split into ${sentences.length} sentence(s) for TTS conversion`);
-
-    // Convert each sentence to speech and collect binary data
-    const audioBuffers = [];
-    let totalAudioSize = 0;
-    
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i];
-      
-      // Skip very short sentences (single punctuation, etc.)
-      if (sentence.trim().length < 2) {
-        console.log(`[${requestId}] Skipping short sentence: "${sentence}"`);
-        continue;
-      }
+    log.info('Starting TTS-only processing');
 
-      console.log(`[${requestId}] Converting sentence ${i + 1}/${sentences.length}: "${sentence}"`);
-      const ttsBase64 = await ttsService.convertTextToSpeech(sentence);
-      
-      // Convert base64 to buffer
-      const buffer = Buffer.from(ttsBase64, 'base64');
-      audioBuffers.push(buffer);
-      totalAudioSize += buffer.length;
+    // Extract optional parameters
+    const { options: ttsOptions, error: ttsOptionsError } = parseTtsOptions(req);
+    if (ttsOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: ttsOptionsError,
+      });
     }
 
-    console.log(`[${requestId}] Processing complete. Generated ${audioBuffers.length} audio files`);
-
-    // Extract audio data from each WAV file and recombine with proper header
-    let combinedAudioData = Buffer.alloc(0);
-    
-    for (const buffer of audioBuffers) {
-      // Find the "data" chunk in WAV file
-      let dataChunkStart = -1;
-      let dataChunkSize = 0;
-      
-      for (let i = 0; i < buffer.length - 8; i++) {
-        // Look for "data" chunk identifier (0x64617461)
-        if (buffer[i] === 0x64 && buffer[i+1] === 0x61 && buffer[i+2] === 0x74 && buffer[i+3] === 0x61) {
-          dataChunkStart = i + 8; // Skip "data" and size fields
-          // Read the size of data chunk (little-endian 32-bit)
-          dataChunkSize = buffer.readUInt32LE(i + 4);
-          break;
-        }
-      }
-      
-      if (dataChunkStart !== -1 && dataChunkSize > 0) {
-        const audioData = buffer.slice(dataChunkStart, dataChunkStart + dataChunkSize);
-        combinedAudioData = Buffer.concat([combinedAudioData, audioData]);
-      }
+    const ttsBase64 = await ttsService.convertTextToSpeech(text, { ...ttsOptions, signal });
+    usageService.recordUsage(req.apiKey, { ttsCharacters: text.length });
+
+    res.status(200).json({
+      success: true,
+      requestId: requestId,
+      text: text,
+      ttsOptions: ttsOptions,
+      ttsBase64: ttsBase64,
+    });
+  } catch (error) {
+    const outcome = logFailure(error, 'Error converting text to speech');
+
+    res.status(outcome === 'cancelled' ? 499 : 500).json({
+      success: false,
+      requestId: requestId,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /chat
+ * Text pipeline - skips STT, sends the given text to the webhook and
+ * converts the reply to speech
+ * Body: { text, language?, webhook?, channel?, metadata?, speaker?, ttsLanguage?,
+ *   pace?, pitch?, loudness?, sampleRate? }
+ */
+router.post('/chat', requireQuota('ttsCharacters'), async (req, res) => {
+  const requestId = req.requestId;
+  const signal = trackRequest(req, res);
+  const text = req.body.text;
+
+  try {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No text provided',
+      });
     }
 
-    // Create a proper WAV header for the combined audio
-    const sampleRate = 24000; // Sarvam uses 24kHz
-    const numChannels = 1; // Mono
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = combinedAudioData.length;
-    const fileSize = 36 + dataSize;
-
-    // Create WAV file
-    const wavBuffer = Buffer.alloc(44 + dataSize);
-    
-    // RIFF header
-    wavBuffer.write('RIFF', 0);
-    wavBuffer.writeUInt32LE(fileSize, 4);
-    wavBuffer.write('WAVE', 8);
-    
-    // fmt sub-chunk
-    wavBuffer.write('fmt ', 12);
-    wavBuffer.writeUInt32LE(16, 16); // Subchunk1Size
-    wavBuffer.writeUInt16LE(1, 20); // AudioFormat (1 = PCM)
-    wavBuffer.writeUInt16LE(numChannels, 22);
-    wavBuffer.writeUInt32LE(sampleRate, 24);
-    wavBuffer.writeUInt32LE(byteRate, 28);
-    wavBuffer.writeUInt16LE(blockAlign, 32);
-    wavBuffer.writeUInt16LE(bitsPerSample, 34);
-    
-    // data sub-chunk
-    wavBuffer.write('data', 36);
-    wavBuffer.writeUInt32LE(dataSize, 40);
-    combinedAudioData.copy(wavBuffer, 44);
-
-    const completeBase64 = wavBuffer.toString('base64');
-    
+    const { sessionId, status: sessionStatus, error: sessionError } = await resolveSession(req);
+    if (!sessionId) {
+      return res.status(sessionStatus).json({
+        success: false,
+        error: sessionError,
+      });
+    }
+
+    log.info('Starting chat processing');
+
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions(pipelineOptions.requestParam(req));
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
+      });
+    }
+    const { ttsOptions, webhookOptions, translation } = options;
+
+    const reply = await pipeline.runPipeline(
+      { text, language: req.body.language },
+      { pipeline: 'chat', requestId, sessionId, ttsOptions, webhookOptions, translation, apiKey: req.apiKey, signal, failOnTtsError: true }
+    );
+    log.info('Chat complete', { audioFiles: reply.results.length });
+
     res.status(200).json({
       success: true,
       requestId: requestId,
-      count: audioBuffers.length,
-      ttsBase64: completeBase64,
+      sessionId: sessionId,
+      text: text,
+      textTranslation: reply.transcriptTranslation,
+      webhookResponseCount: reply.webhookResponses.length,
+      accumulatedText: reply.accumulatedText,
+      replyTranslation: reply.replyTranslation,
+      ttsResponseCount: reply.results.length,
+      directives: reply.directives,
+      results: reply.results,
+    });
+  } catch (error) {
+    const outcome = logFailure(error, 'Error processing chat');
+
+    res.status(outcome === 'cancelled' ? 499 : 500).json({
+      success: false,
+      requestId: requestId,
+      error: error.message,
     });
+  }
+});
+
+/**
+ * Run one asynchronous job: STT -> webhook -> TTS, recording each stage
+ * @param {Object} job - Job from the queue; job.input holds the request data
+ * @param {Function} stage - Runs and records one stage
+ * @param {AbortSignal} signal - Fires when the job is cancelled
+ * @returns {Promise<Object>} - Job result
+ */
+async function processRecordingJob(job, stage, signal) {
+  const { audio, mimeType, sttOptions, ttsOptions, webhookOptions, translation, sessionId, apiKey } = job.input;
+
+  // TTS starts during the webhook stage; the tts stage waits for what remains
+  const reply = await pipeline.runPipeline(
+    { audio, mimeType },
+    { pipeline: 'job', requestId: job.id, sessionId, sttOptions, ttsOptions, webhookOptions, translation, apiKey, signal, failOnTtsError: true },
+    { stage }
+  );
+
+  // The result is kept for JOB_TTL_MS and posted to the callbackUrl; the audio is left as is
+  const redact = (value) => (config.redaction.storage ? redaction.redactValue(value) : value);
+
+  return {
+    sessionId: sessionId,
+    sttText: redact(reply.transcript),
+    sttLanguage: reply.language,
+    sttTranslation: redact(reply.transcriptTranslation),
+    ttsOptions: reply.ttsOptions,
+    webhookResponseCount: reply.webhookResponses.length,
+    accumulatedText: redact(reply.accumulatedText),
+    replyTranslation: redact(reply.replyTranslation),
+    ttsResponseCount: reply.results.length,
+    directives: redact(reply.directives),
+    results: reply.results.map((result) => ({
+      ...result,
+      sentence: redact(result.sentence),
+      translation: redact(result.translation),
+      // Numbers are spelled out in spokenText, where redaction cannot find them
+      spokenText: config.redaction.storage ? null : result.spokenText,
+    })),
+  };
+}
+
+const recordingJobs = jobQueue.createJobQueue({ processJob: processRecordingJob });
 
+/**
+ * POST /jobs
+ * Asynchronous pipeline - accepts the upload and returns a job ID immediately
+ * Optional `callbackUrl` receives a signed POST when the job finishes
+ */
+router.post('/jobs', requireQuota('ttsCharacters'), uploadAudio, validateAudio, meterAudio, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No audio file provided',
+      });
+    }
+
+    const { sessionId, status: sessionStatus, error: sessionError } = await resolveSession(req);
+    if (!sessionId) {
+      return res.status(sessionStatus).json({
+        success: false,
+        error: sessionError,
+      });
+    }
+
+    const callbackUrl = req.query.callbackUrl || req.body.callbackUrl;
+    const callbackUrlError = callbackUrl ? await outboundGuard.checkUrl(callbackUrl) : null;
+    if (callbackUrlError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid callbackUrl: ${callbackUrlError}`,
+      });
+    }
+
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions(pipelineOptions.requestParam(req));
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
+      });
+    }
+    const { sttOptions, ttsOptions, webhookOptions, translation } = options;
+
+    const job = recordingJobs.submit(
+      {
+        audio: req.file.buffer,
+        mimeType: req.file.mimetype || 'audio/wav',
+        sttOptions,
+        ttsOptions,
+        webhookOptions,
+        translation,
+        sessionId,
+        apiKey: req.apiKey,
+      },
+      {
+        callbackUrl,
+        owner: keyName(req),
+      }
+    );
+    if (!job) {
+      return res.status(503).json({
+        success: false,
+        error: 'Job queue is full, try again later',
+      });
+    }
+
+    log.info('Job queued', { jobId: job.id, file: req.file.originalname, bytes: req.file.size });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      sessionId: sessionId,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
   } catch (error) {
-    console.error(`[${requestId}] Error processing recording:`, error.message);
+    log.error('Error queueing job', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Stage-by-stage status of an asynchronous job, with the result once completed
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = recordingJobs.get(req.params.id);
 
+  // Keys only see their own jobs
+  if (!job || (req.apiKey && job.owner !== req.apiKey.name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    stages: job.stages,
+    result: job.result,
+    error: job.error,
+    callback: job.callback,
+  });
+});
+
+/**
+ * POST /requests/:id/cancel
+ * Cancel a running pipeline: an HTTP request (by its X-Request-Id), a voice or
+ * telephony turn, or a queued or running job (by its job ID). Upstream calls
+ * in flight are aborted and nothing further is started; the request itself
+ * answers 499 (SSE: a `cancelled` event).
+ */
+router.post('/requests/:id/cancel', (req, res) => {
+  const id = req.params.id;
+  const owner = keyName(req);
+  const reason = 'Cancelled by client';
+
+  // Keys only cancel their own requests
+  const running = cancellation.find(id);
+  let cancelled = false;
+  if (running && (!req.apiKey || running.owner === owner)) {
+    running.cancel(reason);
+    cancelled = true;
+  } else {
+    const job = recordingJobs.get(id);
+    if (job && (!req.apiKey || job.owner === owner)) {
+      cancelled = recordingJobs.cancel(id, reason);
+    }
+  }
+
+  if (!cancelled) {
+    return res.status(404).json({
+      success: false,
+      error: 'No running request with this ID',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    requestId: id,
+    status: 'cancelled',
+  });
+});
+
+/**
+ * GET /sessions/:id
+ * Conversation history of a session
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessionStore.getSession(req.params.id, keyName(req));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      session: session,
+    });
+  } catch (error) {
+    sessionLog.error('Error reading session', { sessionId: req.params.id, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sessions/:id/audio/:audioId
+ * One synthesized sentence of a stored turn, as WAV
+ */
+router.get('/sessions/:id/audio/:audioId', async (req, res) => {
+  try {
+    const audio = await sessionStore.getAudio(req.params.id, req.params.audioId, keyName(req));
+    if (!audio) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audio not found',
+      });
+    }
+
+    res.status(200).type('audio/wav').send(audio);
+  } catch (error) {
+    sessionLog.error('Error reading audio', { sessionId: req.params.id, audioId: req.params.audioId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /sessions/:id
+ * Delete a session and its stored audio
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const deleted = await sessionStore.deleteSession(req.params.id, keyName(req));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      sessionId: req.params.id,
+    });
+  } catch (error) {
+    sessionLog.error('Error deleting session', { sessionId: req.params.id, error });
     res.status(500).json({
       success: false,
-      requestId: requestId,
       error: error.message,
     });
   }
@@ -461,4 +902,28 @@ router.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /ready
+ * Readiness check - credentials, upstream reachability and storage, per
+ * dependency with latency; 503 while any dependency fails. The endpoint is
+ * public, so the per-dependency details are only given to known callers.
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const report = await readinessService.checkReadiness();
+    res.status(report.ready ? 200 : 503).json({
+      status: report.ready ? 'ready' : 'not_ready',
+      checkedAt: report.checkedAt,
+      cached: report.cached,
+      dependencies: isKnownCaller(req) ? report.dependencies : undefined,
+    });
+  } catch (error) {
+    log.error('Error checking readiness', { error });
+    res.status(503).json({
+      status: 'not_ready',
+      error: 'Readiness check failed',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,123 @@
+const sttService = require('../services/sttService');
+const ttsService = require('../services/ttsService');
+const webhookService = require('../services/webhookService');
+const translationService = require('../services/translationService');
+const sessionStore = require('../services/sessionStore');
+const usageService = require('../services/usageService');
+
+/**
+ * Request options shared by the HTTP pipeline routes and the voice and
+ * telephony sockets
+ * Every entry point names its parameters the same way, whether they arrive in
+ * the query string or body, a voice start message or telephony custom
+ * parameters, so they are read, validated and checked against the caller's
+ * sessions and quotas here.
+ */
+
+// Quotas a pipeline run draws on: the caller's audio and the spoken reply
+const PIPELINE_QUOTAS = ['audioSeconds', 'ttsCharacters'];
+
+/**
+ * Read parameters of an HTTP request, query string first, then body
+ * @param {Object} req - Express request
+ * @returns {function(string): *} - name => raw value, undefined if absent
+ */
+function requestParam(req) {
+  return (name) => req.query[name] ?? (req.body && req.body[name]);
+}
+
+/**
+ * Parse the STT, TTS, webhook and translation options of a pipeline request
+ * @param {function(string): *} param - name => raw value, undefined if absent
+ * @param {Object} [settings] - How the entry point differs
+ * @param {string} [settings.channel] - Webhook channel when the client names none (default: 'http')
+ * @param {string} [settings.ttsSampleRateParam] - Parameter holding the TTS
+ *   sample rate (default: 'sampleRate'; the sockets use that for their input)
+ * @param {number} [settings.ttsSampleRate] - TTS sample rate when none is given
+ * @returns {{options: Object, error: string|null}} - { sttOptions, ttsOptions,
+ *   webhookOptions, translation }, or the error of the first invalid parameter
+ */
+function parsePipelineOptions(param, settings = {}) {
+  const { channel = 'http', ttsSampleRateParam = 'sampleRate' } = settings;
+
+  const stt = sttService.parseSttOptions({
+    language: param('language'),
+    model: param('sttModel'),
+    sttProvider: param('sttProvider'),
+  });
+  if (stt.error) return { options: null, error: stt.error };
+
+  const tts = ttsService.parseVoiceOptions({
+    ttsProvider: param('ttsProvider'),
+    speaker: param('speaker'),
+    language: param('ttsLanguage'),
+    pace: param('pace'),
+    pitch: param('pitch'),
+    loudness: param('loudness'),
+    sampleRate: param(ttsSampleRateParam) || settings.ttsSampleRate,
+  });
+  if (tts.error) return { options: null, error: tts.error };
+
+  const webhook = webhookService.parseRequestOptions({
+    webhook: param('webhook'),
+    channel: param('channel'),
+    metadata: param('metadata'),
+  }, channel);
+  if (webhook.error) return { options: null, error: webhook.error };
+
+  const translation = translationService.parseTranslationOptions({
+    translate: param('translate'),
+    agentLanguage: param('agentLanguage'),
+    translateProvider: param('translateProvider'),
+  });
+  if (translation.error) return { options: null, error: translation.error };
+
+  return {
+    options: {
+      sttOptions: stt.options,
+      ttsOptions: tts.options,
+      webhookOptions: webhook.options,
+      translation: translation.options,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Resolve the conversation session of a request
+ * A new session is issued unless the client continues one; another key's
+ * session is reported as not found.
+ * @param {string} [supplied] - Session ID sent by the client
+ * @param {string|null} owner - API key name of the caller
+ * @returns {Promise<{sessionId: string|null, status?: number, error?: string}>} -
+ *   status is the HTTP status for the error
+ */
+async function resolveSession(supplied, owner) {
+  if (!supplied) {
+    return { sessionId: sessionStore.createSessionId() };
+  }
+  if (!sessionStore.isValidSessionId(supplied)) {
+    return { sessionId: null, status: 400, error: 'Invalid sessionId' };
+  }
+  if (!(await sessionStore.canUseSession(supplied, owner))) {
+    return { sessionId: null, status: 404, error: 'Session not found' };
+  }
+  return { sessionId: supplied };
+}
+
+/**
+ * Find a monthly quota a pipeline run cannot draw on any more
+ * @param {Object|null} apiKey - Key of the caller, null without authentication
+ * @returns {string|null} - 'audioSeconds' or 'ttsCharacters', or null if neither is used up
+ */
+function exhaustedQuota(apiKey) {
+  if (!apiKey) return null;
+  return PIPELINE_QUOTAS.find((kind) => !usageService.checkQuota(apiKey, kind).allowed) || null;
+}
+
+module.exports = {
+  requestParam,
+  parsePipelineOptions,
+  resolveSession,
+  exhaustedQuota,
+};
@@ -0,0 +1,43 @@
+/**
+ * WebSocket endpoints sharing the HTTP server
+ * A WebSocketServer bound to the HTTP server rejects upgrades for any path but
+ * its own, so with more than one endpoint the servers are created with
+ * noServer and upgrades are dispatched here by path.
+ */
+
+// Largest message a client may send: audio frames are a few KB and start
+// messages carry at most WEBHOOK_METADATA_MAX_BYTES of metadata
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+/**
+ * Whether a parsed JSON message is an object, as every message of the socket
+ * protocols is; null, arrays and bare values are not
+ * @param {*} message - Parsed message
+ * @returns {boolean}
+ */
+function isPlainObject(message) {
+  return Boolean(message) && typeof message === 'object' && !Array.isArray(message);
+}
+
+/**
+ * Route WebSocket upgrades to their servers
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {Object<string, WebSocketServer>} endpoints - Servers by path
+ */
+function attachSocketServers(server, endpoints) {
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const wss = endpoints[pathname];
+    if (!wss) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  isPlainObject,
+  attachSocketServers,
+};
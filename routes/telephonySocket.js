@@ -0,0 +1,417 @@
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const vadService = require('../services/vadService');
+const wavService = require('../services/wavService');
+const mulawCodec = require('../services/mulawCodec');
+const telephonyPlayback = require('../services/telephonyPlayback');
+const pipeline = require('../services/pipeline');
+const sessionStore = require('../services/sessionStore');
+const usageService = require('../services/usageService');
+const logger = require('../services/logger');
+const cancellation = require('../services/cancellation');
+const config = require('../config');
+const { checkRequest, checkApiKey } = require('../middleware/auth');
+const pipelineOptions = require('./pipelineOptions');
+const { MAX_PAYLOAD_BYTES, isPlainObject } = require('./sockets');
+
+const TELEPHONY_SOCKET_PATH = '/api/telephony';
+
+const log = logger.createLogger('Telephony');
+
+/**
+ * Read a string field of a message part
+ * Frames arrive before the platform is authenticated, so nothing in them is trusted.
+ * @param {*} part - Message or a part of it, e.g. message.media
+ * @param {string} name - Field name
+ * @returns {string|undefined} - The value, or undefined if the part is not an object or the field not a string
+ */
+function stringField(part, name) {
+  return isPlainObject(part) && typeof part[name] === 'string' ? part[name] : undefined;
+}
+
+/**
+ * Handle one phone call over a telephony media stream
+ * The protocol is the common one of telephony platforms (Twilio Media Streams
+ * and compatible): JSON text frames with an `event` field, audio as base64
+ * 8 kHz μ-law.
+ *
+ * Platform -> server:
+ *   connected                          stream opened
+ *   start { streamSid, callSid, customParameters, mediaFormat }
+ *                                      call details; customParameters may set
+ *                                      language, sttProvider, speaker, ttsLanguage,
+ *                                      pace, pitch, loudness, webhook, channel,
+ *                                      translate, agentLanguage, translateProvider,
+ *                                      sessionId and apiKey
+ *   media { payload }                  caller audio
+ *   mark { name }                      audio sent before this mark has played
+ *   clear                              stop playback (not part of every platform)
+ *   dtmf { digit }                     keypad input, sent to the webhook as the
+ *                                      message with metadata.input = 'dtmf'
+ *   stop                               call ended
+ *
+ * Server -> platform:
+ *   media { payload }                  reply audio, paced in real time
+ *   mark { name }                      "<requestId>:<sentenceIndex>" after each
+ *                                      sentence, "<requestId>:end" after a reply
+ *   clear                              drop audio buffered by the platform
+ *
+ * Each utterance (detected with the same VAD as /api/voice) is transcribed,
+ * sent to the webhook, and the reply synthesized sentence by sentence. An
+ * `end` directive hangs up once the reply has played. When the caller starts
+ * speaking over the reply (barge-in, unless VOICE_BARGE_IN=false) the turn is
+ * cancelled and its audio cleared, on our side and the platform's.
+ * @param {WebSocket} socket - Platform connection
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function handleCall(socket, req) {
+  let apiKey = req.apiKey || null;
+  let authPending = Boolean(req.authPending);
+  let streamSid = null;
+  let callSid = null;
+  let sessionId = null;
+  let sttOptions = {};
+  let ttsOptions = {};
+  let webhookOptions = { channel: 'telephony' };
+  let translation;
+  let ended = false;
+  let started = false;
+  let wasSpeaking = false;
+  // Turn being processed: { requestId, cancel, replying }
+  let activeTurn = null;
+
+  const detector = vadService.createVoiceActivityDetector({ sampleRate: mulawCodec.SAMPLE_RATE });
+
+  // Turns are chained so a new utterance waits for the previous reply
+  let turnChain = Promise.resolve();
+
+  const send = (event, data = {}) => {
+    if (socket.readyState !== socket.OPEN) return;
+    socket.send(JSON.stringify({ event, streamSid, ...data }));
+  };
+
+  const playback = telephonyPlayback.createPlayback({
+    sendMedia: (frame) => send('media', { media: { payload: frame.toString('base64') } }),
+    sendMark: (name) => send('mark', { mark: { name } }),
+  });
+
+  // Marks sent and not yet played, in order
+  const pendingMarks = [];
+
+  const runTurn = async (input) => {
+    // Turns queued behind one that was running when the connection closed
+    if (ended || socket.readyState !== socket.OPEN) return;
+    const requestId = uuidv4();
+    const tracked = cancellation.track(requestId, { owner: apiKey ? apiKey.name : null, kind: 'telephony' });
+    activeTurn = { requestId, cancel: tracked.cancel, replying: false };
+    try {
+      await logger.runWithContext({ requestId, sessionId, callSid }, () => processTurn(input, requestId, tracked.signal));
+    } finally {
+      tracked.release();
+      activeTurn = null;
+    }
+  };
+
+  /**
+   * Drop reply audio not played yet, ours and the platform's
+   * @returns {number} - Number of marks dropped
+   */
+  const clearPlayback = () => {
+    const dropped = playback.clear();
+    pendingMarks.length = 0;
+    send('clear');
+    return dropped;
+  };
+
+  /**
+   * The caller started speaking: stop the reply in progress, if any
+   */
+  const bargeIn = () => {
+    const cancelled = activeTurn && activeTurn.replying ? activeTurn.cancel('Interrupted by caller') : false;
+    if (cancelled || pendingMarks.length > 0 || playback.queuedMs() > 0) {
+      const dropped = clearPlayback();
+      log.info('Caller interrupted the reply', { droppedMarks: dropped });
+    }
+  };
+
+  /**
+   * Transcribe the caller (unless they keyed in digits), call the webhook and play the reply
+   * @param {Object} input - { utterance } from the VAD, or { text, metadata } for keypad input
+   * @param {string} requestId - Turn ID
+   * @param {AbortSignal} signal - Fires when the turn is cancelled
+   */
+  const processTurn = async ({ utterance, text, metadata }, requestId, signal) => {
+    try {
+      // The call stays up, but the caller gets no more replies
+      const exhausted = pipelineOptions.exhaustedQuota(apiKey);
+      if (exhausted) {
+        log.warn(`Monthly ${exhausted} quota exceeded`);
+        return;
+      }
+
+      let input = { text, language: sttOptions.language_code };
+      if (utterance) {
+        log.info('Processing utterance', { durationMs: utterance.durationMs });
+        usageService.recordUsage(apiKey, { audioSeconds: utterance.durationMs / 1000 });
+        input = { audio: wavService.writeWav(utterance.audio, { sampleRate: utterance.sampleRate, channels: 1 }), mimeType: 'audio/wav' };
+      }
+
+      const { directives } = await pipeline.runPipeline(
+        input,
+        {
+          pipeline: 'telephony',
+          requestId,
+          sessionId,
+          sttOptions,
+          ttsOptions,
+          webhookOptions: { ...webhookOptions, metadata: { ...webhookOptions.metadata, ...metadata } },
+          translation,
+          apiKey,
+          signal,
+          // Silence or noise: nothing to reply to
+          hooks: { afterStt: (transcript) => (transcript.text && transcript.text.trim() ? undefined : null) },
+        },
+        {
+          onTranscript: () => {
+            // Barge-in applies from here; speech before this is part of the question
+            activeTurn.replying = true;
+          },
+          // Sentences are synthesized in parallel but played in reply order
+          onResult: ({ index, ttsBase64 }) => {
+            if (ended) return;
+            try {
+              playback.play(mulawCodec.fromWav(Buffer.from(ttsBase64, 'base64')));
+            } catch (error) {
+              log.error('Error transcoding sentence', { sentenceIndex: index, error });
+              return;
+            }
+            const name = `${requestId}:${index}`;
+            pendingMarks.push(name);
+            playback.mark(name);
+          },
+        }
+      );
+
+      // The agent ended the conversation: hang up once the reply has played
+      if (directives.some((d) => d.directive === 'end') && !ended) {
+        ended = true;
+        const name = `${requestId}:end`;
+        pendingMarks.push(name);
+        playback.mark(name);
+      }
+    } catch (error) {
+      if (cancellation.isCancelled(error)) {
+        log.info('Turn cancelled', { reason: error.message });
+        return;
+      }
+      log.error('Turn failed', { error });
+    }
+  };
+
+  const queueTurn = (input) => {
+    if (ended) return;
+    turnChain = turnChain.then(() => runTurn(input));
+  };
+
+  /**
+   * Apply the start event: call details and per-call options
+   * @param {Object} start - start payload
+   * @returns {Promise<string|null>} - Error that ends the call
+   */
+  const applyStart = async (start) => {
+    const params = isPlainObject(start.customParameters) ? start.customParameters : {};
+
+    if (authPending) {
+      // Platforms that cannot add headers or a query string pass the key here
+      const result = checkApiKey(params.apiKey);
+      if (result.status) return result.error;
+      apiKey = result.apiKey;
+      authPending = false;
+    }
+
+    callSid = stringField(start, 'callSid') || null;
+    // Another key's session reads as not found
+    const session = await pipelineOptions.resolveSession(
+      params.sessionId || (callSid && sessionStore.isValidSessionId(callSid) ? callSid : undefined),
+      apiKey ? apiKey.name : null
+    );
+    if (session.error) return session.error;
+    sessionId = session.sessionId;
+
+    const format = isPlainObject(start.mediaFormat) ? start.mediaFormat : {};
+    if (format.encoding && format.encoding !== 'audio/x-mulaw') return `Unsupported encoding ${format.encoding}`;
+    if (format.sampleRate && Number(format.sampleRate) !== mulawCodec.SAMPLE_RATE) return `Unsupported sample rate ${format.sampleRate}`;
+
+    // Phone audio is 8 kHz: ask the TTS engine for that unless told otherwise.
+    // Custom parameters arrive as strings, which the parsers accept.
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions((name) => params[name], {
+      channel: 'telephony',
+      ttsSampleRateParam: 'ttsSampleRate',
+      ttsSampleRate: mulawCodec.SAMPLE_RATE,
+    });
+    if (optionsError) return optionsError;
+
+    sttOptions = options.sttOptions;
+    ttsOptions = options.ttsOptions;
+    translation = options.translation;
+    // The webhook can tell calls apart (and look them up on the platform)
+    webhookOptions = {
+      ...options.webhookOptions,
+      metadata: { ...options.webhookOptions.metadata, callSid, streamSid },
+    };
+    return null;
+  };
+
+  const hangUp = (reason) => {
+    playback.stop();
+    if (socket.readyState === socket.OPEN) {
+      socket.close(1000, reason);
+    }
+  };
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (e) {
+      log.warn('Ignoring non-JSON frame');
+      return;
+    }
+    if (!stringField(message, 'event')) {
+      log.warn('Ignoring frame without an event');
+      return;
+    }
+
+    switch (message.event) {
+      case 'connected':
+        break;
+
+      case 'start': {
+        streamSid = stringField(message, 'streamSid') || stringField(message.start, 'streamSid') || null;
+        // Media that arrives before the call is set up is dropped
+        applyStart(isPlainObject(message.start) ? message.start : {})
+          .catch((error) => {
+            log.error('Error applying start event', { error });
+            return error.message;
+          })
+          .then((error) => {
+            if (error) {
+              log.warn('Rejecting call', { error });
+              socket.close(1008, error.slice(0, 120));
+              return;
+            }
+            started = true;
+            log.info('Call started', { streamSid, callSid, sessionId });
+          });
+        break;
+      }
+
+      case 'media': {
+        const payload = stringField(message.media, 'payload');
+        if (!started || ended || !payload) return;
+        // Two-way streams may also carry the outbound track
+        const track = stringField(message.media, 'track');
+        if (track && !['inbound', 'inbound_track'].includes(track)) return;
+
+        const utterance = detector.push(mulawCodec.decode(Buffer.from(payload, 'base64')));
+
+        const speaking = detector.isSpeaking();
+        if (speaking && !wasSpeaking && config.voice.bargeIn) {
+          bargeIn();
+        }
+        wasSpeaking = speaking;
+
+        if (utterance) {
+          queueTurn({ utterance });
+        }
+        break;
+      }
+
+      case 'mark': {
+        const name = stringField(message.mark, 'name');
+        const at = pendingMarks.indexOf(name);
+        if (at !== -1) {
+          pendingMarks.splice(0, at + 1);
+          log.debug('Played', { mark: name, pendingMarks: pendingMarks.length });
+        }
+        if (name && name.endsWith(':end')) {
+          hangUp('Conversation ended');
+        }
+        break;
+      }
+
+      case 'clear': {
+        const dropped = clearPlayback();
+        log.info('Playback cleared', { droppedMarks: dropped });
+        // An end mark that will never be played: hang up now
+        if (ended) {
+          hangUp('Conversation ended');
+        }
+        break;
+      }
+
+      case 'dtmf': {
+        const digit = stringField(message.dtmf, 'digit');
+        if (started && digit) {
+          queueTurn({ text: digit, metadata: { input: 'dtmf' } });
+        }
+        break;
+      }
+
+      case 'stop':
+        log.info('Call stopped', { streamSid, callSid });
+        ended = true;
+        hangUp('Call ended');
+        break;
+
+      default:
+        log.debug('Ignoring event', { event: message.event });
+    }
+  });
+
+  socket.on('close', () => {
+    ended = true;
+    if (activeTurn) {
+      activeTurn.cancel('Call ended');
+    }
+    playback.stop();
+    log.info('Stream closed', { streamSid, callSid });
+  });
+
+  // ws closes the connection itself, e.g. with 1009 for an oversized message
+  socket.on('error', (error) => {
+    log.warn('Socket error', { streamSid, callSid, error });
+  });
+}
+
+/**
+ * Create the telephony media-stream WebSocket server
+ * When authentication is enabled the API key can be presented at the upgrade
+ * (header or ?apiKey=) or, for platforms that allow neither, as the apiKey
+ * custom parameter of the start event.
+ * @returns {WebSocketServer} - Server to attach with attachSocketServers
+ */
+function createTelephonySocketServer() {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_PAYLOAD_BYTES,
+    verifyClient: (info, callback) => {
+      const result = checkRequest(info.req);
+      if (result.status === 401) {
+        info.req.authPending = true;
+      } else if (result.status) {
+        callback(false, result.status, result.error);
+        return;
+      }
+      info.req.apiKey = result.apiKey;
+      callback(true);
+    },
+  });
+  wss.on('connection', handleCall);
+  return wss;
+}
+
+module.exports = {
+  TELEPHONY_SOCKET_PATH,
+  createTelephonySocketServer,
+};
@@ -0,0 +1,294 @@
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const translationService = require('../services/translationService');
+const vadService = require('../services/vadService');
+const wavService = require('../services/wavService');
+const pipeline = require('../services/pipeline');
+const sessionStore = require('../services/sessionStore');
+const usageService = require('../services/usageService');
+const logger = require('../services/logger');
+const cancellation = require('../services/cancellation');
+const config = require('../config');
+const { checkRequest } = require('../middleware/auth');
+const pipelineOptions = require('./pipelineOptions');
+const { MAX_PAYLOAD_BYTES, isPlainObject } = require('./sockets');
+
+const log = logger.createLogger('Voice');
+
+const VOICE_SOCKET_PATH = '/api/voice';
+
+// Microphone rates accepted in start messages
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+/**
+ * Handle one full-duplex voice session
+ *
+ * Client -> server:
+ *   binary frames                          PCM16LE mono microphone audio
+ *   { type: 'start', sampleRate, language, sttProvider, ttsProvider, sessionId,
+ *     speaker, ttsLanguage, pace, pitch, loudness, ttsSampleRate,
+ *     webhook, channel, metadata, bargeIn, translate, agentLanguage,
+ *     translateProvider }
+ *                                           configure the session (optional);
+ *                                           sampleRate is the microphone's
+ *   { type: 'end_utterance' }               force the current utterance to end
+ *   { type: 'cancel' }                      cancel the reply being produced
+ *   { type: 'stop' }                        close the session
+ *
+ * Server -> client:
+ *   ready, speech_start, utterance_end, transcript, bot_text, audio, directive,
+ *   turn_complete, interrupted, error - all JSON with a `type` field
+ * An `end` directive from the webhook closes the socket after its reply.
+ * Barge-in: speech that starts while a reply is being produced cancels it
+ * (unless VOICE_BARGE_IN=false or bargeIn: false) and `interrupted` tells the
+ * client to stop playing what it already has of that reply.
+ * @param {WebSocket} socket - Client connection
+ * @param {http.IncomingMessage} req - Upgrade request, carries the authenticated apiKey
+ */
+function handleVoiceSession(socket, req) {
+  const apiKey = req.apiKey || null;
+  let sessionId = sessionStore.createSessionId();
+  let sampleRate = 16000;
+  let sttOptions = {};
+  let ttsOptions = {};
+  let webhookOptions = { channel: 'websocket' };
+  let translation = translationService.parseTranslationOptions().options;
+  let detector = vadService.createVoiceActivityDetector({ sampleRate });
+  let wasSpeaking = false;
+  let ended = false;
+  let bargeIn = config.voice.bargeIn;
+  // Turn being processed: { requestId, cancel, replying }
+  let activeTurn = null;
+
+  // Turns are chained so a new utterance waits for the previous reply
+  let turnChain = Promise.resolve();
+
+  const send = (type, data = {}) => {
+    if (socket.readyState !== socket.OPEN) return;
+    socket.send(JSON.stringify({ type, ...data }));
+  };
+
+  const runTurn = async (utterance) => {
+    // Turns queued behind one that was running when the connection closed
+    if (ended || socket.readyState !== socket.OPEN) return;
+    const requestId = uuidv4();
+    const tracked = cancellation.track(requestId, { owner: apiKey ? apiKey.name : null, kind: 'voice' });
+    activeTurn = { requestId, cancel: tracked.cancel, replying: false };
+    try {
+      await logger.runWithContext({ requestId, sessionId }, () => processTurn(utterance, requestId, tracked.signal));
+    } finally {
+      tracked.release();
+      activeTurn = null;
+    }
+  };
+
+  /**
+   * Cancel the turn being processed, if any
+   * @param {string} reason - Why
+   * @param {boolean} [replyOnly] - Leave a turn that has not started replying
+   */
+  const interrupt = (reason, replyOnly = false) => {
+    if (!activeTurn || (replyOnly && !activeTurn.replying)) return;
+    if (activeTurn.cancel(reason)) {
+      send('interrupted', { requestId: activeTurn.requestId, reason });
+    }
+  };
+
+  const processTurn = async (utterance, requestId, signal) => {
+    log.info('Processing utterance', { durationMs: utterance.durationMs });
+
+    try {
+      const exhausted = pipelineOptions.exhaustedQuota(apiKey);
+      if (exhausted) {
+        send('error', { requestId, error: `Monthly ${exhausted} quota exceeded` });
+        return;
+      }
+      usageService.recordUsage(apiKey, { audioSeconds: utterance.durationMs / 1000 });
+
+      const { directives, sentenceCount } = await pipeline.runPipeline(
+        { audio: wavService.writeWav(utterance.audio, { sampleRate: utterance.sampleRate, channels: 1 }), mimeType: 'audio/wav' },
+        { pipeline: 'voice', requestId, sessionId, sttOptions, ttsOptions, webhookOptions, translation, apiKey, signal },
+        {
+          onTranscript: ({ text, language: sttLanguage, translation: textTranslation }) => {
+            send('transcript', { requestId, text, language: sttLanguage, translation: textTranslation });
+            // Speech from here on talks over the reply rather than adding to the question
+            activeTurn.replying = true;
+          },
+          onQueued: ({ index, sentence, translation: sentenceTranslation = null }) => {
+            if (sentence) {
+              send('bot_text', { requestId, sentenceIndex: index, text: sentence, translation: sentenceTranslation });
+            }
+          },
+          onResult: ({ index, clip, ttsBase64 }) => {
+            send('audio', { requestId, sentenceIndex: index, clip, format: 'wav', data: ttsBase64 });
+          },
+          onError: (error, { index }) => {
+            send('error', { requestId, sentenceIndex: index, error: error.message });
+          },
+          onDirective: (directive) => {
+            send('directive', { requestId, ...directive });
+          },
+        }
+      );
+
+      send('turn_complete', { requestId, sentenceCount });
+
+      // The agent ended the conversation: close once the reply has been sent
+      if (directives.some((d) => d.directive === 'end')) {
+        ended = true;
+        socket.close(1000, 'Conversation ended');
+      }
+    } catch (error) {
+      if (cancellation.isCancelled(error)) {
+        log.info('Turn cancelled', { reason: error.message });
+        return;
+      }
+      log.error('Turn failed', { error });
+      send('error', { requestId, error: error.message });
+    }
+  };
+
+  const endUtterance = (utterance) => {
+    if (!utterance || ended) return;
+
+    send('utterance_end', { durationMs: utterance.durationMs });
+    turnChain = turnChain.then(() => runTurn(utterance));
+  };
+
+  /**
+   * Apply a start message: session and per-session options
+   * Options not given keep the values of earlier start messages.
+   * @param {Object} message - start message
+   * @param {string} startSessionId - Session resolved for it
+   */
+  const applyStart = (message, startSessionId) => {
+    if (message.sampleRate !== undefined) {
+      const rate = Number(message.sampleRate);
+      if (!Number.isInteger(rate) || rate < MIN_SAMPLE_RATE || rate > MAX_SAMPLE_RATE) {
+        send('error', { error: `Invalid sampleRate: must be an integer from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}` });
+        return;
+      }
+    }
+    const earlier = {
+      translate: translation.enabled,
+      agentLanguage: translation.agentLanguage,
+      translateProvider: translation.provider,
+    };
+    const { options, error: optionsError } = pipelineOptions.parsePipelineOptions((name) => message[name] ?? earlier[name], {
+      channel: webhookOptions.channel,
+      ttsSampleRateParam: 'ttsSampleRate',
+    });
+    if (optionsError) {
+      send('error', { error: optionsError });
+      return;
+    }
+    sampleRate = message.sampleRate !== undefined ? Number(message.sampleRate) : sampleRate;
+    if (typeof message.bargeIn === 'boolean') {
+      bargeIn = message.bargeIn;
+    }
+    sttOptions = { ...sttOptions, ...options.sttOptions };
+    ttsOptions = { ...ttsOptions, ...options.ttsOptions };
+    webhookOptions = {
+      webhook: options.webhookOptions.webhook || webhookOptions.webhook,
+      channel: options.webhookOptions.channel,
+      metadata: options.webhookOptions.metadata || webhookOptions.metadata,
+    };
+    translation = options.translation;
+    sessionId = startSessionId;
+    detector = vadService.createVoiceActivityDetector({ sampleRate });
+    wasSpeaking = false;
+    send('ready', { sessionId, sampleRate });
+  };
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      const utterance = detector.push(Buffer.from(data));
+
+      const speaking = detector.isSpeaking();
+      if (speaking && !wasSpeaking) {
+        send('speech_start');
+        if (bargeIn) {
+          interrupt('Interrupted by caller', true);
+        }
+      }
+      wasSpeaking = speaking;
+
+      endUtterance(utterance);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (e) {
+      send('error', { error: 'Invalid JSON message' });
+      return;
+    }
+    if (!isPlainObject(message)) {
+      send('error', { error: 'Message must be a JSON object' });
+      return;
+    }
+
+    if (message.type === 'start') {
+      // Without a sessionId the session carries on; another key's session reads as not found
+      pipelineOptions.resolveSession(message.sessionId || sessionId, apiKey ? apiKey.name : null)
+        .then((session) => (session.error ? send('error', { error: session.error }) : applyStart(message, session.sessionId)))
+        .catch((error) => {
+          log.error('Error applying start message', { error });
+          send('error', { error: error.message });
+        });
+    } else if (message.type === 'end_utterance') {
+      wasSpeaking = false;
+      endUtterance(detector.flush());
+    } else if (message.type === 'cancel') {
+      interrupt('Cancelled by client');
+    } else if (message.type === 'stop') {
+      socket.close(1000, 'Session stopped');
+    } else {
+      send('error', { error: `Unknown message type: ${message.type}` });
+    }
+  });
+
+  socket.on('close', () => {
+    ended = true;
+    interrupt('Client disconnected');
+    log.info('Session closed', { sessionId });
+  });
+
+  // ws closes the connection itself, e.g. with 1009 for an oversized message
+  socket.on('error', (error) => {
+    log.warn('Socket error', { sessionId, error });
+  });
+
+  log.info('Session opened', { sessionId });
+  send('ready', { sessionId, sampleRate });
+}
+
+/**
+ * Create the voice WebSocket server
+ * @returns {WebSocketServer} - Server to attach with attachSocketServers
+ */
+function createVoiceSocketServer() {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_PAYLOAD_BYTES,
+    // Same API key and rate limit rules as the HTTP endpoints
+    verifyClient: (info, callback) => {
+      const result = checkRequest(info.req);
+      if (result.status) {
+        callback(false, result.status, result.error);
+        return;
+      }
+      info.req.apiKey = result.apiKey;
+      callback(true);
+    },
+  });
+  wss.on('connection', handleVoiceSession);
+  return wss;
+}
+
+module.exports = {
+  VOICE_SOCKET_PATH,
+  createVoiceSocketServer,
+};
@@ -0,0 +1,243 @@
+const config = require('../config');
+const wavService = require('./wavService');
+const log = require('./logger').createLogger('Audio');
+
+/**
+ * Uploaded audio inspection and preparation for STT
+ * The real container format is sniffed from the file's magic bytes rather than
+ * trusted from the upload's MIME type. WAV and raw PCM can be decoded here, so
+ * they are downmixed to mono, resampled to the provider's preferred rate and,
+ * when longer than the provider accepts, split into overlapping segments.
+ * Compressed formats, and WAV files in encodings other than PCM and float
+ * (μ-law, ADPCM), are passed through unchanged.
+ */
+
+// Container formats accepted for STT, in sniffing order
+const FORMATS = [
+  { name: 'wav', mimeType: 'audio/wav', extension: 'wav', test: (b) => wavService.isWav(b) },
+  { name: 'ogg', mimeType: 'audio/ogg', extension: 'ogg', test: (b) => b.toString('ascii', 0, 4) === 'OggS' },
+  { name: 'flac', mimeType: 'audio/flac', extension: 'flac', test: (b) => b.toString('ascii', 0, 4) === 'fLaC' },
+  { name: 'webm', mimeType: 'audio/webm', extension: 'webm', test: (b) => b.readUInt32BE(0) === 0x1a45dfa3 },
+  { name: 'mp4', mimeType: 'audio/mp4', extension: 'm4a', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' },
+  { name: 'amr', mimeType: 'audio/amr', extension: 'amr', test: (b) => b.toString('ascii', 0, 5) === '#!AMR' },
+  { name: 'mp3', mimeType: 'audio/mpeg', extension: 'mp3', test: (b) => b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+  { name: 'aac', mimeType: 'audio/aac', extension: 'aac', test: (b) => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+];
+
+// MIME types under which clients may send headerless 16-bit PCM
+const RAW_PCM_TYPES = ['audio/pcm', 'audio/l16', 'audio/x-raw'];
+
+// Bounds of the raw PCM MIME type parameters
+const PCM_MIN_RATE = 8000;
+const PCM_MAX_RATE = 96000;
+const PCM_MAX_CHANNELS = 8;
+
+/**
+ * Parse the sample rate and channel parameters of a raw PCM MIME type
+ * e.g. "audio/L16; rate=16000; channels=1"
+ * @param {string} mimeType - Declared MIME type
+ * @returns {{sampleRate: number, channels: number, error: string|null}} - error
+ *   is set when a parameter is out of range
+ */
+function parsePcmParams(mimeType) {
+  const rate = /rate=(\d+)/i.exec(mimeType);
+  const channels = /channels=(\d+)/i.exec(mimeType);
+  const params = {
+    sampleRate: rate ? parseInt(rate[1], 10) : 16000,
+    channels: channels ? parseInt(channels[1], 10) : 1,
+    error: null,
+  };
+
+  if (params.sampleRate < PCM_MIN_RATE || params.sampleRate > PCM_MAX_RATE) {
+    params.error = `Invalid PCM rate: must be from ${PCM_MIN_RATE} to ${PCM_MAX_RATE}`;
+  } else if (params.channels < 1 || params.channels > PCM_MAX_CHANNELS) {
+    params.error = `Invalid PCM channels: must be from 1 to ${PCM_MAX_CHANNELS}`;
+  }
+  return params;
+}
+
+/**
+ * Whether a MIME type declares headerless PCM
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+function isRawPcm(mimeType = '') {
+  return RAW_PCM_TYPES.includes(mimeType.split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Check the parameters of a raw PCM MIME type
+ * @param {string} [mimeType] - Declared MIME type
+ * @returns {string|null} - Why the parameters are refused, or null if they are
+ *   acceptable or the type is not raw PCM
+ */
+function checkPcmParams(mimeType = '') {
+  return isRawPcm(mimeType) ? parsePcmParams(mimeType).error : null;
+}
+
+/**
+ * Identify an uploaded audio file
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} [declaredMimeType] - MIME type sent by the client
+ * @returns {Object|null} - { format, mimeType, extension, durationSeconds,
+ *   sampleRate, channels }, or null if the content is not recognised as audio
+ *   or its raw PCM parameters are out of range.
+ *   durationSeconds/sampleRate/channels are null for compressed formats.
+ */
+function inspectAudio(buffer, declaredMimeType = '') {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (isRawPcm(declaredMimeType)) {
+    const { sampleRate, channels, error } = parsePcmParams(declaredMimeType);
+    if (error) {
+      return null;
+    }
+    return {
+      format: 'pcm',
+      mimeType: 'audio/wav',
+      extension: 'wav',
+      durationSeconds: buffer.length / (sampleRate * channels * 2),
+      sampleRate,
+      channels,
+    };
+  }
+
+  const format = FORMATS.find((f) => f.test(buffer));
+  if (!format) {
+    return null;
+  }
+
+  const info = {
+    format: format.name,
+    mimeType: format.mimeType,
+    extension: format.extension,
+    durationSeconds: null,
+    sampleRate: null,
+    channels: null,
+  };
+
+  if (format.name === 'wav') {
+    try {
+      const { format: fmt, data } = wavService.parseWav(buffer);
+      info.sampleRate = fmt.sampleRate;
+      info.channels = fmt.channels;
+      info.durationSeconds = fmt.byteRate > 0 ? data.length / fmt.byteRate : null;
+    } catch (error) {
+      // RIFF header but no usable fmt/data chunk
+      return null;
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Decode WAV or raw PCM to mono 16-bit samples at a sample rate
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} info - Result of inspectAudio()
+ * @param {number} sampleRate - Target sample rate
+ * @returns {Int16Array} - Mono samples
+ */
+function decodeToMono(buffer, info, sampleRate) {
+  const decoded = info.format === 'pcm'
+    ? {
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      samples: new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length - (buffer.length % 2))),
+    }
+    : wavService.decodeWav(buffer);
+
+  return wavService.convertFormat(decoded, { sampleRate, channels: 1 });
+}
+
+/**
+ * Prepare an upload for a provider: normalize WAV/PCM and split long recordings
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} info - Result of inspectAudio()
+ * @param {Object} limits - Provider limits
+ * @param {number} [limits.preferredSampleRate] - Rate the provider works best with
+ * @param {number} [limits.maxDurationSeconds] - Longest audio the provider accepts
+ * @returns {Array<{buffer: Buffer, mimeType: string, filename: string, startSeconds: number}>} - Segments
+ */
+function prepareForStt(buffer, info, limits = {}) {
+  const decodable = info.format === 'pcm' || (info.format === 'wav' && wavService.isDecodable(wavService.parseWav(buffer).format));
+  if (!decodable) {
+    const tooLong = info.durationSeconds === null || info.durationSeconds > limits.maxDurationSeconds;
+    if (limits.maxDurationSeconds && tooLong) {
+      log.info('Input cannot be segmented here; sending as-is', { format: info.format });
+    }
+    return [{ buffer, mimeType: info.mimeType, filename: `recording.${info.extension}`, startSeconds: 0 }];
+  }
+
+  const sampleRate = limits.preferredSampleRate || info.sampleRate;
+  const samples = decodeToMono(buffer, info, sampleRate);
+
+  const maxSamples = limits.maxDurationSeconds ? Math.floor(limits.maxDurationSeconds * sampleRate) : Infinity;
+  if (samples.length <= maxSamples) {
+    return [{
+      buffer: wavService.writeWav(samples, { sampleRate, channels: 1 }),
+      mimeType: 'audio/wav',
+      filename: 'recording.wav',
+      startSeconds: 0,
+    }];
+  }
+
+  // Overlap segments so words cut at a boundary appear whole in one of them
+  const overlapSamples = Math.floor(config.audio.sttSegmentOverlapSeconds * sampleRate);
+  const step = Math.max(1, maxSamples - overlapSamples);
+  const segments = [];
+
+  for (let start = 0; start < samples.length; start += step) {
+    const end = Math.min(start + maxSamples, samples.length);
+    segments.push({
+      buffer: wavService.writeWav(samples.subarray(start, end), { sampleRate, channels: 1 }),
+      mimeType: 'audio/wav',
+      filename: `recording-${segments.length + 1}.wav`,
+      startSeconds: start / sampleRate,
+    });
+    if (end === samples.length) break;
+  }
+
+  log.info('Split recording into segments', { seconds: Number((samples.length / sampleRate).toFixed(1)), segments: segments.length });
+  return segments;
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Join transcripts of overlapping segments, dropping words repeated at the seams
+ * @param {Array<string>} transcripts - Transcripts in segment order
+ * @returns {string} - Stitched transcript
+ */
+function stitchTranscripts(transcripts) {
+  let words = [];
+
+  for (const transcript of transcripts) {
+    const next = transcript.trim().split(/\s+/).filter(Boolean);
+
+    // Longest run of words ending the text so far that also starts this segment
+    let overlap = 0;
+    const maxOverlap = Math.min(words.length, next.length, 12);
+    for (let k = maxOverlap; k > 0; k--) {
+      const tail = words.slice(words.length - k).map(normalizeWord).join(' ');
+      const head = next.slice(0, k).map(normalizeWord).join(' ');
+      if (tail === head) {
+        overlap = k;
+        break;
+      }
+    }
+
+    words = words.concat(next.slice(overlap));
+  }
+
+  return words.join(' ');
+}
+
+module.exports = {
+  checkPcmParams,
+  inspectAudio,
+  prepareForStt,
+  stitchTranscripts,
+};
@@ -0,0 +1,111 @@
+const log = require('./logger').createLogger('Cancel');
+
+/**
+ * Cancellation of running pipelines
+ * Each pipeline run owns an AbortSignal that is passed down to its STT, webhook
+ * and TTS calls. It fires when the client goes away, asks to cancel
+ * (POST /api/requests/:id/cancel) or talks over the reply (barge-in): upstream
+ * requests in flight are aborted and nothing further is started. The signal's
+ * reason is an Error with `cancelled` set; services rethrow it unwrapped so
+ * callers can tell a cancellation from a failure.
+ */
+
+// Running pipelines that can be cancelled by ID
+const running = new Map();
+
+/**
+ * Create the error a cancelled pipeline rejects with
+ * @param {string} [reason] - Why it was cancelled
+ * @returns {Error} - Error with `cancelled` set
+ */
+function createCancelledError(reason = 'Request cancelled') {
+  const error = new Error(reason);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Whether an error is a cancellation rather than a failure
+ * Covers our own reason as well as aborted axios and fetch calls.
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+function isCancelled(error) {
+  return Boolean(error && (error.cancelled || error.code === 'ERR_CANCELED' || error.name === 'AbortError'));
+}
+
+/**
+ * Start tracking a pipeline run
+ * @param {string} requestId - Request (or job, or turn) ID
+ * @param {Object} [meta] - { owner, kind } stored with the run; owner is the
+ *   API key name, if any, and only that key may cancel it
+ * @returns {{signal: AbortSignal, cancel: function(string=): boolean, release: function()}} -
+ *   cancel() returns false if already cancelled; call release() once the run is over
+ */
+function track(requestId, meta = {}) {
+  const controller = new AbortController();
+  const entry = {
+    requestId,
+    owner: meta.owner || null,
+    kind: meta.kind || null,
+    signal: controller.signal,
+    cancel(reason) {
+      if (controller.signal.aborted) return false;
+      log.info('Cancelling', { requestId, kind: entry.kind, reason });
+      controller.abort(createCancelledError(reason));
+      return true;
+    },
+  };
+  running.set(requestId, entry);
+
+  return {
+    signal: controller.signal,
+    cancel: entry.cancel,
+    release() {
+      if (running.get(requestId) === entry) {
+        running.delete(requestId);
+      }
+    },
+  };
+}
+
+/**
+ * Look up a running pipeline
+ * @param {string} requestId - ID passed to track()
+ * @returns {{requestId: string, owner: (string|null), kind: (string|null), signal: AbortSignal, cancel: function(string=): boolean}|null}
+ */
+function find(requestId) {
+  return running.get(requestId) || null;
+}
+
+/**
+ * Wait, unless the signal fires first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Cancels the wait, rejecting with its reason
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  createCancelledError,
+  isCancelled,
+  track,
+  find,
+  sleep,
+};
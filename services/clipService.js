@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const wavService = require('./wavService');
+const log = require('./logger').createLogger('Clips');
+
+/**
+ * Prerecorded audio clips
+ * A webhook `play` directive names a clip; it is read from CLIPS_DIR/<name>.wav
+ * and kept in memory after the first use.
+ */
+
+const CLIP_NAME = /^[\w-]{1,100}$/;
+
+// name -> base64 WAV
+const clips = new Map();
+
+/**
+ * Load a clip by name
+ * @param {string} name - Clip name (letters, digits, _ and -)
+ * @returns {Promise<string>} - Base64 encoded WAV
+ */
+async function loadClip(name) {
+  if (typeof name !== 'string' || !CLIP_NAME.test(name)) {
+    throw new Error(`Invalid clip name: ${name}`);
+  }
+  if (clips.has(name)) {
+    return clips.get(name);
+  }
+  if (!config.clips.dir) {
+    throw new Error('No clips directory configured (set CLIPS_DIR)');
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(path.join(config.clips.dir, `${name}.wav`));
+  } catch (error) {
+    throw new Error(`Clip not found: ${name}`);
+  }
+  if (!wavService.isWav(buffer)) {
+    throw new Error(`Clip ${name} is not a WAV file`);
+  }
+
+  const base64 = buffer.toString('base64');
+  clips.set(name, base64);
+  log.info('Loaded clip', { clip: name, bytes: buffer.length });
+  return base64;
+}
+
+module.exports = {
+  loadClip,
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const providers = require('./providers');
+const webhookFormats = require('./webhookFormats');
+const redaction = require('./redaction');
+
+/**
+ * Startup configuration checks
+ * config.js falls back to defaults for values it cannot parse, so a typo in
+ * an environment variable would otherwise go unnoticed; a missing credential
+ * or webhook would only surface when the first request fails. Each rule
+ * checks one variable as it was set; the checks after it look at how values
+ * fit together. Errors stop the server, warnings are logged.
+ */
+
+const ENV_RULES = [
+  { env: 'PORT', type: 'integer', min: 1, max: 65535 },
+  { env: 'NODE_ENV', type: 'enum', values: ['development', 'production', 'test'], warnOnly: true },
+  { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+  { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'] },
+  { env: 'METRICS_ENABLED', type: 'boolean' },
+
+  { env: 'SAVARAM_STT_URL', type: 'url' },
+  { env: 'SAVARAM_TTS_URL', type: 'url' },
+  { env: 'SAVARAM_TRANSLATE_URL', type: 'url' },
+  { env: 'OPENAI_BASE_URL', type: 'url' },
+  { env: 'LOCAL_STT_URL', type: 'url' },
+  { env: 'LOCAL_TTS_URL', type: 'url' },
+  { env: 'LOCAL_TRANSLATE_URL', type: 'url' },
+  { env: 'STT_PROVIDER', type: 'enum', values: providers.names },
+  { env: 'TTS_PROVIDER', type: 'enum', values: providers.names },
+  { env: 'TRANSLATE_PROVIDER', type: 'enum', values: providers.names },
+  { env: 'TRANSLATION_ENABLED', type: 'boolean' },
+
+  { env: 'WEBHOOK_URL', type: 'url' },
+  { env: 'WEBHOOK_FORMAT', type: 'enum', values: webhookFormats.FORMATS },
+  { env: 'WEBHOOK_HEADERS', type: 'jsonObject' },
+  { env: 'WEBHOOK_PAYLOAD_TEMPLATE', type: 'jsonObject' },
+  { env: 'WEBHOOKS_FILE', type: 'file' },
+  { env: 'WEBHOOK_METADATA_MAX_BYTES', type: 'integer', min: 1 },
+  { env: 'CLIPS_DIR', type: 'directory', warnOnly: true },
+
+  { env: 'AUDIO_SILENCE_BETWEEN_MS', type: 'integer', min: 0 },
+  { env: 'STT_SEGMENT_OVERLAP_SECONDS', type: 'number', min: 0 },
+  { env: 'TTS_CONCURRENCY', type: 'integer', min: 1 },
+  { env: 'SENTENCE_MIN_CHARS', type: 'integer', min: 0 },
+  { env: 'SENTENCE_MAX_CHARS', type: 'integer', min: 1 },
+  { env: 'TEXT_NORMALIZATION_ENABLED', type: 'boolean' },
+  { env: 'TEXT_NORMALIZATION_EXPAND', type: 'boolean' },
+  { env: 'TEXT_NORMALIZATION_URLS', type: 'enum', values: ['domain', 'strip'] },
+  { env: 'TEXT_NORMALIZATION_ABBREVIATIONS_FILE', type: 'file' },
+
+  { env: 'TTS_CACHE_ENABLED', type: 'boolean' },
+  { env: 'TTS_CACHE_MAX_ENTRIES', type: 'integer', min: 1 },
+  { env: 'TTS_CACHE_MAX_BYTES', type: 'integer', min: 1 },
+  { env: 'TTS_CACHE_TTL_MS', type: 'integer', min: 1 },
+  { env: 'TTS_CACHE_DISK_MAX_ENTRIES', type: 'integer', min: 1 },
+
+  { env: 'RETRY_MAX_RETRIES', type: 'integer', min: 0 },
+  { env: 'RETRY_BASE_DELAY_MS', type: 'integer', min: 1 },
+  { env: 'RETRY_MAX_DELAY_MS', type: 'integer', min: 1 },
+  { env: 'RETRY_MAX_RETRY_AFTER_MS', type: 'integer', min: 1 },
+  { env: 'BREAKER_FAILURE_THRESHOLD', type: 'integer', min: 1 },
+  { env: 'BREAKER_RESET_MS', type: 'integer', min: 1 },
+
+  { env: 'SESSION_STORE', type: 'enum', values: ['memory', 'file'] },
+  { env: 'SESSION_TTL_MS', type: 'integer', min: 1 },
+  { env: 'SESSION_MEMORY_MAX_BYTES', type: 'integer', min: 1 },
+  { env: 'JOB_CONCURRENCY', type: 'integer', min: 1 },
+  { env: 'JOB_TTL_MS', type: 'integer', min: 1 },
+  { env: 'JOB_MAX_QUEUED', type: 'integer', min: 1 },
+  { env: 'PIPELINE_HOOKS', type: 'modules' },
+
+  { env: 'REDACTION_LOGS', type: 'boolean' },
+  { env: 'REDACTION_STORAGE', type: 'boolean' },
+  { env: 'REDACTION_WEBHOOK', type: 'enum', values: ['off', 'mask', 'tokenize'] },
+  { env: 'REDACTION_DETECTORS', type: 'list', values: redaction.DETECTOR_NAMES },
+  { env: 'REDACTION_PATTERNS', type: 'regexObject' },
+
+  { env: 'VOICE_ENERGY_THRESHOLD', type: 'integer', min: 1 },
+  { env: 'VOICE_SILENCE_MS', type: 'integer', min: 1 },
+  { env: 'VOICE_MIN_SPEECH_MS', type: 'integer', min: 1 },
+  { env: 'VOICE_MAX_UTTERANCE_MS', type: 'integer', min: 1 },
+  { env: 'VOICE_BARGE_IN', type: 'boolean' },
+
+  { env: 'API_KEYS_FILE', type: 'file' },
+  { env: 'RATE_LIMIT_PER_MINUTE', type: 'integer', min: 0 },
+  { env: 'QUOTA_AUDIO_SECONDS', type: 'integer', min: 0 },
+  { env: 'QUOTA_TTS_CHARACTERS', type: 'integer', min: 0 },
+
+  { env: 'READY_CACHE_MS', type: 'integer', min: 0 },
+  { env: 'READY_PROBE_TIMEOUT_MS', type: 'integer', min: 1 },
+];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Check one environment variable against its rule
+ * @param {Object} rule - Entry of ENV_RULES
+ * @param {string} value - Value as set
+ * @returns {string|null} - Problem, or null if the value is valid
+ */
+function checkValue(rule, value) {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const pattern = rule.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      const number = Number(value);
+      if (!pattern.test(value.trim())) return `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`;
+      if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    }
+    case 'boolean':
+      return ['true', 'false'].includes(value) ? null : 'must be true or false';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'list': {
+      const unknown = value.split(',').map((v) => v.trim()).filter((v) => v && !rule.values.includes(v));
+      return unknown.length === 0 ? null : `has unknown ${unknown.join(', ')} (available: ${rule.values.join(', ')})`;
+    }
+    case 'url':
+      return isHttpUrl(value) ? null : 'must be an http(s) URL';
+    case 'jsonObject':
+      try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? null : 'must be a JSON object';
+      } catch (e) {
+        return `is not valid JSON (${e.message})`;
+      }
+    case 'regexObject':
+      try {
+        const parsed = JSON.parse(value);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return 'must be a JSON object';
+        redaction.parsePatterns(value);
+        return null;
+      } catch (e) {
+        return `is not valid (${e.message})`;
+      }
+    case 'file':
+      return fs.existsSync(value) && fs.statSync(value).isFile() ? null : 'file not found';
+    case 'directory':
+      return fs.existsSync(value) && fs.statSync(value).isDirectory() ? null : 'directory not found';
+    case 'modules': {
+      // Comma-separated module paths, resolved like require() from the working directory
+      const missing = value.split(',').map((p) => p.trim()).filter(Boolean).filter((p) => {
+        try {
+          require.resolve(path.resolve(p));
+          return false;
+        } catch (e) {
+          return true;
+        }
+      });
+      return missing.length === 0 ? null : `module not found: ${missing.join(', ')}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check the webhooks of WEBHOOK_URL and WEBHOOKS_FILE
+ * @param {Object} config - Application config
+ * @param {Array<string>} errors - Collects errors
+ */
+function checkWebhooks(config, errors) {
+  const names = [];
+  if (config.webhook.url) {
+    names.push('default');
+  }
+
+  if (config.webhook.webhooksFile && fs.existsSync(config.webhook.webhooksFile)) {
+    let definitions;
+    try {
+      definitions = JSON.parse(fs.readFileSync(config.webhook.webhooksFile, 'utf8'));
+    } catch (e) {
+      errors.push(`WEBHOOKS_FILE is not valid JSON (${e.message})`);
+      return;
+    }
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      errors.push('WEBHOOKS_FILE must contain a JSON object of named webhooks');
+      return;
+    }
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      names.push(name);
+      const url = definition && definition.url;
+      if (typeof url !== 'string' || !url) {
+        errors.push(`WEBHOOKS_FILE: webhook "${name}" has no url`);
+        continue;
+      }
+      // ${NAME} references are expanded from the environment when loaded
+      const unset = [...url.matchAll(/\$\{(\w+)\}/g)].map((m) => m[1]).filter((variable) => !process.env[variable]);
+      if (unset.length > 0) {
+        errors.push(`WEBHOOKS_FILE: url of webhook "${name}" references unset ${unset.join(', ')}`);
+      } else if (!isHttpUrl(url.replace(/\$\{(\w+)\}/g, (m, variable) => process.env[variable]))) {
+        errors.push(`WEBHOOKS_FILE: url of webhook "${name}" must be an http(s) URL`);
+      }
+      if (definition.format && !webhookFormats.FORMATS.includes(definition.format)) {
+        errors.push(`WEBHOOKS_FILE: format of webhook "${name}" must be one of ${webhookFormats.FORMATS.join(', ')}`);
+      }
+    }
+  }
+
+  if (!names.includes(config.webhook.defaultName)) {
+    errors.push(config.webhook.defaultName === 'default'
+      ? 'WEBHOOK_URL is not set (or define a "default" webhook in WEBHOOKS_FILE)'
+      : `WEBHOOK_DEFAULT "${config.webhook.defaultName}" is not defined in WEBHOOKS_FILE`);
+  }
+}
+
+/**
+ * Validate the configuration
+ * @param {Object} config - Application config
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  for (const rule of ENV_RULES) {
+    const value = process.env[rule.env];
+    if (value === undefined || value === '') continue;
+
+    const problem = checkValue(rule, value);
+    if (problem) {
+      // JSON values can hold secrets (auth headers), so they are not echoed
+      const got = rule.type === 'jsonObject' ? '' : ` (got "${value}")`;
+      (rule.warnOnly ? warnings : errors).push(`${rule.env} ${problem}${got}`);
+    }
+  }
+
+  // Credentials of the default providers; per-request providers are only checked by /api/ready
+  const kinds = config.translation.enabled ? ['stt', 'tts', 'translate'] : ['stt', 'tts'];
+  for (const kind of kinds) {
+    const name = config.providers[kind];
+    if (!providers.names.includes(name)) continue;
+    const { missingCredentials } = providers.getProvider(name).endpoint(kind);
+    for (const variable of missingCredentials) {
+      errors.push(`${variable} is not set (required by ${kind.toUpperCase()}_PROVIDER=${name})`);
+    }
+  }
+
+  checkWebhooks(config, errors);
+
+  if (config.segmentation.minChars >= config.segmentation.maxChars) {
+    errors.push(`SENTENCE_MIN_CHARS (${config.segmentation.minChars}) must be below SENTENCE_MAX_CHARS (${config.segmentation.maxChars})`);
+  }
+  if (config.resilience.baseDelayMs > config.resilience.maxDelayMs) {
+    errors.push(`RETRY_BASE_DELAY_MS (${config.resilience.baseDelayMs}) must not exceed RETRY_MAX_DELAY_MS (${config.resilience.maxDelayMs})`);
+  }
+
+  if (config.server.nodeEnv === 'production') {
+    if (config.auth.apiKeys.length === 0 && !config.auth.apiKeysFile) {
+      warnings.push('No API keys configured: the API is open to anyone who can reach it');
+    }
+    if (config.metrics.enabled && !config.metrics.token) {
+      errors.push('METRICS_TOKEN is not set (required in production while METRICS_ENABLED=true)');
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  validateConfig,
+};
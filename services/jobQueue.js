@@ -0,0 +1,243 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const resilience = require('./resilience');
+const outboundGuard = require('./outboundGuard');
+const cancellation = require('./cancellation');
+const logger = require('./logger');
+
+const log = logger.createLogger('Jobs');
+
+/**
+ * In-process job queue with bounded worker concurrency
+ * Jobs run through a caller-supplied processor that reports progress stage by
+ * stage. Finished jobs are kept for JOB_TTL_MS so clients can poll the result,
+ * and an optional callbackUrl receives a signed POST when the job finishes.
+ * At most JOB_MAX_QUEUED jobs wait for a worker, since each holds its upload.
+ * Jobs can be cancelled: a queued job is dropped, a running one has the
+ * signal given to its processor fired.
+ */
+
+/**
+ * Sign a callback body
+ * The signature is HMAC-SHA256 over "<timestamp>.<body>" with JOB_CALLBACK_SECRET,
+ * so receivers can reject replayed or tampered callbacks.
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signCallback(timestamp, body) {
+  const hmac = crypto.createHmac('sha256', config.jobs.callbackSecret);
+  hmac.update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * POST the finished job to its callbackUrl
+ * @param {Object} job - Finished job
+ */
+async function sendCallback(job) {
+  const body = JSON.stringify({
+    jobId: job.id,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    completedAt: job.completedAt,
+  });
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Job-Id': job.id,
+    'X-Job-Timestamp': timestamp,
+  };
+  if (config.jobs.callbackSecret) {
+    headers['X-Job-Signature'] = signCallback(timestamp, body);
+  }
+
+  job.callback = { status: 'sending', attempts: 0 };
+
+  try {
+    // One breaker per receiver, so a broken one does not fail everyone's callbacks
+    await resilience.callWithResilience(`job-callback:${new URL(job.callbackUrl).origin}`, () => {
+      job.callback.attempts++;
+      return axios.post(job.callbackUrl, body, { headers, timeout: 10000, ...outboundGuard.requestOptions(job.callbackUrl) });
+    });
+    job.callback.status = 'delivered';
+    log.info('Callback delivered');
+  } catch (error) {
+    job.callback.status = 'failed';
+    job.callback.error = error.message;
+    log.error('Callback failed', { error });
+  }
+}
+
+/**
+ * Create a job queue
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Max jobs running at once (default: JOB_CONCURRENCY)
+ * @param {number} options.maxQueued - Max jobs waiting to run (default: JOB_MAX_QUEUED)
+ * @param {Function} options.processJob - async (job, stage, signal) => result; call
+ *   `await stage(name, fn)` to run and record each stage and pass `signal` on
+ *   to cancellable work
+ * @returns {{submit: function(Object): (Object|null), get: function(string): (Object|null), cancel: function(string, string=): boolean}}
+ */
+function createJobQueue(options) {
+  const concurrency = options.concurrency || config.jobs.concurrency;
+  const maxQueued = options.maxQueued || config.jobs.maxQueued;
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const evictExpired = () => {
+    const cutoff = Date.now() - config.jobs.ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.completedAt && Date.parse(job.completedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const finishJob = async (job) => {
+    job.completedAt = new Date().toISOString();
+    log.info('Job finished', { status: job.status });
+
+    // The job input can be large (uploaded audio); it is not needed any more
+    delete job.input;
+
+    if (job.callbackUrl) {
+      await sendCallback(job);
+    }
+  };
+
+  const runJob = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    log.info('Job started');
+
+    const tracked = cancellation.track(job.id, { owner: job.owner, kind: 'job' });
+
+    const stage = async (name, fn) => {
+      const record = { name, status: 'running', startedAt: new Date().toISOString() };
+      job.stages.push(record);
+      try {
+        const result = await fn();
+        record.status = 'completed';
+        return result;
+      } catch (error) {
+        record.status = cancellation.isCancelled(error) ? 'cancelled' : 'failed';
+        record.error = error.message;
+        throw error;
+      } finally {
+        record.completedAt = new Date().toISOString();
+      }
+    };
+
+    try {
+      job.result = await options.processJob(job, stage, tracked.signal);
+      job.status = 'completed';
+    } catch (error) {
+      job.error = error.message;
+      if (cancellation.isCancelled(error)) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'failed';
+        log.error('Job failed', { error });
+      }
+    } finally {
+      tracked.release();
+    }
+
+    await finishJob(job);
+  };
+
+  const startNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      // Log entries made while running the job carry its ID as requestId
+      logger.runWithContext({ requestId: job.id }, () => runJob(job)).finally(() => {
+        running--;
+        startNext();
+      });
+    }
+  };
+
+  return {
+    /**
+     * Queue a new job
+     * @param {Object} input - Data for the processor (not exposed by get())
+     * @param {Object} [meta] - { callbackUrl, owner } stored with the job;
+     *   callbackUrl must have passed outboundGuard.checkUrl
+     * @returns {Object|null} - The queued job, or null if the queue is full
+     */
+    submit(input, meta = {}) {
+      evictExpired();
+      if (pending.length >= maxQueued) {
+        log.warn('Job queue full', { queued: pending.length });
+        return null;
+      }
+
+      const job = {
+        id: uuidv4(),
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        stages: [],
+        result: null,
+        error: null,
+        callbackUrl: meta.callbackUrl || null,
+        owner: meta.owner || null,
+        input,
+      };
+
+      jobs.set(job.id, job);
+      pending.push(job);
+      startNext();
+      return job;
+    },
+
+    /**
+     * Look up a job
+     * @param {string} id - Job ID
+     * @returns {Object|null} - Job without its input, or null if unknown
+     */
+    get(id) {
+      evictExpired();
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      const { input, ...visible } = job;
+      return { ...visible, queuePosition: job.status === 'queued' ? pending.indexOf(job) + 1 : null };
+    },
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} id - Job ID
+     * @param {string} [reason] - Recorded as the job's error
+     * @returns {boolean} - False if the job is unknown or already finished
+     */
+    cancel(id, reason = 'Job cancelled') {
+      const job = jobs.get(id);
+      if (!job) return false;
+
+      if (job.status === 'queued') {
+        pending.splice(pending.indexOf(job), 1);
+        job.status = 'cancelled';
+        job.error = reason;
+        logger.runWithContext({ requestId: job.id }, () => finishJob(job));
+        return true;
+      }
+
+      const tracked = job.status === 'running' && cancellation.find(id);
+      return tracked ? tracked.cancel(reason) : false;
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  signCallback,
+};
@@ -0,0 +1,117 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const config = require('../config');
+const redaction = require('./redaction');
+
+/**
+ * Leveled JSON logging
+ * Every entry is one line: { time, level, component, msg, requestId, ...fields }.
+ * The requestId (and any other context) comes from the async context set with
+ * runWithContext, so services log it without it being passed to them.
+ * LOG_LEVEL drops entries below debug | info | warn | error; LOG_FORMAT=pretty
+ * prints readable lines instead of JSON for development. Fields carry user
+ * content (transcripts, reply text), so personal data in them is masked
+ * unless REDACTION_LOGS=false.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields added to every log entry made inside it
+ * @param {Object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Current context fields
+ * @returns {Object}
+ */
+function getContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Bind a callback to the current context
+ * Stream and socket events run in the context of whoever opened the
+ * connection, so their handlers are bound to the request's.
+ * @param {Function} fn - Callback
+ * @returns {Function} - Callback that runs in the current context
+ */
+function bindContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Wrap a middleware whose callback loses the async context
+ * Stream-based body parsers (multer) call next() from request stream events.
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - Middleware that calls next() in the caller's context
+ */
+function preserveContext(middleware) {
+  return (req, res, next) => middleware(req, res, bindContext(next));
+}
+
+/**
+ * Serialize a field value; errors would otherwise become {}
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function serialize(value) {
+  const serialized = value instanceof Error ? value.message : value;
+  return config.redaction.logs ? redaction.redactValue(serialized) : serialized;
+}
+
+function formatPretty(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, component, message, fields = {}) {
+  if (LEVELS[level] < (LEVELS[config.logging.level] || LEVELS.info)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: message,
+    ...getContext(),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const line = config.logging.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for one component
+ * @param {string} component - Component name, e.g. 'STT'
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} -
+ *   each called as (message, fields?)
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithContext,
+  getContext,
+  bindContext,
+  preserveContext,
+};
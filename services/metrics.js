@@ -0,0 +1,223 @@
+/**
+ * Prometheus metrics
+ * A small in-process registry of counters and histograms, rendered in the
+ * Prometheus text exposition format by GET /metrics.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Registered metrics, in registration order
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values by name
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Pick the declared labels, so a series is identified by a stable key
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {Object} - Label values in declaration order ('' when missing)
+ */
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  }
+  return picked;
+}
+
+/**
+ * Create and register a counter
+ * @param {Object} definition - { name, help, labelNames? }
+ * @returns {{inc: function(Object=, number=)}}
+ */
+function createCounter({ name, help, labelNames = [] }) {
+  // series key -> { labels, value }
+  const series = new Map();
+
+  const metric = {
+    /**
+     * Increase the counter
+     * @param {Object} [labels] - Label values
+     * @param {number} [value] - Amount (default 1)
+     */
+    inc(labels = {}, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, value: 0 });
+      }
+      series.get(key).value += value;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join('\n');
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Create and register a histogram
+ * @param {Object} definition - { name, help, labelNames?, buckets? } (buckets in seconds)
+ * @returns {{observe: function(Object, number), startTimer: function(Object=): function(Object=): number}}
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  // series key -> { labels, counts (per bucket, not cumulative), sum, count }
+  const series = new Map();
+
+  const metric = {
+    /**
+     * Record one observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value in seconds
+     */
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      const bucket = buckets.findIndex((bound) => value <= bound);
+      if (bucket !== -1) entry.counts[bucket]++;
+      entry.sum += value;
+      entry.count++;
+    },
+
+    /**
+     * Start timing an operation
+     * @param {Object} [labels] - Label values known at the start
+     * @returns {function(Object=): number} - Call to record the elapsed time, optionally
+     *   with more labels; returns the elapsed seconds
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        let cumulative = 0;
+        buckets.forEach((bound, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} - Text exposition format
+ */
+function render() {
+  return `${registry.map((metric) => metric.render()).join('\n\n')}\n`;
+}
+
+// HTTP
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+});
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration',
+  labelNames: ['method', 'route'],
+});
+
+// Pipeline stages
+const sttDuration = createHistogram({
+  name: 'stt_duration_seconds',
+  help: 'Speech-to-text duration per recording, including segmenting and retries',
+  labelNames: ['provider'],
+});
+const webhookFirstByte = createHistogram({
+  name: 'webhook_first_byte_seconds',
+  help: 'Time from calling the webhook to the first byte of its response',
+  labelNames: ['webhook'],
+});
+const webhookDuration = createHistogram({
+  name: 'webhook_duration_seconds',
+  help: 'Time from calling the webhook to the end of its response',
+  labelNames: ['webhook'],
+});
+const ttsDuration = createHistogram({
+  name: 'tts_sentence_duration_seconds',
+  help: 'Text-to-speech duration per sentence',
+  labelNames: ['provider', 'cache'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+const translationDuration = createHistogram({
+  name: 'translation_duration_seconds',
+  help: 'Translation duration per text (transcript or reply sentence)',
+  labelNames: ['provider'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+const pipelineDuration = createHistogram({
+  name: 'pipeline_duration_seconds',
+  help: 'End-to-end duration of a pipeline run (recording in, last audio out)',
+  labelNames: ['pipeline', 'outcome'],
+});
+
+// Upstreams and volume
+const upstreamErrors = createCounter({
+  name: 'upstream_errors_total',
+  help: 'Failed upstream call attempts by upstream and kind (transient, rejected, circuit_open, cancelled)',
+  labelNames: ['upstream', 'kind'],
+});
+const audioSeconds = createCounter({
+  name: 'audio_seconds_processed_total',
+  help: 'Seconds of caller audio received for speech-to-text',
+});
+const ttsCharacters = createCounter({
+  name: 'tts_characters_total',
+  help: 'Characters sent to text-to-speech',
+});
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  render,
+  httpRequests,
+  httpRequestDuration,
+  sttDuration,
+  webhookFirstByte,
+  webhookDuration,
+  ttsDuration,
+  translationDuration,
+  pipelineDuration,
+  upstreamErrors,
+  audioSeconds,
+  ttsCharacters,
+};
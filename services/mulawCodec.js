@@ -0,0 +1,121 @@
+const wavService = require('./wavService');
+
+/**
+ * G.711 μ-law codec for telephony media streams
+ * Phone lines carry 8 kHz mono audio with each sample compressed to one byte.
+ * Caller audio is decoded to 16-bit PCM for voice activity detection and STT;
+ * TTS output is low-pass filtered, resampled and encoded for playback.
+ */
+
+const SAMPLE_RATE = 8000;
+const BIAS = 0x84;
+const CLIP = 32635;
+// Telephone band; also keeps resampling to 8 kHz free of aliasing
+const CUTOFF_HZ = 3400;
+const FILTER_TAPS = 31;
+
+// Every μ-law byte decodes to one of 256 values
+const DECODE_TABLE = new Int16Array(256);
+for (let byte = 0; byte < 256; byte++) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + BIAS) << exponent) - BIAS;
+  DECODE_TABLE[byte] = value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Encode one 16-bit sample
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - μ-law byte
+ */
+function encodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode μ-law bytes
+ * @param {Buffer} data - μ-law bytes
+ * @returns {Buffer} - PCM16LE samples
+ */
+function decode(data) {
+  const samples = new Int16Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    samples[i] = DECODE_TABLE[data[i]];
+  }
+  return Buffer.from(samples.buffer);
+}
+
+/**
+ * Encode 16-bit samples
+ * @param {Int16Array} samples - Mono samples
+ * @returns {Buffer} - μ-law bytes
+ */
+function encode(samples) {
+  const data = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    data[i] = encodeSample(samples[i]);
+  }
+  return data;
+}
+
+/**
+ * Low-pass filter mono samples (Hamming-windowed sinc)
+ * @param {Int16Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {number} cutoffHz - Cutoff frequency
+ * @returns {Int16Array} - Filtered samples
+ */
+function lowPass(samples, sampleRate, cutoffHz) {
+  const half = (FILTER_TAPS - 1) / 2;
+  const fc = cutoffHz / sampleRate;
+  const taps = new Float64Array(FILTER_TAPS);
+  let sum = 0;
+  for (let i = 0; i < FILTER_TAPS; i++) {
+    const n = i - half;
+    const sinc = n === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * n) / (Math.PI * n);
+    taps[i] = sinc * (0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (FILTER_TAPS - 1)));
+    sum += taps[i];
+  }
+
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    let acc = 0;
+    for (let t = 0; t < FILTER_TAPS; t++) {
+      const at = i + t - half;
+      if (at >= 0 && at < samples.length) {
+        acc += samples[at] * taps[t];
+      }
+    }
+    output[i] = Math.max(-32768, Math.min(32767, Math.round(acc / sum)));
+  }
+  return output;
+}
+
+/**
+ * Transcode a WAV file (e.g. 24 kHz TTS output) to 8 kHz μ-law
+ * @param {Buffer} wav - WAV file
+ * @returns {Buffer} - μ-law bytes at 8 kHz mono
+ */
+function fromWav(wav) {
+  const audio = wavService.decodeWav(wav);
+  let samples = wavService.convertChannels(audio.samples, audio.channels, 1);
+  if (audio.sampleRate > SAMPLE_RATE) {
+    samples = lowPass(samples, audio.sampleRate, CUTOFF_HZ);
+  }
+  return encode(wavService.resample(samples, 1, audio.sampleRate, SAMPLE_RATE));
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  decode,
+  encode,
+  fromWav,
+};
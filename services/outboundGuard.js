@@ -0,0 +1,137 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../config');
+
+/**
+ * Guard for URLs supplied by clients, such as job callback URLs
+ * The server would otherwise POST wherever a client points it, including
+ * cloud metadata endpoints and services only reachable from inside the
+ * network. Targets must be public addresses unless their host is listed in
+ * JOB_CALLBACK_ALLOWED_HOSTS; when that list is set, only listed hosts are
+ * accepted. Host names are checked again when the request connects, so a
+ * name cannot be re-pointed at a private address after the check.
+ */
+
+// Loopback, private, link-local, shared, reserved and multicast ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a host is on the allow-list
+ * Entries match exactly, or as "*.example.com" any subdomain of example.com.
+ * @param {string} hostname - Host name of the URL
+ * @param {Array<string>} allowedHosts - JOB_CALLBACK_ALLOWED_HOSTS
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((entry) => {
+    const allowed = entry.toLowerCase();
+    return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+  });
+}
+
+/**
+ * Host name of a URL without the brackets of IPv6 literals
+ * @param {URL} url - Parsed URL
+ * @returns {string}
+ */
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Check a client-supplied URL before accepting it
+ * @param {string} value - URL to check
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedHosts] - Default: JOB_CALLBACK_ALLOWED_HOSTS
+ * @param {Function} [options.lookup] - dns.promises.lookup, replaceable for tests
+ * @returns {Promise<string|null>} - Why the URL is refused, or null if it is acceptable
+ */
+async function checkUrl(value, options = {}) {
+  const allowedHosts = options.allowedHosts || config.jobs.callbackAllowedHosts;
+  const lookup = options.lookup || dns.promises.lookup;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'must be an http(s) URL';
+  }
+
+  const host = hostOf(url);
+  if (allowedHosts.length > 0) {
+    return isAllowedHost(host, allowedHosts) ? null : 'host is not allowed';
+  }
+
+  if (net.isIP(host)) {
+    return isPrivateAddress(host) ? 'must not point at a private address' : null;
+  }
+  try {
+    const addresses = await lookup(host, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address)) ? 'must not point at a private address' : null;
+  } catch (error) {
+    return 'host cannot be resolved';
+  }
+}
+
+/**
+ * Request options that refuse to connect to private addresses
+ * Pass them to axios along with the URL that checkUrl accepted.
+ * @param {string} value - URL of the request
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedHosts] - Default: JOB_CALLBACK_ALLOWED_HOSTS
+ * @returns {Object} - { lookup, maxRedirects }; no lookup for allow-listed hosts
+ */
+function requestOptions(value, options = {}) {
+  const allowedHosts = options.allowedHosts || config.jobs.callbackAllowedHosts;
+  // A redirect would lead past the check
+  const guarded = { maxRedirects: 0 };
+  if (allowedHosts.length > 0 && isAllowedHost(hostOf(new URL(value)), allowedHosts)) {
+    return guarded;
+  }
+
+  guarded.lookup = (hostname, lookupOptions, callback) => {
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(new Error(`Refusing to connect to private address ${blocked.address}`));
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+  return guarded;
+}
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedHost,
+  checkUrl,
+  requestOptions,
+};
@@ -0,0 +1,417 @@
+const path = require('path');
+const config = require('../config');
+const sttService = require('./sttService');
+const webhookService = require('./webhookService');
+const ttsService = require('./ttsService');
+const translationService = require('./translationService');
+const replySynthesizer = require('./replySynthesizer');
+const sessionStore = require('./sessionStore');
+const usageService = require('./usageService');
+const cancellation = require('./cancellation');
+const redaction = require('./redaction');
+const metrics = require('./metrics');
+const log = require('./logger').createLogger('Pipeline');
+
+/**
+ * The voice pipeline: caller's speech (or text) -> webhook -> spoken reply
+ * Every endpoint runs this same engine and only adapts its output: SSE
+ * events, a JSON response, a job result, WebSocket messages or phone audio.
+ *
+ * Stages, each run through handlers.stage:
+ *   stt        transcribe the caller's audio (skipped for text input)
+ *   translate  translate the transcript into the agent's language (only with
+ *              translation on and the caller speaking another language)
+ *   webhook    send the transcript; sentences are queued for TTS as they stream
+ *              in, translated back into the caller's language first if needed
+ *   tts        wait for the sentences still being synthesized
+ *
+ * Hooks let deployments filter, route and post-process without touching the
+ * endpoints. Each gets (value, context) and returns a replacement, null to
+ * drop the value, or undefined to keep it. Hooks of the same name run in
+ * registration order, each on the previous one's output.
+ *   afterStt(transcript)         { text, language }, also for text input; null
+ *                                ends the run without a reply
+ *   beforeWebhook(request)       { message, webhook, channel, metadata, language };
+ *                                null ends the run without a reply
+ *   afterWebhookChunk(chunk)     { response, content, directive } per parsed
+ *                                webhook response; null ignores it (synchronous)
+ *   beforeTts(item)              { sentence, translation, spokenText, options } per
+ *                                sentence; null skips it (synchronous)
+ *   afterTts(result)             { index, sentence, translation, spokenText, clip, ttsBase64 };
+ *                                may replace ttsBase64
+ * context is { pipeline, requestId, sessionId, apiKey, transcript, state };
+ * `state` is shared by the hooks of one run. A hook that throws fails the run,
+ * except afterTts, whose errors fail only that sentence.
+ */
+
+const HOOK_NAMES = ['afterStt', 'beforeWebhook', 'afterWebhookChunk', 'beforeTts', 'afterTts'];
+
+// Hooks applied to every run, in registration order
+const registeredHooks = [];
+
+/**
+ * Register hooks for every pipeline run
+ * @param {Object} hooks - Functions by hook name
+ * @returns {Function} - Unregisters them
+ */
+function registerHooks(hooks) {
+  const unknown = Object.keys(hooks).filter((name) => !HOOK_NAMES.includes(name) || typeof hooks[name] !== 'function');
+  if (unknown.length > 0) {
+    throw new Error(`Invalid pipeline hooks: ${unknown.join(', ')}. Available: ${HOOK_NAMES.join(', ')}`);
+  }
+
+  registeredHooks.push(hooks);
+  return () => {
+    const at = registeredHooks.indexOf(hooks);
+    if (at !== -1) registeredHooks.splice(at, 1);
+  };
+}
+
+/**
+ * Register the hook modules listed in PIPELINE_HOOKS
+ * Each module exports an object of hooks; paths are relative to the working directory.
+ */
+function loadHookModules() {
+  for (const modulePath of config.pipeline.hooks) {
+    const hooks = require(path.resolve(modulePath));
+    registerHooks(hooks);
+    log.info('Loaded hooks', { module: modulePath, hooks: Object.keys(hooks) });
+  }
+}
+
+loadHookModules();
+
+/**
+ * Hooks of one name for a run
+ * @param {string} name - Hook name
+ * @param {Object} [runHooks] - Hooks of this run, applied after the registered ones
+ * @returns {Array<Function>}
+ */
+function getHooks(name, runHooks) {
+  return [...registeredHooks, runHooks || {}].map((hooks) => hooks[name]).filter(Boolean);
+}
+
+/**
+ * Run hooks in turn, each on the previous one's output
+ * @param {Array<Function>} hooks - Hooks of one name
+ * @param {*} value - Input of the first hook
+ * @param {Object} context - Run context
+ * @returns {Promise<*>} - Output of the last hook, or null if one dropped the value
+ */
+async function applyHooks(hooks, value, context) {
+  for (const hook of hooks) {
+    const result = await hook(value, context);
+    if (result === null) return null;
+    if (result !== undefined) value = result;
+  }
+  return value;
+}
+
+/**
+ * Synchronous applyHooks, for hooks called while the reply streams in
+ * @param {string} name - Hook name, for the error message
+ * @param {Array<Function>} hooks - Hooks of one name
+ * @param {*} value - Input of the first hook
+ * @param {Object} context - Run context
+ * @returns {*} - Output of the last hook, or null if one dropped the value
+ */
+function applyHooksSync(name, hooks, value, context) {
+  for (const hook of hooks) {
+    const result = hook(value, context);
+    if (result && typeof result.then === 'function') {
+      throw new Error(`${name} hooks must be synchronous`);
+    }
+    if (result === null) return null;
+    if (result !== undefined) value = result;
+  }
+  return value;
+}
+
+/**
+ * Store a completed turn, logging rather than failing the run on error
+ * @param {string} sessionId - Session ID
+ * @param {Object} turn - Turn passed to sessionStore.addTurn
+ * @param {Object|null} apiKey - Key of the caller, who owns the session
+ */
+async function recordTurn(sessionId, turn, apiKey) {
+  try {
+    await sessionStore.addTurn(sessionId, turn, apiKey ? apiKey.name : null);
+  } catch (error) {
+    log.error('Error storing turn', { sessionId, error });
+  }
+}
+
+/**
+ * Run the pipeline once
+ * @param {Object} input - { audio: Buffer, mimeType } to transcribe, or { text, language }
+ * @param {Object} options - Run options
+ * @param {string} options.pipeline - Name, for metrics and hooks ('stream', 'voice', ...)
+ * @param {string} options.requestId - Request ID, sent to the webhook and stored with the turn
+ * @param {string} options.sessionId - Conversation session
+ * @param {Object} [options.sttOptions] - Options for sttService.transcribeAudio
+ * @param {Object} options.ttsOptions - Voice options; language may be 'auto'
+ * @param {Object} [options.webhookOptions] - { webhook, channel, metadata }
+ * @param {Object} [options.translation] - { enabled, agentLanguage, provider }, see
+ *   translationService.parseTranslationOptions (default: from configuration)
+ * @param {Object} [options.apiKey] - Key the TTS characters are metered against
+ * @param {boolean} [options.failOnTtsError] - Fail the run if a sentence could not be synthesized
+ * @param {Object} [options.hooks] - Hooks of this run only
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {Object} [handlers] - Output adapter
+ * @param {Function} [handlers.stage] - (name, fn) => fn(), wraps each stage
+ * @param {Function} [handlers.onTranscript] - ({ text, language, translation, ttsOptions })
+ *   once the transcript is final; translation is what the agent is sent, or null if
+ *   the transcript was not translated; ttsOptions has the reply language resolved
+ * @param {Function} [handlers.onQueued] - See replySynthesizer
+ * @param {Function} [handlers.onSkipped] - See replySynthesizer
+ * @param {Function} [handlers.onResult] - See replySynthesizer
+ * @param {Function} [handlers.onError] - See replySynthesizer
+ * @param {Function} [handlers.onDirective] - See replySynthesizer
+ * @param {Function} [handlers.onWebhookComplete] - ({ webhookResponses, accumulatedText,
+ *   sentenceCount, directives }) when the webhook reply has ended
+ * @returns {Promise<Object>} - { transcript, language, transcriptTranslation, ttsOptions,
+ *   replied, webhookResponses, accumulatedText, replyTranslation, sentenceCount, results,
+ *   errors, directives }; results are { sentenceIndex, sentence, translation, spokenText,
+ *   clip, ttsBase64 } in reply order. The translations are null when nothing was translated.
+ */
+async function runPipeline(input, options, handlers = {}) {
+  const endPipelineTimer = metrics.pipelineDuration.startTimer({ pipeline: options.pipeline });
+  try {
+    const result = await run(input, options, handlers);
+    endPipelineTimer({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    endPipelineTimer({ outcome: cancellation.isCancelled(error) ? 'cancelled' : 'error' });
+    throw error;
+  }
+}
+
+/**
+ * Body of runPipeline, without the timing
+ * @param {Object} input - See runPipeline
+ * @param {Object} options - See runPipeline
+ * @param {Object} handlers - See runPipeline
+ * @returns {Promise<Object>} - See runPipeline
+ */
+async function run(input, options, handlers) {
+  const { pipeline, requestId, sessionId, apiKey = null } = options;
+  const hooks = (name) => getHooks(name, options.hooks);
+  const context = { pipeline, requestId, sessionId, apiKey, transcript: null, state: {} };
+
+  // Synchronous hooks run inside stream and queue callbacks; a failing one
+  // stops the run through the signal, as does a failed webhook call. The work
+  // it aborts rejects as cancelled, so stages throw the hook's error instead.
+  const failure = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, failure.signal]) : failure.signal;
+  const runStage = handlers.stage || ((name, fn) => fn());
+  const stage = (name, fn) => runStage(name, async () => {
+    try {
+      return await fn();
+    } catch (error) {
+      throw failure.signal.aborted && !(options.signal && options.signal.aborted) ? failure.signal.reason : error;
+    }
+  });
+  const runSyncHooks = (name, value) => {
+    try {
+      return applyHooksSync(name, hooks(name), value, context);
+    } catch (error) {
+      log.error('Hook failed', { hook: name, error });
+      failure.abort(error);
+      return null;
+    }
+  };
+
+  let transcript = input.audio
+    ? await stage('stt', () =>
+      sttService.transcribeAudio(input.audio, input.mimeType || 'audio/wav', { ...options.sttOptions, signal })
+    )
+    : { text: input.text, language: input.language || null };
+  if (input.audio) {
+    log.info('STT result', { text: transcript.text });
+  }
+  const heard = await applyHooks(hooks('afterStt'), transcript, context);
+  transcript = heard || { text: '', language: transcript.language };
+  context.transcript = transcript;
+
+  // The agent works in one language; callers speaking another are translated
+  // for it, and its reply back for them
+  const translation = options.translation || translationService.parseTranslationOptions().options;
+  const { agentLanguage, provider: translateProvider } = translation;
+  let transcriptTranslation = null;
+  // Text without letters, such as keypad digits, reads the same in any language
+  const translatable = Boolean(heard && transcript.text && /\p{L}/u.test(transcript.text));
+  if (translation.enabled && translatable && !translationService.isSameLanguage(transcript.language, agentLanguage)) {
+    transcriptTranslation = await stage('translate', () =>
+      translationService.translateText(transcript.text, {
+        provider: translateProvider,
+        source: transcript.language,
+        target: agentLanguage,
+        signal,
+      })
+    );
+  }
+
+  // "auto" replies in the language the caller spoke
+  const ttsOptions = {
+    ...options.ttsOptions,
+    target_language_code: ttsService.resolveTargetLanguage(options.ttsOptions.target_language_code, transcript.language),
+  };
+  if (handlers.onTranscript) {
+    handlers.onTranscript({ text: transcript.text, language: transcript.language, translation: transcriptTranslation, ttsOptions });
+  }
+
+  const outcome = {
+    transcript: transcript.text,
+    language: transcript.language,
+    transcriptTranslation,
+    ttsOptions,
+    replied: false,
+    webhookResponses: [],
+    accumulatedText: '',
+    replyTranslation: null,
+    sentenceCount: 0,
+    results: [],
+    errors: [],
+    directives: [],
+  };
+
+  const agentMessage = transcriptTranslation
+    ? { message: transcriptTranslation, language: agentLanguage }
+    : { message: transcript.text, language: transcript.language };
+  const webhookRequest = heard
+    ? await applyHooks(hooks('beforeWebhook'), { ...options.webhookOptions, ...agentMessage }, context)
+    : null;
+  if (!webhookRequest) {
+    log.info('Reply skipped by hook');
+    return outcome;
+  }
+
+  let firstError = null;
+  // Reply sentences as spoken, in order; only kept once one is translated
+  const spokenSentences = [];
+  let translatedReply = false;
+  const translateReply = (sentence, language) => {
+    if (translationService.isSameLanguage(agentLanguage, language)) {
+      return Promise.resolve(null);
+    }
+    return translationService.translateText(sentence, { provider: translateProvider, source: agentLanguage, target: language, signal });
+  };
+
+  // Sentences are synthesized in parallel but delivered in reply order
+  const reply = replySynthesizer.createReplySynthesizer(ttsOptions, {
+    signal,
+    translate: translation.enabled ? translateReply : undefined,
+    beforeTts: (item) => runSyncHooks('beforeTts', item),
+    afterTts: async (result) => {
+      const changed = await applyHooks(hooks('afterTts'), result, context);
+      return changed ? changed.ttsBase64 : result.ttsBase64;
+    },
+    onQueued: (item) => {
+      if (item.sentence) {
+        spokenSentences.push(item.translation || item.sentence);
+        translatedReply = translatedReply || Boolean(item.translation);
+      }
+      if (handlers.onQueued) handlers.onQueued(item);
+    },
+    onSkipped: handlers.onSkipped,
+    onResult: (result) => {
+      const { index, sentence, translation: sentenceTranslation = null, spokenText, clip, ttsBase64 } = result;
+      outcome.results.push({ sentenceIndex: index, sentence, translation: sentenceTranslation, spokenText, clip, ttsBase64 });
+      if (spokenText) {
+        usageService.recordUsage(apiKey, { ttsCharacters: spokenText.length });
+      }
+      if (handlers.onResult) handlers.onResult(result);
+    },
+    onError: (error, item) => {
+      log.error('Error converting sentence', { sentenceIndex: item.index, error });
+      firstError = firstError || error;
+      outcome.errors.push({ sentenceIndex: item.index, sentence: item.sentence, clip: item.clip, error: error.message });
+      if (handlers.onError) handlers.onError(error, item);
+    },
+    onDirective: (directive) => {
+      log.info('Directive', { directive: directive.directive });
+      outcome.directives.push(directive);
+      if (handlers.onDirective) handlers.onDirective(directive);
+    },
+  });
+
+  // With REDACTION_WEBHOOK=tokenize the agent sees tokens for personal data
+  // and the caller hears the values again
+  const { message, ...request } = webhookRequest;
+  const detokenizer = redaction.createDetokenizer(sessionId);
+  const pushText = (text) => {
+    if (!text) return;
+    outcome.accumulatedText += text;
+    reply.pushText(text);
+  };
+
+  try {
+    outcome.webhookResponses = await stage('webhook', () =>
+      webhookService.callWebhookStream(redaction.redactForWebhook(sessionId, message), { ...request, sessionId, requestId, signal }, (response, content, directive) => {
+        const chunk = runSyncHooks('afterWebhookChunk', { response, content, directive });
+        if (!chunk) return;
+        // Feed text and directives to the reply synthesizer in stream order
+        if (chunk.content) {
+          pushText(detokenizer.push(chunk.content));
+        }
+        if (chunk.directive) {
+          pushText(detokenizer.flush());
+          reply.pushDirective(chunk.directive);
+        }
+      })
+    );
+  } catch (error) {
+    // The run has failed: stop synthesizing (and metering) the sentences already queued
+    failure.abort(error);
+    throw error;
+  }
+  outcome.replied = true;
+
+  // Whatever text followed the last sentence boundary is the final sentence
+  pushText(detokenizer.flush());
+  outcome.sentenceCount = reply.end();
+  log.info('Webhook reply complete', {
+    responses: outcome.webhookResponses.length,
+    sentences: outcome.sentenceCount,
+    text: outcome.accumulatedText,
+  });
+  if (handlers.onWebhookComplete) {
+    handlers.onWebhookComplete({
+      webhookResponses: outcome.webhookResponses,
+      accumulatedText: outcome.accumulatedText,
+      sentenceCount: outcome.sentenceCount,
+      directives: outcome.directives,
+    });
+  }
+
+  await stage('tts', async () => {
+    await reply.drain();
+    if (options.failOnTtsError && firstError) {
+      throw firstError;
+    }
+  });
+  if (translatedReply) {
+    outcome.replyTranslation = spokenSentences.join(' ');
+  }
+  log.info('Pipeline complete', { audioFiles: outcome.results.length, failed: outcome.errors.length });
+
+  const turn = {
+    requestId,
+    transcript: outcome.transcript,
+    reply: outcome.accumulatedText,
+    audio: outcome.results,
+    directives: outcome.directives,
+  };
+  if (outcome.transcriptTranslation || outcome.replyTranslation) {
+    turn.translation = { transcript: outcome.transcriptTranslation, reply: outcome.replyTranslation };
+  }
+  await recordTurn(sessionId, turn, apiKey);
+
+  return outcome;
+}
+
+module.exports = {
+  HOOK_NAMES,
+  registerHooks,
+  runPipeline,
+};
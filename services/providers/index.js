@@ -0,0 +1,76 @@
+const config = require('../../config');
+const sarvam = require('./sarvam');
+const openai = require('./openai');
+const local = require('./local');
+
+/**
+ * Registry of STT/TTS/translation provider adapters
+ * Every adapter exposes:
+ *   transcribe(audioBuffer, mimeType, options) -> Promise<{text, language}>
+ *     transcript, plus the detected language code when the engine reports one
+ *   synthesize(text, options)                  -> Promise<string>  base64 audio
+ *     options: speaker, target_language_code, pace, pitch, loudness,
+ *     speech_sample_rate; adapters ignore controls their engine lacks
+ *   translate(text, options)                   -> Promise<string>  translated text
+ *     options: source_language_code (null if unknown), target_language_code
+ *   sttLimits { preferredSampleRate, maxDurationSeconds }   input audio is
+ *     resampled to the former and split into segments no longer than the latter
+ *   endpoint(kind)                              -> { url, missingCredentials }
+ *     upstream for 'stt', 'tts' or 'translate' and the unset variables it
+ *     needs, used by startup validation and GET /api/ready
+ *   transcribe, synthesize and translate also take options.signal (AbortSignal), passed to
+ *     the upstream request so a cancelled pipeline stops its HTTP calls
+ */
+const providers = {
+  [sarvam.name]: sarvam,
+  [openai.name]: openai,
+  [local.name]: local,
+};
+
+/**
+ * Look up a provider adapter by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider adapter
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the STT provider for a request
+ * @param {string} [name] - Requested provider, falls back to STT_PROVIDER
+ * @returns {Object} - Provider adapter
+ */
+function getSttProvider(name) {
+  return getProvider(name || config.providers.stt);
+}
+
+/**
+ * Resolve the TTS provider for a request
+ * @param {string} [name] - Requested provider, falls back to TTS_PROVIDER
+ * @returns {Object} - Provider adapter
+ */
+function getTtsProvider(name) {
+  return getProvider(name || config.providers.tts);
+}
+
+/**
+ * Resolve the translation provider for a request
+ * @param {string} [name] - Requested provider, falls back to TRANSLATE_PROVIDER
+ * @returns {Object} - Provider adapter
+ */
+function getTranslateProvider(name) {
+  return getProvider(name || config.providers.translate);
+}
+
+module.exports = {
+  getProvider,
+  getSttProvider,
+  getTtsProvider,
+  getTranslateProvider,
+  names: Object.keys(providers),
+};
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config');
+const logger = require('../logger');
+
+const sttLog = logger.createLogger('STT');
+const ttsLog = logger.createLogger('TTS');
+const translateLog = logger.createLogger('Translate');
+
+/**
+ * Generic local HTTP engine adapter, for self-hosted models such as a
+ * Whisper server (STT) or Piper (TTS)
+ * STT: multipart POST with `file` (+ `language`), JSON reply with `text` or `transcript`
+ * TTS: JSON POST with `text` (+ `voice`, `language`), reply is raw audio or
+ *      JSON with `audio`/`audios[0]` in base64
+ * Translation: JSON POST with `text`, `source_language`, `target_language`,
+ *      reply is plain text or JSON with `translated_text`, `translation` or `text`
+ */
+
+/**
+ * Transcribe audio with the local STT engine
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {string} mimeType - MIME type of audio
+ * @param {Object} options - Provider options
+ * @param {string} options.language_code - Language code
+ * @returns {Promise<{text: string, language: string|null}>} - Transcript and
+ *   the language reported by the engine, if any
+ */
+async function transcribe(audioBuffer, mimeType, options = {}) {
+  const language_code = options.language_code || config.savaram.stt.language_code;
+
+  const formData = new FormData();
+  if (language_code) {
+    formData.append('language', language_code);
+  }
+  formData.append('file', audioBuffer, {
+    contentType: mimeType,
+    filename: options.filename || 'recording.wav',
+  });
+
+  sttLog.info('Local engine', { url: config.providers.local.sttUrl });
+
+  const response = await axios.post(config.providers.local.sttUrl, formData, {
+    headers: formData.getHeaders(),
+    timeout: 60000,
+    signal: options.signal,
+  });
+
+  if (typeof response.data === 'string') {
+    return { text: response.data.trim(), language: null };
+  }
+  return {
+    text: response.data.text || response.data.transcript,
+    language: response.data.language_code || response.data.language || null,
+  };
+}
+
+/**
+ * Synthesize speech with the local TTS engine
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Provider options
+ * @param {string} options.speaker - Voice to use
+ * @param {string} options.target_language_code - Language code
+ * @param {number} options.pace - Speaking rate, 1 is normal
+ * @param {number} options.pitch - Pitch shift, 0 is normal
+ * @param {number} options.loudness - Volume, 1 is normal
+ * @param {number} options.speech_sample_rate - Output sample rate in Hz
+ * @returns {Promise<string>} - Base64 encoded audio
+ */
+async function synthesize(text, options = {}) {
+  ttsLog.info('Local engine', { url: config.providers.local.ttsUrl });
+
+  const response = await axios.post(
+    config.providers.local.ttsUrl,
+    {
+      text: text,
+      voice: options.speaker || config.providers.local.voice,
+      language: options.target_language_code,
+      speed: options.pace,
+      pitch: options.pitch,
+      volume: options.loudness,
+      sample_rate: options.speech_sample_rate,
+    },
+    {
+      headers: { 'Content-Type': 'application/json' },
+      responseType: 'arraybuffer',
+      timeout: 60000,
+      signal: options.signal,
+    }
+  );
+
+  // Engines that wrap the audio in JSON
+  try {
+    const jsonResponse = JSON.parse(Buffer.from(response.data).toString('utf8'));
+    const base64Audio = jsonResponse.audio || (jsonResponse.audios && jsonResponse.audios[0]);
+    if (base64Audio) {
+      return base64Audio;
+    }
+  } catch (e) {
+    // Raw audio bytes
+  }
+
+  return Buffer.from(response.data).toString('base64');
+}
+
+/**
+ * Translate text with the local translation engine
+ * @param {string} text - Text to translate
+ * @param {Object} options - Provider options
+ * @param {string|null} options.source_language_code - Language of the text, null if unknown
+ * @param {string} options.target_language_code - Language to translate into
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, options = {}) {
+  translateLog.info('Local engine', { url: config.providers.local.translateUrl });
+
+  const response = await axios.post(
+    config.providers.local.translateUrl,
+    {
+      text: text,
+      source_language: options.source_language_code || undefined,
+      target_language: options.target_language_code,
+    },
+    {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000,
+      signal: options.signal,
+    }
+  );
+
+  if (typeof response.data === 'string') {
+    return response.data.trim();
+  }
+  return response.data.translated_text || response.data.translation || response.data.text;
+}
+
+/**
+ * Upstream used for STT, TTS or translation, for configuration checks and readiness probes
+ * @param {string} kind - 'stt' | 'tts' | 'translate'
+ * @returns {{url: string, missingCredentials: Array<string>}}
+ */
+function endpoint(kind) {
+  const urls = {
+    stt: config.providers.local.sttUrl,
+    tts: config.providers.local.ttsUrl,
+    translate: config.providers.local.translateUrl,
+  };
+  return {
+    url: urls[kind],
+    missingCredentials: [],
+  };
+}
+
+module.exports = {
+  name: 'local',
+  sttLimits: { preferredSampleRate: 16000, maxDurationSeconds: null },
+  transcribe,
+  synthesize,
+  translate,
+  endpoint,
+};
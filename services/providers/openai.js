@@ -0,0 +1,180 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config');
+const logger = require('../logger');
+
+const sttLog = logger.createLogger('STT');
+const ttsLog = logger.createLogger('TTS');
+const translateLog = logger.createLogger('Translate');
+
+/**
+ * OpenAI-compatible adapter
+ * Works with any server exposing /audio/transcriptions and /audio/speech
+ * (OpenAI, vLLM, LocalAI, faster-whisper-server, ...); translation asks a chat
+ * model via /chat/completions
+ */
+
+/**
+ * Convert a BCP-47 code such as 'hi-IN' to the ISO-639-1 code these APIs expect
+ * @param {string} languageCode - Language code
+ * @returns {string|undefined} - Two-letter language code
+ */
+function toIsoLanguage(languageCode) {
+  return languageCode ? languageCode.split('-')[0] : undefined;
+}
+
+/**
+ * Build request headers for the configured server
+ * @returns {Object} - Headers
+ */
+function authHeaders() {
+  return config.providers.openai.apiKey
+    ? { Authorization: `Bearer ${config.providers.openai.apiKey}` }
+    : {};
+}
+
+/**
+ * Transcribe audio via POST {baseUrl}/audio/transcriptions
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {string} mimeType - MIME type of audio
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model to use (default: OPENAI_STT_MODEL)
+ * @param {string} options.language_code - Language code
+ * @returns {Promise<{text: string, language: null}>} - Transcript; the JSON
+ *   response format does not report the language
+ */
+async function transcribe(audioBuffer, mimeType, options = {}) {
+  const model = options.model || config.providers.openai.sttModel;
+  const language = toIsoLanguage(options.language_code || config.savaram.stt.language_code);
+
+  const formData = new FormData();
+  formData.append('model', model);
+  if (language) {
+    formData.append('language', language);
+  }
+  formData.append('file', audioBuffer, {
+    contentType: mimeType,
+    filename: options.filename || 'recording.wav',
+  });
+
+  sttLog.info('OpenAI-compatible', { model, language });
+
+  const response = await axios.post(`${config.providers.openai.baseUrl}/audio/transcriptions`, formData, {
+    headers: {
+      ...formData.getHeaders(),
+      ...authHeaders(),
+    },
+    timeout: 30000,
+    signal: options.signal,
+  });
+
+  return { text: response.data.text, language: null };
+}
+
+/**
+ * Synthesize speech via POST {baseUrl}/audio/speech
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Provider options
+ * @param {string} options.speaker - Voice to use (default: OPENAI_TTS_VOICE)
+ * @param {number} options.pace - Speaking rate, mapped to `speed` (0.25 - 4)
+ * @returns {Promise<string>} - Base64 encoded WAV audio
+ */
+async function synthesize(text, options = {}) {
+  const voice = options.speaker || config.providers.openai.voice;
+
+  ttsLog.info('OpenAI-compatible', { model: config.providers.openai.ttsModel, voice });
+
+  const response = await axios.post(
+    `${config.providers.openai.baseUrl}/audio/speech`,
+    {
+      model: config.providers.openai.ttsModel,
+      input: text,
+      voice: voice,
+      response_format: 'wav',
+      ...(options.pace !== undefined && { speed: options.pace }),
+    },
+    {
+      headers: {
+        ...authHeaders(),
+        'Content-Type': 'application/json',
+      },
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      signal: options.signal,
+    }
+  );
+
+  return Buffer.from(response.data).toString('base64');
+}
+
+/**
+ * Translate text via POST {baseUrl}/chat/completions
+ * @param {string} text - Text to translate
+ * @param {Object} options - Provider options
+ * @param {string|null} options.source_language_code - Language of the text, null if unknown
+ * @param {string} options.target_language_code - Language to translate into
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, options = {}) {
+  const model = config.providers.openai.translateModel;
+  const from = options.source_language_code ? ` from ${options.source_language_code}` : '';
+
+  translateLog.info('OpenAI-compatible', { model, to: options.target_language_code });
+
+  const response = await axios.post(
+    `${config.providers.openai.baseUrl}/chat/completions`,
+    {
+      model: model,
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: `Translate the user's message${from} to ${options.target_language_code}. ` +
+            'Reply with the translation only, keeping numbers, names and bracketed tokens as they are.',
+        },
+        { role: 'user', content: text },
+      ],
+    },
+    {
+      headers: {
+        ...authHeaders(),
+        'Content-Type': 'application/json',
+      },
+      timeout: 30000,
+      signal: options.signal,
+    }
+  );
+
+  return response.data.choices[0].message.content.trim();
+}
+
+const PATHS = {
+  stt: 'audio/transcriptions',
+  tts: 'audio/speech',
+  translate: 'chat/completions',
+};
+
+/**
+ * Upstream used for STT, TTS or translation, for configuration checks and readiness probes
+ * Self-hosted OpenAI-compatible servers often run without a key; OpenAI does not.
+ * @param {string} kind - 'stt' | 'tts' | 'translate'
+ * @returns {{url: string, missingCredentials: Array<string>}}
+ */
+function endpoint(kind) {
+  const { baseUrl, apiKey } = config.providers.openai;
+  const keyRequired = /^https:\/\/api\.openai\.com\//.test(baseUrl);
+  return {
+    url: `${baseUrl}/${PATHS[kind]}`,
+    missingCredentials: keyRequired && !apiKey ? ['OPENAI_API_KEY'] : [],
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  // Uploads are capped at 25 MB, roughly 13 minutes of 16 kHz mono WAV
+  sttLimits: { preferredSampleRate: 16000, maxDurationSeconds: 600 },
+  transcribe,
+  synthesize,
+  translate,
+  endpoint,
+};
@@ -0,0 +1,166 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const config = require('../../config');
+const logger = require('../logger');
+
+const sttLog = logger.createLogger('STT');
+const ttsLog = logger.createLogger('TTS');
+const translateLog = logger.createLogger('Translate');
+
+/**
+ * Sarvam AI adapter
+ * STT: multipart upload to /speech-to-text, returns { transcript, language_code }
+ * TTS: JSON request to /text-to-speech, returns { audios: [base64] }
+ * Translation: JSON request to /translate, returns { translated_text }
+ */
+
+/**
+ * Transcribe audio with Sarvam STT
+ * @param {Buffer} audioBuffer - Audio file buffer
+ * @param {string} mimeType - MIME type of audio
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model to use (default: 'saarika:v2.5')
+ * @param {string} options.language_code - Language code, or 'unknown' to detect it (default: 'hi-IN')
+ * @returns {Promise<{text: string, language: string|null}>} - Transcript and detected language
+ */
+async function transcribe(audioBuffer, mimeType, options = {}) {
+  const model = options.model || config.savaram.stt.model || 'saarika:v2.5';
+  const language_code = options.language_code || config.savaram.stt.language_code || 'hi-IN';
+
+  const formData = new FormData();
+  formData.append('model', model);
+  formData.append('language_code', language_code);
+  formData.append('file', audioBuffer, {
+    contentType: mimeType,
+    filename: options.filename || 'recording.wav',
+  });
+
+  sttLog.info('Sarvam', { model, language: language_code });
+
+  const response = await axios.post(config.savaram.stt.url, formData, {
+    headers: {
+      ...formData.getHeaders(),
+      'api-subscription-key': config.savaram.stt.apiKey,
+    },
+    timeout: 30000,
+    signal: options.signal,
+  });
+
+  return {
+    text: response.data.transcript || response.data.text || response.data.result,
+    language: response.data.language_code || null,
+  };
+}
+
+/**
+ * Synthesize speech with Sarvam TTS
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Provider options
+ * @param {string} options.speaker - Speaker to use (default: anushka)
+ * @param {string} options.target_language_code - Language code (default: SAVARAM_TTS_LANGUAGE)
+ * @param {number} options.pace - Speaking rate, 1 is normal
+ * @param {number} options.pitch - Pitch shift, 0 is normal
+ * @param {number} options.loudness - Volume, 1 is normal
+ * @param {number} options.speech_sample_rate - Output sample rate in Hz
+ * @param {boolean} options.enable_preprocessing - Enable preprocessing (default: true)
+ * @returns {Promise<string>} - Base64 encoded audio
+ */
+async function synthesize(text, options = {}) {
+  const speaker = options.speaker || config.savaram.tts.speaker || 'anushka';
+  const target_language_code = options.target_language_code || config.savaram.tts.language_code;
+  const enable_preprocessing = options.enable_preprocessing !== false ? true : false;
+
+  ttsLog.info('Sarvam', { speaker, language: target_language_code });
+
+  const payload = {
+    text: text,
+    target_language_code: target_language_code,
+    speaker: speaker,
+    enable_preprocessing: enable_preprocessing,
+  };
+
+  // Voice controls are only sent when requested so the API defaults apply otherwise
+  ['pace', 'pitch', 'loudness', 'speech_sample_rate'].forEach((key) => {
+    if (options[key] !== undefined) {
+      payload[key] = options[key];
+    }
+  });
+
+  const response = await axios.post(config.savaram.tts.url, payload, {
+    headers: {
+      'api-subscription-key': config.savaram.tts.apiKey,
+      'Content-Type': 'application/json',
+    },
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    signal: options.signal,
+  });
+
+  // Try to parse as JSON to extract audio
+  try {
+    const jsonResponse = JSON.parse(Buffer.from(response.data).toString('utf8'));
+
+    if (jsonResponse.audios && jsonResponse.audios.length > 0) {
+      // Audio data is in base64 format in the response
+      return jsonResponse.audios[0];
+    }
+  } catch (e) {
+    // Not JSON, continue with binary response
+  }
+
+  return Buffer.from(response.data).toString('base64');
+}
+
+/**
+ * Translate text with Sarvam
+ * @param {string} text - Text to translate
+ * @param {Object} options - Provider options
+ * @param {string|null} options.source_language_code - Language of the text, null to detect it
+ * @param {string} options.target_language_code - Language to translate into
+ * @returns {Promise<string>} - Translated text
+ */
+async function translate(text, options = {}) {
+  const { model } = config.savaram.translate;
+  const source_language_code = options.source_language_code || 'auto';
+
+  translateLog.info('Sarvam', { model, from: source_language_code, to: options.target_language_code });
+
+  const response = await axios.post(config.savaram.translate.url, {
+    input: text,
+    source_language_code: source_language_code,
+    target_language_code: options.target_language_code,
+    model: model,
+  }, {
+    headers: {
+      'api-subscription-key': config.savaram.translate.apiKey,
+      'Content-Type': 'application/json',
+    },
+    timeout: 30000,
+    signal: options.signal,
+  });
+
+  return response.data.translated_text;
+}
+
+/**
+ * Upstream used for STT, TTS or translation, for configuration checks and readiness probes
+ * @param {string} kind - 'stt' | 'tts' | 'translate'
+ * @returns {{url: string, missingCredentials: Array<string>}}
+ */
+function endpoint(kind) {
+  const { url, apiKey } = config.savaram[kind];
+  return {
+    url,
+    missingCredentials: apiKey ? [] : [`SAVARAM_${kind.toUpperCase()}_KEY`],
+  };
+}
+
+module.exports = {
+  name: 'sarvam',
+  // The REST speech-to-text API rejects audio longer than 30 seconds
+  sttLimits: { preferredSampleRate: 16000, maxDurationSeconds: 30 },
+  transcribe,
+  synthesize,
+  translate,
+  endpoint,
+};
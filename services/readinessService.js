@@ -0,0 +1,142 @@
+const axios = require('axios');
+const fs = require('fs/promises');
+const config = require('../config');
+const providers = require('./providers');
+const webhookService = require('./webhookService');
+const log = require('./logger').createLogger('Ready');
+
+/**
+ * Readiness of the service's dependencies
+ * Each dependency is probed for what a request would need: credentials set,
+ * upstream reachable (any HTTP response counts; the probe sends no real work)
+ * and storage writable. The report is cached for READY_CACHE_MS and concurrent
+ * callers share one probe run, so load balancers can poll it freely.
+ */
+
+/**
+ * Check that an upstream answers
+ * @param {string} url - Upstream URL
+ * @returns {Promise<Object>} - { httpStatus } of whatever the upstream answered
+ */
+async function probeUrl(url) {
+  const response = await axios.head(url, {
+    timeout: config.readiness.probeTimeoutMs,
+    maxRedirects: 0,
+    validateStatus: () => true,
+  });
+  return { httpStatus: response.status };
+}
+
+/**
+ * Check that a directory exists (creating it if needed) and is writable
+ * @param {string} dir - Directory
+ * @returns {Promise<Object>}
+ */
+async function probeDirectory(dir) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.access(dir, fs.constants.W_OK);
+  return {};
+}
+
+/**
+ * Dependencies to probe, by name
+ * @returns {Array<{name: string, provider?: string, probe: function(): Promise<Object>}>}
+ */
+function getDependencies() {
+  const dependencies = [];
+
+  const kinds = config.translation.enabled ? ['stt', 'tts', 'translate'] : ['stt', 'tts'];
+  for (const kind of kinds) {
+    const providerName = config.providers[kind];
+    dependencies.push({
+      name: kind,
+      provider: providerName,
+      probe: async () => {
+        const { url, missingCredentials } = providers.getProvider(providerName).endpoint(kind);
+        if (missingCredentials.length > 0) {
+          throw new Error(`${missingCredentials.join(', ')} not set`);
+        }
+        return probeUrl(url);
+      },
+    });
+  }
+
+  for (const webhook of webhookService.listWebhooks()) {
+    dependencies.push({
+      name: `webhook:${webhook.name}`,
+      probe: () => probeUrl(webhook.url),
+    });
+  }
+
+  if (config.sessions.store === 'file') {
+    dependencies.push({ name: 'sessions', probe: () => probeDirectory(config.sessions.dir) });
+  }
+  if (config.ttsCache.enabled && config.ttsCache.dir) {
+    dependencies.push({ name: 'ttsCache', probe: () => probeDirectory(config.ttsCache.dir) });
+  }
+
+  return dependencies;
+}
+
+/**
+ * Probe every dependency in parallel
+ * @returns {Promise<Object>} - { ready, checkedAt, dependencies: { <name>: { status, latencyMs, ... } } }
+ */
+async function runChecks() {
+  const dependencies = getDependencies();
+  const results = await Promise.all(dependencies.map(async ({ name, provider, probe }) => {
+    const start = Date.now();
+    try {
+      const details = await probe();
+      return [name, { status: 'ok', provider, latencyMs: Date.now() - start, ...details }];
+    } catch (error) {
+      return [name, { status: 'error', provider, latencyMs: Date.now() - start, error: error.message }];
+    }
+  }));
+
+  return {
+    ready: results.every(([, result]) => result.status === 'ok'),
+    checkedAt: new Date().toISOString(),
+    dependencies: Object.fromEntries(results),
+  };
+}
+
+let cached = null;
+let inFlight = null;
+let lastReady = null;
+
+/**
+ * Current readiness, probing again once the cached report has expired
+ * @returns {Promise<Object>} - Report of runChecks, plus `cached`
+ */
+async function checkReadiness() {
+  if (cached && Date.now() < cached.expiresAt) {
+    return { ...cached.report, cached: true };
+  }
+
+  if (!inFlight) {
+    inFlight = runChecks()
+      .then((report) => {
+        cached = { report, expiresAt: Date.now() + config.readiness.cacheMs };
+        if (report.ready !== lastReady) {
+          const failing = Object.keys(report.dependencies).filter((name) => report.dependencies[name].status !== 'ok');
+          if (report.ready) {
+            log.info('Ready');
+          } else {
+            log.warn('Not ready', { failing });
+          }
+          lastReady = report.ready;
+        }
+        return report;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+
+  return { ...(await inFlight), cached: false };
+}
+
+module.exports = {
+  checkReadiness,
+};
@@ -0,0 +1,236 @@
+const config = require('../config');
+
+/**
+ * Redaction of personal data in user content
+ * Callers read out phone numbers, Aadhaar and PAN numbers, card numbers and
+ * email addresses. Detected values are replaced with their label, e.g.
+ * "[PHONE]", in log fields (REDACTION_LOGS) and stored session turns
+ * (REDACTION_STORAGE). The message forwarded to the webhook can be masked the
+ * same way or tokenized (REDACTION_WEBHOOK=mask|tokenize): tokenized values
+ * become "[PHONE_1]", stable within a session, and tokens in the agent's reply
+ * are turned back into the values before TTS so the caller hears them.
+ *
+ * Built-in detectors (REDACTION_DETECTORS) run after the custom patterns of
+ * REDACTION_PATTERNS, a JSON object of label -> regex, matched case-insensitively.
+ * Numbers only count when they stand alone, so IDs such as UUIDs are left alone.
+ *
+ * This module must not log: the logger uses it.
+ */
+
+// Not preceded or followed by a word character or dash
+const ALONE_BEFORE = '(?<![\\w-])';
+const ALONE_AFTER = '(?![\\w-])';
+
+// In matching order: longer numbers before the shorter ones they contain
+const DETECTORS = {
+  email: { label: 'EMAIL', pattern: '[a-z0-9._%+-]+@[a-z0-9.-]+\\.[a-z]{2,}' },
+  upi: { label: 'UPI', pattern: `${ALONE_BEFORE}[a-z0-9._-]{2,}@[a-z]{2,}${ALONE_AFTER}(?!\\.\\w)` },
+  card: { label: 'CARD', pattern: `${ALONE_BEFORE}\\d(?:[ -]?\\d){12,18}${ALONE_AFTER}` },
+  aadhaar: { label: 'AADHAAR', pattern: `${ALONE_BEFORE}[2-9]\\d{3}[ -]?\\d{4}[ -]?\\d{4}${ALONE_AFTER}` },
+  phone: { label: 'PHONE', pattern: `${ALONE_BEFORE}(?:\\+?91[ -]?|0)?[6-9]\\d{4}[ -]?\\d{5}${ALONE_AFTER}` },
+  pan: { label: 'PAN', pattern: '\\b[a-z]{3}[abcfghjlpt][a-z]\\d{4}[a-z]\\b' },
+};
+
+const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+// Tokens as issued by tokenize(), e.g. [PHONE_1]
+const TOKEN_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+// A token cut off at the end of a chunk of streamed text
+const PARTIAL_TOKEN_PATTERN = /\[[A-Z0-9_]*$/;
+
+let rules = null;
+
+/**
+ * Parse REDACTION_PATTERNS
+ * @param {string} [json] - JSON object of label -> regex source
+ * @returns {Array<{label: string, regex: RegExp}>}
+ */
+function parsePatterns(json) {
+  if (!json) return [];
+  return Object.entries(JSON.parse(json)).map(([label, source]) => ({
+    label: label.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+    regex: new RegExp(source, 'gi'),
+  }));
+}
+
+/**
+ * Detection rules in matching order, built on first use
+ * @returns {Array<{label: string, regex: RegExp}>}
+ */
+function getRules() {
+  if (!rules) {
+    rules = [
+      ...parsePatterns(config.redaction.patterns),
+      ...config.redaction.detectors
+        .filter((name) => DETECTORS[name])
+        .map((name) => ({ label: DETECTORS[name].label, regex: new RegExp(DETECTORS[name].pattern, 'gi') })),
+    ];
+  }
+  return rules;
+}
+
+/**
+ * Replace detected values
+ * @param {string} text - Text to redact
+ * @param {Function} replace - (label, value) => replacement
+ * @returns {string}
+ */
+function replaceDetected(text, replace) {
+  let result = text;
+  for (const { label, regex } of getRules()) {
+    result = result.replace(regex, (value) => replace(label, value));
+  }
+  return result;
+}
+
+/**
+ * Mask personal data in text
+ * @param {string} text - Text to redact
+ * @returns {string} - Text with each value replaced by its label, e.g. "[EMAIL]"
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || !text) return text;
+  return replaceDetected(text, (label) => `[${label}]`);
+}
+
+/**
+ * Mask personal data in every string of a value
+ * @param {*} value - String, array or plain object
+ * @returns {*} - Copy with strings redacted
+ */
+function redactValue(value) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+// Token vaults by session: { byToken, byValue, counts, usedAt }
+const vaults = new Map();
+
+function evictExpired() {
+  const cutoff = Date.now() - config.sessions.ttlMs;
+  for (const [sessionId, vault] of vaults) {
+    if (vault.usedAt < cutoff) vaults.delete(sessionId);
+  }
+}
+
+function getVault(sessionId, create) {
+  evictExpired();
+  let vault = vaults.get(sessionId);
+  if (!vault && create) {
+    vault = { byToken: new Map(), byValue: new Map(), counts: {}, usedAt: 0 };
+    vaults.set(sessionId, vault);
+  }
+  if (vault) vault.usedAt = Date.now();
+  return vault || null;
+}
+
+/**
+ * Replace personal data with tokens that can be turned back into the values
+ * The same value gets the same token for the rest of the session.
+ * @param {string} sessionId - Session the tokens belong to
+ * @param {string} text - Text to tokenize
+ * @returns {string} - Text with values replaced by tokens, e.g. "[PHONE_1]"
+ */
+function tokenize(sessionId, text) {
+  if (!text) return text;
+  const vault = getVault(sessionId, true);
+  return replaceDetected(text, (label, value) => {
+    const key = `${label}:${value}`;
+    let token = vault.byValue.get(key);
+    if (!token) {
+      vault.counts[label] = (vault.counts[label] || 0) + 1;
+      token = `${label}_${vault.counts[label]}`;
+      vault.byValue.set(key, token);
+      vault.byToken.set(token, value);
+    }
+    return `[${token}]`;
+  });
+}
+
+/**
+ * Turn the tokens of a session back into the values
+ * @param {string} sessionId - Session the tokens belong to
+ * @param {string} text - Text with tokens
+ * @returns {string} - Text with known tokens replaced; unknown ones are left as is
+ */
+function detokenize(sessionId, text) {
+  const vault = getVault(sessionId, false);
+  if (!vault || !text) return text;
+  return text.replace(TOKEN_PATTERN, (token, name) => (vault.byToken.has(name) ? vault.byToken.get(name) : token));
+}
+
+/**
+ * Whether a session has issued tokens
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+function hasTokens(sessionId) {
+  return Boolean(getVault(sessionId, false));
+}
+
+/**
+ * Redact the message forwarded to the webhook, as configured by REDACTION_WEBHOOK
+ * @param {string} sessionId - Session of the turn
+ * @param {string} message - Caller's message
+ * @returns {string}
+ */
+function redactForWebhook(sessionId, message) {
+  switch (config.redaction.webhook) {
+    case 'mask':
+      return redactText(message);
+    case 'tokenize':
+      return tokenize(sessionId, message);
+    default:
+      return message;
+  }
+}
+
+/**
+ * Detokenize a streamed reply
+ * A token may be split across chunks, so a trailing partial token is held
+ * back until the next chunk. Passes text through unless REDACTION_WEBHOOK=tokenize.
+ * @param {string} sessionId - Session of the turn
+ * @returns {{push: function(string): string, flush: function(): string}} -
+ *   push() returns the text that is ready; flush() what was held back
+ */
+function createDetokenizer(sessionId) {
+  if (config.redaction.webhook !== 'tokenize') {
+    return { push: (text) => text, flush: () => '' };
+  }
+
+  let held = '';
+  return {
+    push(text) {
+      const buffered = held + text;
+      const partial = buffered.match(PARTIAL_TOKEN_PATTERN);
+      held = partial ? partial[0] : '';
+      return detokenize(sessionId, partial ? buffered.slice(0, partial.index) : buffered);
+    },
+
+    flush() {
+      const rest = held;
+      held = '';
+      return detokenize(sessionId, rest);
+    },
+  };
+}
+
+module.exports = {
+  DETECTOR_NAMES,
+  parsePatterns,
+  redactText,
+  redactValue,
+  tokenize,
+  detokenize,
+  hasTokens,
+  redactForWebhook,
+  createDetokenizer,
+};
@@ -0,0 +1,197 @@
+const ttsService = require('./ttsService');
+const textNormalizer = require('./textNormalizer');
+const sentenceSegmenter = require('./sentenceSegmenter');
+const cancellation = require('./cancellation');
+const log = require('./logger').createLogger('Reply');
+
+/**
+ * Speak a webhook reply as it streams in
+ * Text is cut into sentences as soon as they are complete, rewritten for speech
+ * and queued for TTS; audio is delivered in reply order. Directives take
+ * effect where they appear in the reply: the text before them is completed as
+ * a sentence, `voice` changes the voice of the sentences after it and `play`
+ * queues a prerecorded clip. Every directive is also reported, with
+ * `afterIndex`, the index of the last audio item queued before it (0 if none).
+ * With a `translate` handler each sentence is translated into the voice's
+ * language before it is rewritten for speech. Translations run in parallel;
+ * sentences, clips and directives still take their turn in reply order.
+ */
+
+/**
+ * Create a reply synthesizer
+ * @param {Object} ttsOptions - TTS options of the request, language resolved
+ * @param {Object} handlers - Callbacks
+ * @param {Function} [handlers.translate] - (sentence, language) => promise of the
+ *   sentence in that language; if it fails the sentence is spoken untranslated
+ *   (translation: null)
+ * @param {Function} [handlers.beforeTts] - ({ sentence, translation, spokenText, options }) => the
+ *   same, changed, or null to skip the sentence; called before it is queued
+ * @param {Function} [handlers.afterTts] - ({ index, sentence, spokenText, clip, ttsBase64 }) =>
+ *   audio (base64, or a promise of it) to deliver instead
+ * @param {Function} [handlers.onQueued] - ({ index, sentence, translation, spokenText, clip }) when an item is queued
+ * @param {Function} [handlers.onSkipped] - (sentence) for a sentence with nothing left to say
+ * @param {Function} [handlers.onResult] - ({ index, sentence, translation, spokenText, clip, ttsBase64 }), in order
+ * @param {Function} [handlers.onError] - (error, { index, sentence, translation, spokenText, clip }), in order
+ * @param {Function} [handlers.onDirective] - ({ directive, afterIndex, ...fields }) as soon as the
+ *   sentences before it are queued
+ * @param {AbortSignal} [handlers.signal] - Cancels synthesis; see ttsService.createSynthesisQueue
+ * @returns {{pushText: function(string), pushDirective: function(Object), end: function(): number, drain: function(): Promise<void>}}
+ */
+function createReplySynthesizer(ttsOptions, handlers = {}) {
+  const segmenter = sentenceSegmenter.createSegmenter();
+  // Queued sentences and clips, by index - 1
+  const items = [];
+  let voiceOptions = ttsOptions;
+  let normalizer = textNormalizer.createSpeechNormalizer({ language: voiceOptions.target_language_code });
+  // While translating: steps waiting for the translations before them, and
+  // the number of sentences not queued yet
+  let pending = Promise.resolve();
+  let translating = 0;
+
+  const inOrder = (step) => {
+    if (handlers.translate) {
+      pending = pending.then(step);
+    } else {
+      step();
+    }
+  };
+
+  const queue = ttsService.createSynthesisQueue(ttsOptions, {
+    signal: handlers.signal,
+    afterSynthesis: handlers.afterTts
+      ? (ttsBase64, { index }) => handlers.afterTts({ index, ...items[index - 1], ttsBase64 })
+      : undefined,
+    onResult: ({ index, ttsBase64 }) => {
+      if (handlers.onResult) handlers.onResult({ index, ...items[index - 1], ttsBase64 });
+    },
+    onError: (error, { index }) => {
+      if (handlers.onError) handlers.onError(error, { index, ...items[index - 1] });
+    },
+  });
+
+  const queueSentence = (sentence, translation, options, speech) => {
+    let item = { sentence, translation, spokenText: speech.normalize(translation || sentence), options };
+    if (handlers.beforeTts) {
+      item = handlers.beforeTts(item);
+    }
+    if (!item || !item.spokenText || item.spokenText.trim().length < 2) {
+      if (handlers.onSkipped) handlers.onSkipped(sentence);
+      return;
+    }
+
+    const { spokenText } = item;
+    items.push({ sentence, translation, spokenText });
+    const index = queue.push(spokenText, item.options);
+    if (handlers.onQueued) handlers.onQueued({ index, sentence, translation, spokenText });
+  };
+
+  const queueSentences = (sentences) => {
+    for (const sentence of sentences) {
+      // The voice as of this point in the reply
+      const options = voiceOptions;
+      const speech = normalizer;
+      if (!handlers.translate) {
+        queueSentence(sentence, undefined, options, speech);
+        continue;
+      }
+
+      translating++;
+      const translated = handlers.translate(sentence, options.target_language_code).catch((error) => {
+        if (!cancellation.isCancelled(error)) {
+          log.warn('Speaking sentence untranslated', { error });
+        }
+        return null;
+      });
+      inOrder(async () => {
+        const translation = await translated;
+        translating--;
+        if (handlers.signal && handlers.signal.aborted) return;
+        queueSentence(sentence, translation, options, speech);
+      });
+    }
+  };
+
+  /**
+   * Apply a voice directive; fields not given keep the request's values
+   * @param {Object} directive - { speaker, language, pace, pitch, loudness }
+   * @returns {string|null} - Error message if the directive was ignored
+   */
+  const applyVoice = (directive) => {
+    const { options, error } = ttsService.parseVoiceOptions({
+      speaker: directive.speaker,
+      language: directive.language === 'auto' ? undefined : directive.language,
+      pace: directive.pace,
+      pitch: directive.pitch,
+      loudness: directive.loudness,
+    });
+    if (error) return error;
+
+    const previousLanguage = voiceOptions.target_language_code;
+    voiceOptions = { ...ttsOptions, ...options };
+    if (voiceOptions.target_language_code !== previousLanguage) {
+      normalizer = textNormalizer.createSpeechNormalizer({ language: voiceOptions.target_language_code });
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Add reply text
+     * @param {string} text - Text as received from the webhook
+     */
+    pushText(text) {
+      queueSentences(segmenter.push(text));
+    },
+
+    /**
+     * Add a directive at the current position of the reply
+     * @param {Object} directive - From webhookService.extractDirectiveFromResponse
+     */
+    pushDirective(directive) {
+      queueSentences(segmenter.flush());
+
+      // The voice changes now, for the sentences pushed after it
+      const error = directive.directive === 'voice' ? applyVoice(directive) : null;
+      if (error) {
+        log.warn('Ignoring voice directive', { error });
+      }
+
+      inOrder(() => {
+        const reported = { ...directive, afterIndex: items.length };
+        if (error) {
+          reported.error = error;
+        }
+        if (directive.directive === 'play') {
+          items.push({ sentence: null, clip: directive.clip });
+          const index = queue.pushClip(directive.clip);
+          if (handlers.onQueued) handlers.onQueued({ index, sentence: null, clip: directive.clip });
+        }
+
+        if (handlers.onDirective) handlers.onDirective(reported);
+      });
+    },
+
+    /**
+     * End of the reply: queue whatever text followed the last sentence boundary
+     * @returns {number} - Number of queued sentences and clips, counting
+     *   sentences still being translated
+     */
+    end() {
+      queueSentences(segmenter.flush());
+      return items.length + translating;
+    },
+
+    /**
+     * Wait until every queued item has been delivered
+     * @returns {Promise<void>} - Rejects with the signal's reason once cancelled
+     */
+    async drain() {
+      await pending;
+      return queue.drain();
+    },
+  };
+}
+
+module.exports = {
+  createReplySynthesizer,
+};
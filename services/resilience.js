@@ -0,0 +1,216 @@
+const config = require('../config');
+const metrics = require('./metrics');
+const cancellation = require('./cancellation');
+const log = require('./logger').createLogger('Resilience');
+
+/**
+ * Shared resilience layer for outbound calls (STT, TTS, webhook)
+ * Each upstream gets a circuit breaker; calls are retried with exponential
+ * backoff and full jitter, honouring Retry-After on 429/503 responses.
+ *
+ * Breaker states:
+ *   closed    - calls go through, consecutive failures are counted
+ *   open      - calls fail fast until BREAKER_RESET_MS has passed
+ *   half_open - one trial call decides between closed and open
+ *
+ * A cancelled call (options.signal fired) is neither retried nor counted
+ * against the breaker: the upstream did nothing wrong.
+ */
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker of an upstream
+ * @param {string} name - Upstream name, e.g. 'stt'
+ * @returns {Object} - Breaker state
+ */
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      name,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastError: null,
+      trialInFlight: false,
+      totalFailures: 0,
+      totalSuccesses: 0,
+    });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Whether a failed call is worth retrying (and counts against the breaker)
+ * Network errors, timeouts, 408, 429 and 5xx are transient; other 4xx are not.
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} - True if transient
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) {
+    return true;
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read a Retry-After header as milliseconds
+ * @param {Error} error - Error thrown by axios
+ * @returns {number|null} - Delay in ms, or null if absent
+ */
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} - Delay in ms
+ */
+function getBackoffMs(attempt) {
+  const ceiling = Math.min(config.resilience.maxDelayMs, config.resilience.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function beforeCall(breaker) {
+  if (breaker.state === 'open') {
+    if (Date.now() - breaker.openedAt < config.resilience.breakerResetMs) {
+      const error = new Error(`Circuit breaker open for ${breaker.name}`);
+      error.circuitOpen = true;
+      throw error;
+    }
+    breaker.state = 'half_open';
+  }
+
+  if (breaker.state === 'half_open') {
+    if (breaker.trialInFlight) {
+      const error = new Error(`Circuit breaker half-open for ${breaker.name}, trial call in progress`);
+      error.circuitOpen = true;
+      throw error;
+    }
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordSuccess(breaker) {
+  if (breaker.state !== 'closed') {
+    log.info('Circuit breaker closed', { upstream: breaker.name });
+  }
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+  breaker.totalSuccesses++;
+}
+
+function recordFailure(breaker, error) {
+  breaker.consecutiveFailures++;
+  breaker.totalFailures++;
+  breaker.lastError = error.message;
+  breaker.trialInFlight = false;
+
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= config.resilience.breakerFailureThreshold) {
+    if (breaker.state !== 'open') {
+      log.error('Circuit breaker opened', { upstream: breaker.name, consecutiveFailures: breaker.consecutiveFailures });
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Run an outbound call with retries and the upstream's circuit breaker
+ * @param {string} name - Upstream name ('stt', 'tts', 'webhook')
+ * @param {Function} fn - Async function performing one attempt
+ * @param {Object} [options] - Overrides
+ * @param {number} [options.retries] - Retries after the first attempt (default: RETRY_MAX_RETRIES)
+ * @param {AbortSignal} [options.signal] - Stops retrying once fired; fn should
+ *   pass it on to its request. Rejects with the signal's reason.
+ * @returns {Promise<*>} - Result of fn
+ */
+async function callWithResilience(name, fn, options = {}) {
+  const breaker = getBreaker(name);
+  const retries = options.retries !== undefined ? options.retries : config.resilience.retries;
+
+  const { signal } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+
+    try {
+      beforeCall(breaker);
+    } catch (error) {
+      metrics.upstreamErrors.inc({ upstream: name, kind: 'circuit_open' });
+      throw error;
+    }
+
+    try {
+      const result = await fn();
+      recordSuccess(breaker);
+      return result;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        // Let the next call be the half-open trial
+        breaker.trialInFlight = false;
+        metrics.upstreamErrors.inc({ upstream: name, kind: 'cancelled' });
+        throw signal.reason;
+      }
+
+      if (!isRetryable(error)) {
+        // The upstream answered, it just rejected this request
+        metrics.upstreamErrors.inc({ upstream: name, kind: 'rejected' });
+        recordSuccess(breaker);
+        throw error;
+      }
+
+      metrics.upstreamErrors.inc({ upstream: name, kind: 'transient' });
+      recordFailure(breaker, error);
+
+      if (attempt >= retries || breaker.state === 'open') {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null
+        ? Math.min(retryAfterMs, config.resilience.maxRetryAfterMs)
+        : getBackoffMs(attempt + 1);
+
+      log.warn('Upstream call failed, retrying', { upstream: name, attempt: attempt + 1, error, delayMs });
+      await cancellation.sleep(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * Current state of every circuit breaker
+ * @returns {Array<Object>} - Breaker states
+ */
+function getBreakerStates() {
+  return Array.from(breakers.values()).map((breaker) => ({
+    name: breaker.name,
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    totalFailures: breaker.totalFailures,
+    totalSuccesses: breaker.totalSuccesses,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    lastError: breaker.lastError,
+  }));
+}
+
+module.exports = {
+  callWithResilience,
+  getBreakerStates,
+  isRetryable,
+};
@@ -0,0 +1,233 @@
+const config = require('../config');
+
+/**
+ * Sentence segmentation for TTS
+ * Splits English, Indic and mixed (Hinglish) text at sentence-ending
+ * punctuation (. ! ? । ॥ …) followed by whitespace, and at line breaks.
+ * A period is not a boundary after a known abbreviation ("Dr.", "e.g."), a
+ * single initial ("A. P. J."), a dotted acronym ("U.S.") or a list number at
+ * the start of a line ("1. "). Decimals ("3.5") never split because the period
+ * is not followed by whitespace.
+ *
+ * Fragments shorter than SENTENCE_MIN_CHARS are merged into the next one, and
+ * sentences longer than SENTENCE_MAX_CHARS are split at clause boundaries
+ * (, ; : dashes, then conjunctions, then spaces) so no TTS input exceeds it.
+ * Text after the last boundary is never dropped: flush() returns it.
+ */
+
+// Lower-cased words that end with a period but do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'sh', 'smt', 'shri', 'rs', 'vs',
+  'e.g', 'i.e', 'approx', 'govt', 'pvt', 'ltd', 'dept', 'co', 'inc', 'no', 'fig', 'ref',
+  'डॉ', 'श्री', 'श्रीमती', 'कु', 'रु', 'सं', 'पृ', 'कि.मी',
+]);
+
+const TERMINATOR = /([.!?।॥…]+)(["'”’)\]]*)(?=\s|$)|\n/g;
+
+// Conjunctions a long clause can be broken before
+const CONJUNCTION = /\s(?=(?:and|but|or|because|so|which|और|लेकिन|पर|मगर|क्योंकि|तो|जो|कि)\s)/giu;
+
+/**
+ * Index just past the last match of a pattern within text, or -1
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @param {boolean} [atStart] - Return the match start instead of its end
+ * @returns {number}
+ */
+function lastMatchIndex(text, pattern, atStart = false) {
+  let index = -1;
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    index = atStart ? match.index : match.index + match[0].length;
+  }
+  return index;
+}
+
+/**
+ * Where to split an over-long text so the first part is at most maxChars
+ * @param {string} text - Text longer than maxChars
+ * @param {number} maxChars - Maximum part length
+ * @returns {number} - Split offset
+ */
+function findSplitPoint(text, maxChars) {
+  const window = text.slice(0, maxChars + 1);
+  // Avoid splitting off a tiny head when a later break is available
+  const minAt = Math.floor(maxChars * 0.3);
+
+  const clause = lastMatchIndex(window, /[,;:–—](?=\s)/g);
+  if (clause >= minAt) return clause;
+
+  const conjunction = lastMatchIndex(window, CONJUNCTION, true);
+  if (conjunction >= minAt) return conjunction;
+
+  const space = lastMatchIndex(window, /\s/g, true);
+  if (space > 0) return space;
+
+  return maxChars;
+}
+
+/**
+ * Split a sentence into parts no longer than maxChars
+ * @param {string} text - Sentence
+ * @param {number} maxChars - Maximum part length
+ * @returns {Array<string>}
+ */
+function splitLong(text, maxChars) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const at = findSplitPoint(rest, maxChars);
+    const part = rest.slice(0, at).trim();
+    if (part) parts.push(part);
+    rest = rest.slice(at).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+/**
+ * Whether a period ends a sentence, judging by the word before it
+ * @param {string} before - Text from the start of the fragment up to the period
+ * @param {string} after - Text following the period's whitespace (may be incomplete)
+ * @returns {boolean|null} - null when more text is needed to decide
+ */
+function periodEndsSentence(before, after) {
+  const word = (/(\S*)$/.exec(before)[1] || '').replace(/^["'“‘(\[]+/, '');
+  const lower = word.toLowerCase();
+
+  if (lower === 'no') {
+    // "No. 5" is an abbreviation, "No. I can't" is a sentence
+    const next = after.trimStart();
+    if (!next) return null;
+    return !/^\d/.test(next);
+  }
+  if (ABBREVIATIONS.has(lower)) return false;
+
+  // Initials and dotted acronyms: "A. P. J.", "U.S.", "a.m."
+  if (/^\p{Lu}$/u.test(word) || /^(?:\p{L}\.)+\p{L}$/u.test(word)) return false;
+
+  // Numbered list marker at the start of a line
+  if (/^\d+$/.test(word) && /(^|\n)\s*$/.test(before.slice(0, before.length - word.length))) return false;
+
+  return true;
+}
+
+/**
+ * Create an incremental segmenter for streamed text
+ * @param {Object} [options] - Length limits
+ * @param {number} [options.minChars] - Merge shorter fragments (default: SENTENCE_MIN_CHARS)
+ * @param {number} [options.maxChars] - Split longer sentences (default: SENTENCE_MAX_CHARS)
+ * @returns {{push: function(string): Array<string>, flush: function(): Array<string>}}
+ */
+function createSegmenter(options = {}) {
+  const minChars = options.minChars !== undefined ? options.minChars : config.segmentation.minChars;
+  const maxChars = options.maxChars || config.segmentation.maxChars;
+  let buffer = '';
+  // A short fragment waiting to be merged with the next one
+  let pending = null;
+
+  const collect = (fragment, separator, out) => {
+    if (!fragment) return;
+
+    let text = fragment;
+    if (pending) {
+      const merged = `${pending.text}${pending.separator}${fragment}`;
+      if (merged.length <= maxChars) {
+        text = merged;
+      } else {
+        out.push(...splitLong(pending.text, maxChars));
+      }
+      pending = null;
+    }
+
+    if (text.length < minChars) {
+      pending = { text, separator };
+      return;
+    }
+    out.push(...splitLong(text, maxChars));
+  };
+
+  const scan = (final) => {
+    const out = [];
+    let consumed = 0;
+    let match;
+
+    TERMINATOR.lastIndex = 0;
+    while ((match = TERMINATOR.exec(buffer)) !== null) {
+      const end = match.index + match[0].length;
+
+      if (match[0] !== '\n') {
+        // Undecided until we know what follows
+        if (end === buffer.length && !final) break;
+
+        if (match[1] === '.') {
+          const endsSentence = periodEndsSentence(buffer.slice(consumed, match.index), buffer.slice(end));
+          if (endsSentence === null && !final) break;
+          if (endsSentence === false) continue;
+        }
+      }
+
+      collect(buffer.slice(consumed, end).trim(), match[0] === '\n' ? '\n' : ' ', out);
+      consumed = end;
+    }
+
+    buffer = buffer.slice(consumed);
+
+    // A run-on sentence is split before it is complete rather than held back
+    while (buffer.length > maxChars) {
+      const at = findSplitPoint(buffer, maxChars);
+      collect(buffer.slice(0, at).trim(), ' ', out);
+      buffer = buffer.slice(at);
+    }
+
+    return out;
+  };
+
+  return {
+    /**
+     * Append a chunk of text
+     * @param {string} chunk - Newly received text
+     * @returns {Array<string>} - Sentences completed by this chunk
+     */
+    push(chunk) {
+      if (!chunk) return [];
+      buffer += chunk;
+      return scan(false);
+    },
+
+    /**
+     * End of text: return everything still buffered
+     * @returns {Array<string>} - Remaining sentences
+     */
+    flush() {
+      const out = scan(true);
+      collect(buffer.trim(), ' ', out);
+      buffer = '';
+
+      if (pending) {
+        out.push(pending.text);
+        pending = null;
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Split a complete text into sentences
+ * @param {string} text - Text to split
+ * @param {Object} [options] - Same options as createSegmenter
+ * @returns {Array<string>} - Sentences
+ */
+function segment(text, options = {}) {
+  if (!text || text.trim().length === 0) return [];
+
+  const segmenter = createSegmenter(options);
+  return [...segmenter.push(text), ...segmenter.flush()];
+}
+
+module.exports = {
+  createSegmenter,
+  segment,
+};
@@ -0,0 +1,313 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const redaction = require('./redaction');
+const log = require('./logger').createLogger('Sessions');
+
+/**
+ * Conversation session store
+ * A session holds every turn of a conversation: the caller's transcript,
+ * the bot reply and references to the synthesized audio. Two backends:
+ *   memory - default, lost on restart, idle sessions expire after SESSION_TTL_MS,
+ *            and the least recently updated go first once their audio exceeds
+ *            SESSION_MEMORY_MAX_BYTES
+ *   file   - one JSON document per session under SESSION_DIR, audio as .wav files
+ * Personal data in the stored text is masked unless REDACTION_STORAGE=false.
+ * A session belongs to the API key that created it: callers pass their key
+ * name as `owner`, and another key's session reads as not found. Without
+ * authentication the owner is null and every session is accessible.
+ * Writes to one session run one at a time within this process.
+ */
+
+// Session and audio IDs end up in file names, so keep them to a safe alphabet
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Check whether a client-supplied session ID is acceptable
+ * @param {string} id - Session ID
+ * @returns {boolean} - True if valid
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+const redact = (value) => (config.redaction.storage ? redaction.redactValue(value) : value);
+
+const newSession = (id, owner) => {
+  const now = new Date().toISOString();
+  return { id, owner: owner || null, createdAt: now, updatedAt: now, turns: [] };
+};
+
+const isAccessible = (session, owner) => !owner || session.owner === owner;
+
+const memoryBackend = {
+  // Ordered from least to most recently saved
+  sessions: new Map(),
+  audio: new Map(),
+  audioBytes: 0,
+
+  drop(id) {
+    const sessionAudio = this.audio.get(id);
+    if (sessionAudio) {
+      for (const buffer of sessionAudio.values()) {
+        this.audioBytes -= buffer.length;
+      }
+      this.audio.delete(id);
+    }
+    return this.sessions.delete(id);
+  },
+
+  evictExpired() {
+    const cutoff = Date.now() - config.sessions.ttlMs;
+    for (const [id, session] of this.sessions) {
+      if (Date.parse(session.updatedAt) < cutoff) {
+        this.drop(id);
+      }
+    }
+  },
+
+  evictOverLimit(keepId) {
+    for (const id of this.sessions.keys()) {
+      if (this.audioBytes <= config.sessions.memoryMaxBytes) return;
+      if (id !== keepId) {
+        this.drop(id);
+        log.info('Evicted session to stay under SESSION_MEMORY_MAX_BYTES', { sessionId: id });
+      }
+    }
+  },
+
+  async get(id) {
+    this.evictExpired();
+    return this.sessions.get(id) || null;
+  },
+
+  async save(session) {
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  },
+
+  async delete(id) {
+    return this.drop(id);
+  },
+
+  async saveAudio(id, audioId, buffer) {
+    if (!this.audio.has(id)) {
+      this.audio.set(id, new Map());
+    }
+    const sessionAudio = this.audio.get(id);
+    this.audioBytes += buffer.length - (sessionAudio.has(audioId) ? sessionAudio.get(audioId).length : 0);
+    sessionAudio.set(audioId, buffer);
+    this.evictOverLimit(id);
+  },
+
+  async getAudio(id, audioId) {
+    const sessionAudio = this.audio.get(id);
+    return (sessionAudio && sessionAudio.get(audioId)) || null;
+  },
+};
+
+const fileBackend = {
+  sessionFile(id) {
+    return path.join(config.sessions.dir, `${id}.json`);
+  },
+
+  audioFile(id, audioId) {
+    return path.join(config.sessions.dir, id, `${audioId}.wav`);
+  },
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.sessionFile(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async save(session) {
+    await fs.mkdir(config.sessions.dir, { recursive: true });
+    // Write then rename, so a concurrent read never sees a half-written file
+    const file = this.sessionFile(session.id);
+    const temp = `${file}.${uuidv4()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(session, null, 2));
+    await fs.rename(temp, file);
+  },
+
+  async delete(id) {
+    await fs.rm(path.join(config.sessions.dir, id), { recursive: true, force: true });
+    try {
+      await fs.unlink(this.sessionFile(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  },
+
+  async saveAudio(id, audioId, buffer) {
+    await fs.mkdir(path.join(config.sessions.dir, id), { recursive: true });
+    await fs.writeFile(this.audioFile(id, audioId), buffer);
+  },
+
+  async getAudio(id, audioId) {
+    try {
+      return await fs.readFile(this.audioFile(id, audioId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+};
+
+const backends = {
+  memory: memoryBackend,
+  file: fileBackend,
+};
+
+const backend = backends[config.sessions.store];
+if (!backend) {
+  throw new Error(`Unknown SESSION_STORE "${config.sessions.store}". Available: ${Object.keys(backends).join(', ')}`);
+}
+
+const writeQueues = new Map();
+
+/**
+ * Run a write to a session after the writes already queued for it
+ * @param {string} id - Session ID
+ * @param {Function} task - Async function doing the write
+ * @returns {Promise<*>} - Result of the task
+ */
+function serializeWrite(id, task) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const result = previous.then(task);
+  const tail = result.catch(() => {});
+  writeQueues.set(id, tail);
+  tail.then(() => {
+    if (writeQueues.get(id) === tail) writeQueues.delete(id);
+  });
+  return result;
+}
+
+/**
+ * Get a session by ID
+ * @param {string} id - Session ID
+ * @param {string|null} [owner] - Name of the caller's API key
+ * @returns {Promise<Object|null>} - Session or null if not found or not the caller's
+ */
+async function getSession(id, owner = null) {
+  if (!isValidSessionId(id)) return null;
+  const session = await backend.get(id);
+  return session && isAccessible(session, owner) ? session : null;
+}
+
+/**
+ * Check whether a caller may add turns to a session
+ * @param {string} id - Session ID
+ * @param {string|null} [owner] - Name of the caller's API key
+ * @returns {Promise<boolean>} - True if the session is new or the caller's
+ */
+async function canUseSession(id, owner = null) {
+  if (!isValidSessionId(id)) return false;
+  const session = await backend.get(id);
+  return !session || isAccessible(session, owner);
+}
+
+/**
+ * Delete a session and its stored audio
+ * @param {string} id - Session ID
+ * @param {string|null} [owner] - Name of the caller's API key
+ * @returns {Promise<boolean>} - True if the session existed and was the caller's
+ */
+async function deleteSession(id, owner = null) {
+  return serializeWrite(id, async () => {
+    if (!(await getSession(id, owner))) return false;
+    return backend.delete(id);
+  });
+}
+
+/**
+ * Append a turn to a session, creating the session if needed
+ * @param {string} id - Session ID
+ * @param {Object} turn - Turn details
+ * @param {string} turn.requestId - Request that produced the turn
+ * @param {string} turn.transcript - What the caller said (or typed)
+ * @param {string} turn.reply - Accumulated bot reply
+ * @param {Array<{sentenceIndex: number, sentence: string, ttsBase64: string}>} [turn.audio] - Synthesized
+ *   sentences, and clips (with `clip` set) played by webhook directives
+ * @param {Array<Object>} [turn.directives] - Webhook directives of the reply
+ * @param {Object} [turn.translation] - { transcript, reply } in the agent's and the
+ *   caller's language, for translated turns
+ * @param {string|null} [owner] - Name of the caller's API key; a new session belongs to it
+ * @returns {Promise<Object>} - The stored turn
+ */
+async function addTurn(id, turn, owner = null) {
+  if (!isValidSessionId(id)) {
+    throw new Error(`Invalid session ID: ${id}`);
+  }
+
+  return serializeWrite(id, async () => {
+    const session = (await backend.get(id)) || newSession(id, owner);
+    if (!isAccessible(session, owner)) {
+      throw new Error(`Session not found: ${id}`);
+    }
+
+    const audio = [];
+    for (const item of turn.audio || []) {
+      const audioId = `${turn.requestId}-${item.sentenceIndex}`;
+      await backend.saveAudio(id, audioId, Buffer.from(item.ttsBase64, 'base64'));
+      audio.push({ sentenceIndex: item.sentenceIndex, sentence: redact(item.sentence), clip: item.clip, audioId });
+    }
+
+    const storedTurn = {
+      turnIndex: session.turns.length + 1,
+      requestId: turn.requestId,
+      timestamp: new Date().toISOString(),
+      transcript: redact(turn.transcript),
+      reply: redact(turn.reply),
+      audio,
+    };
+    if (turn.directives && turn.directives.length > 0) {
+      storedTurn.directives = redact(turn.directives);
+    }
+    if (turn.translation) {
+      storedTurn.translation = redact(turn.translation);
+    }
+
+    session.turns.push(storedTurn);
+    session.updatedAt = storedTurn.timestamp;
+    await backend.save(session);
+
+    return storedTurn;
+  });
+}
+
+/**
+ * Get one stored audio clip of a session
+ * @param {string} id - Session ID
+ * @param {string} audioId - Audio ID from a turn's audio list
+ * @param {string|null} [owner] - Name of the caller's API key
+ * @returns {Promise<Buffer|null>} - WAV audio or null if not found or not the caller's
+ */
+async function getAudio(id, audioId, owner = null) {
+  if (!ID_PATTERN.test(audioId) || !(await getSession(id, owner))) return null;
+  return backend.getAudio(id, audioId);
+}
+
+/**
+ * Issue a new server-side session ID
+ * @returns {string} - Session ID
+ */
+function createSessionId() {
+  return uuidv4();
+}
+
+module.exports = {
+  isValidSessionId,
+  createSessionId,
+  getSession,
+  canUseSession,
+  deleteSession,
+  addTurn,
+  getAudio,
+};
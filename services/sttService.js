@@ -1,58 +1,105 @@
-const axios = require('axios');
-const FormData = require('form-data');
 const config = require('../config');
+const providers = require('./providers');
+const resilience = require('./resilience');
+const audioInputService = require('./audioInputService');
+const metrics = require('./metrics');
+const cancellation = require('./cancellation');
+const log = require('./logger').createLogger('STT');
 
 /**
- * Convert audio recording to text using Sarvam STT API
+ * Build STT options from request parameters
+ * @param {Object} params - { language, model, sttProvider }
+ * @returns {{options: Object, error: string|null}} - Options for transcribeAudio,
+ *   or an error message describing the first invalid parameter
+ */
+function parseSttOptions(params = {}) {
+  if (params.sttProvider && !providers.names.includes(params.sttProvider)) {
+    return { options: null, error: `Invalid sttProvider: must be one of ${providers.names.join(', ')}` };
+  }
+
+  const options = {
+    language_code: params.language,
+    model: params.model,
+    provider: params.sttProvider,
+  };
+  Object.keys(options).forEach(key => !options[key] && delete options[key]);
+  return { options, error: null };
+}
+
+/**
+ * Transcribe an audio recording using the configured STT provider
+ * The real audio format is sniffed from the content; WAV/PCM input is
+ * normalized for the provider and long recordings are transcribed in
+ * overlapping segments that are stitched back together.
  * @param {Buffer|Stream} audioBuffer - Audio file buffer
  * @param {string} mimeType - MIME type of audio (e.g., 'audio/wav', 'audio/mp3')
  * @param {Object} options - Additional options
+ * @param {string} options.provider - STT provider to use (default: STT_PROVIDER, 'sarvam')
  * @param {string} options.model - Model to use (default: 'saarika:v2.5')
  * @param {string} options.language_code - Language code (default: 'hi-IN')
- * @returns {Promise<string>} - Converted text
+ * @param {AbortSignal} options.signal - Cancels the transcription, rejecting with its reason
+ * @returns {Promise<{text: string, language: string|null}>} - Transcript and
+ *   its language: the one the provider detected, else the one requested
  */
-async function convertAudioToText(audioBuffer, mimeType = 'audio/wav', options = {}) {
+async function transcribeAudio(audioBuffer, mimeType = 'audio/wav', options = {}) {
   try {
-    const model = options.model || config.savaram.stt.model || 'saarika:v2.5';
-    const language_code = options.language_code || config.savaram.stt.language_code || 'hi-IN';
-
-    const formData = new FormData();
-    formData.append('model', model);
-    formData.append('language_code', language_code);
-    formData.append('file', audioBuffer, {
-      contentType: mimeType,
-      filename: 'recording.wav',
-    });
-
-    console.log(`[STT] Converting audio to text using model: ${model}, language: ${language_code}`);
-
-    const response = await axios.post(config.savaram.stt.url, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        'api-subscription-key': config.savaram.stt.apiKey,
-      },
-      timeout: 30000,
-    });
-
-    // Extract text from Sarvam API response
-    const text = response.data.transcript || response.data.text || response.data.result;
-    
+    const { provider: providerName, signal, ...providerOptions } = options;
+    const provider = providers.getSttProvider(providerName);
+
+    const audioInfo = audioInputService.inspectAudio(audioBuffer, mimeType);
+    if (!audioInfo) {
+      throw new Error('Unsupported or unrecognised audio format');
+    }
+
+    log.info('Converting audio to text', { format: audioInfo.format, provider: provider.name });
+    const endTimer = metrics.sttDuration.startTimer({ provider: provider.name });
+
+    const segments = audioInputService.prepareForStt(audioBuffer, audioInfo, provider.sttLimits);
+    const transcripts = [];
+    let detectedLanguage = null;
+    for (const segment of segments) {
+      const result = await resilience.callWithResilience(`stt:${provider.name}`, () =>
+        provider.transcribe(segment.buffer, segment.mimeType, { ...providerOptions, filename: segment.filename, signal }),
+      { signal });
+      transcripts.push(result.text || '');
+      detectedLanguage = detectedLanguage || result.language;
+    }
+
+    const text = segments.length === 1 ? transcripts[0] : audioInputService.stitchTranscripts(transcripts);
+    endTimer();
+
     if (!text) {
       throw new Error('No transcript returned from STT API');
     }
 
-    console.log('[STT] Successfully converted audio to text');
-    console.log(`[STT] Transcript: "${text}"`);
-    return text;
+    const requestedLanguage = providerOptions.language_code || config.savaram.stt.language_code;
+    const language = detectedLanguage || (requestedLanguage !== 'unknown' ? requestedLanguage : null);
+
+    log.info('Converted audio to text', { transcript: text, language });
+    return { text, language };
   } catch (error) {
-    console.error('[STT] Error converting audio to text:', error.message);
-    if (error.response?.data) {
-      console.error('[STT] API Response:', error.response.data);
+    if (cancellation.isCancelled(error)) {
+      throw error;
     }
+    log.error('Error converting audio to text', { error, response: error.response?.data });
     throw new Error(`STT conversion failed: ${error.message}`);
   }
 }
 
+/**
+ * Convert audio recording to text using the configured STT provider
+ * @param {Buffer|Stream} audioBuffer - Audio file buffer
+ * @param {string} mimeType - MIME type of audio (e.g., 'audio/wav', 'audio/mp3')
+ * @param {Object} options - Same options as transcribeAudio
+ * @returns {Promise<string>} - Converted text
+ */
+async function convertAudioToText(audioBuffer, mimeType = 'audio/wav', options = {}) {
+  const { text } = await transcribeAudio(audioBuffer, mimeType, options);
+  return text;
+}
+
 module.exports = {
+  parseSttOptions,
+  transcribeAudio,
   convertAudioToText,
 };
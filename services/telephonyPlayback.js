@@ -0,0 +1,120 @@
+/**
+ * Real-time playback of μ-law audio over a telephony media stream
+ * Telephony peers play media frames as they arrive and buffer whatever comes
+ * early, so sending a whole reply at once would make `clear` useless and marks
+ * meaningless. Audio is cut into 20 ms frames and sent at the rate it plays,
+ * a few frames ahead to absorb timer jitter. Marks are sent in order with the
+ * audio; the peer echoes each one back once the audio before it has played.
+ */
+
+const FRAME_MS = 20;
+// 8 kHz, one byte per sample
+const FRAME_BYTES = 160;
+// μ-law encoding of silence, pads the last frame
+const SILENCE = 0xff;
+const LEAD_FRAMES = 3;
+
+/**
+ * Create a playback queue
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.sendMedia - (frame: Buffer) sends one μ-law frame
+ * @param {Function} handlers.sendMark - (name) sends a mark
+ * @returns {{play: function(Buffer), mark: function(string), clear: function(): number, queuedMs: function(): number, stop: function()}}
+ */
+function createPlayback(handlers) {
+  // Frames ({ frame }) and marks ({ mark }) in send order
+  const queue = [];
+  let timer = null;
+  let startedAt = 0;
+  let framesSent = 0;
+
+  const tick = () => {
+    timer = null;
+    // Frames due by now, plus the lead
+    const due = Math.floor((Date.now() - startedAt) / FRAME_MS) + LEAD_FRAMES;
+
+    while (queue.length > 0 && (queue[0].mark !== undefined || framesSent < due)) {
+      const item = queue.shift();
+      if (item.mark !== undefined) {
+        handlers.sendMark(item.mark);
+      } else {
+        handlers.sendMedia(item.frame);
+        framesSent++;
+      }
+    }
+
+    if (queue.length > 0) {
+      timer = setTimeout(tick, FRAME_MS);
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    // A new burst of audio restarts the clock
+    if (framesSent === 0 || Date.now() - startedAt > framesSent * FRAME_MS) {
+      startedAt = Date.now();
+      framesSent = 0;
+    }
+    tick();
+  };
+
+  const clear = () => {
+    const dropped = queue.filter((item) => item.mark !== undefined).length;
+    queue.length = 0;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    framesSent = 0;
+    return dropped;
+  };
+
+  return {
+    /**
+     * Queue audio
+     * @param {Buffer} audio - μ-law bytes at 8 kHz
+     */
+    play(audio) {
+      for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+        let frame = audio.subarray(offset, offset + FRAME_BYTES);
+        if (frame.length < FRAME_BYTES) {
+          frame = Buffer.concat([frame, Buffer.alloc(FRAME_BYTES - frame.length, SILENCE)]);
+        }
+        queue.push({ frame });
+      }
+      start();
+    },
+
+    /**
+     * Queue a mark after the audio queued so far
+     * @param {string} name - Mark name, echoed by the peer once played
+     */
+    mark(name) {
+      queue.push({ mark: name });
+      start();
+    },
+
+    /**
+     * Drop everything not sent yet
+     * @returns {number} - Number of marks dropped
+     */
+    clear,
+
+    /**
+     * @returns {number} - Milliseconds of audio not sent yet
+     */
+    queuedMs() {
+      return queue.filter((item) => item.frame).length * FRAME_MS;
+    },
+
+    /**
+     * Stop sending (the connection closed)
+     */
+    stop: clear,
+  };
+}
+
+module.exports = {
+  FRAME_MS,
+  createPlayback,
+};
@@ -0,0 +1,422 @@
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Speech-oriented text normalization
+ * Webhook replies are written for screens: markdown, links, emoji, code and
+ * figures such as "₹1,250.50". Before a sentence is synthesized it is rewritten
+ * into what should be spoken: markup is stripped, URLs are reduced to their
+ * domain, and numbers, currency, dates, times and common abbreviations are
+ * expanded into words. Word expansion is available for English and Hindi;
+ * other languages only get the markup clean-up and leave figures to the TTS
+ * engine. The original sentence is kept by the caller for display.
+ */
+
+const EN_ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+// Hindi numbers below 100 are not regular enough to compose from parts
+const HI_BELOW_100 = [
+  'शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ',
+  'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+  'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+  'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+  'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+  'पचास', 'इक्यावन', 'बावन', 'तिरेपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+  'साठ', 'इकसठ', 'बासठ', 'तिरेसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+  'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+  'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+  'नब्बे', 'इक्यानबे', 'बानबे', 'तिरानबे', 'चौरानबे', 'पंचानबे', 'छियानबे', 'सत्तानबे', 'अट्ठानबे', 'निन्यानबे',
+];
+
+/**
+ * Spoken vocabulary per language
+ * Numbers use the Indian system (thousand, lakh, crore).
+ */
+const LANGUAGES = {
+  en: {
+    below100: (n) => (n < 20 ? EN_ONES[n] : EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_ONES[n % 10]}` : '')),
+    hundred: 'hundred',
+    thousand: 'thousand',
+    lakh: 'lakh',
+    crore: 'crore',
+    point: 'point',
+    minus: 'minus',
+    percent: 'percent',
+    to: 'to',
+    over: 'over',
+    dot: 'dot',
+    number: 'number',
+    // Words that mark a following / preceding four-digit number as a year
+    yearBefore: ['in', 'since', 'from', 'by', 'year', 'of'],
+    yearAfter: [],
+    currencies: {
+      '₹': { one: 'rupee', many: 'rupees', subunit: 'paise' },
+      '$': { one: 'dollar', many: 'dollars', subunit: 'cents' },
+      '€': { one: 'euro', many: 'euros', subunit: 'cents' },
+      '£': { one: 'pound', many: 'pounds', subunit: 'pence' },
+    },
+    and: 'and',
+    fractions: { '1/2': 'one half', '1/3': 'one third', '2/3': 'two thirds', '1/4': 'one quarter', '3/4': 'three quarters' },
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    time: (hours, minutes, words) => (minutes === 0
+      ? `${words(hours)} o'clock`
+      : `${words(hours)} ${minutes < 10 ? `oh ${words(minutes)}` : words(minutes)}`),
+    units: { km: 'kilometres', kg: 'kilograms', cm: 'centimetres', mg: 'milligrams', ml: 'millilitres', gb: 'gigabytes', mb: 'megabytes' },
+    abbreviations: {
+      'Dr.': 'Doctor', 'Mr.': 'Mister', 'Mrs.': 'Missus', 'Ms.': 'Miss', 'Prof.': 'Professor',
+      'Govt.': 'Government', 'Pvt.': 'Private', 'Ltd.': 'Limited', 'Dept.': 'Department',
+      'approx.': 'approximately', 'etc.': 'et cetera', 'e.g.': 'for example', 'i.e.': 'that is',
+      'vs.': 'versus', 'A/C': 'account',
+    },
+  },
+  hi: {
+    below100: (n) => HI_BELOW_100[n],
+    hundred: 'सौ',
+    thousand: 'हज़ार',
+    lakh: 'लाख',
+    crore: 'करोड़',
+    point: 'दशमलव',
+    minus: 'माइनस',
+    percent: 'प्रतिशत',
+    to: 'से',
+    over: 'बटा',
+    dot: 'डॉट',
+    number: 'नंबर',
+    yearBefore: ['सन्', 'सन', 'वर्ष', 'साल'],
+    yearAfter: ['में', 'से', 'तक', 'का', 'की', 'के'],
+    currencies: {
+      '₹': { one: 'रुपया', many: 'रुपये', subunit: 'पैसे' },
+      '$': { one: 'डॉलर', many: 'डॉलर', subunit: 'सेंट' },
+      '€': { one: 'यूरो', many: 'यूरो', subunit: 'सेंट' },
+      '£': { one: 'पाउंड', many: 'पाउंड', subunit: 'पेंस' },
+    },
+    and: '',
+    fractions: { '1/2': 'आधा', '3/4': 'पौन' },
+    months: ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'],
+    time: (hours, minutes, words) => (minutes === 0
+      ? `${words(hours)} बजे`
+      : `${words(hours)} बजकर ${words(minutes)} मिनट`),
+    units: { km: 'किलोमीटर', kg: 'किलो', cm: 'सेंटीमीटर', mg: 'मिलीग्राम', ml: 'मिलीलीटर', gb: 'जीबी', mb: 'एमबी' },
+    abbreviations: {
+      'Dr.': 'डॉक्टर', 'Mr.': 'मिस्टर', 'Mrs.': 'मिसेज़', 'Ms.': 'मिस', 'Prof.': 'प्रोफ़ेसर',
+      'etc.': 'वगैरह', 'e.g.': 'जैसे', 'i.e.': 'यानी', 'approx.': 'लगभग',
+      'डॉ.': 'डॉक्टर', 'श्री.': 'श्री', 'कि.मी.': 'किलोमीटर', 'रु.': 'रुपये',
+    },
+  },
+};
+
+/**
+ * Load extra abbreviations from TEXT_NORMALIZATION_ABBREVIATIONS_FILE
+ * The file maps a language to { abbreviation: expansion }, e.g.
+ * { "en": { "Blvd.": "Boulevard" }, "hi": { "कं.": "कंपनी" } }
+ */
+function loadCustomAbbreviations() {
+  if (!config.textNormalization.abbreviationsFile) return;
+
+  const custom = JSON.parse(fs.readFileSync(config.textNormalization.abbreviationsFile, 'utf8'));
+  for (const [language, entries] of Object.entries(custom)) {
+    if (LANGUAGES[language]) {
+      Object.assign(LANGUAGES[language].abbreviations, entries);
+    }
+  }
+}
+
+loadCustomAbbreviations();
+
+/**
+ * Pick the vocabulary for a language code
+ * @param {string} [languageCode] - e.g. 'hi-IN'
+ * @returns {Object|null} - Vocabulary, or null if numbers are left as digits
+ */
+function getLanguage(languageCode) {
+  const base = (languageCode || '').split('-')[0].toLowerCase();
+  return LANGUAGES[base] || null;
+}
+
+/**
+ * Spell out a whole number in the Indian numbering system
+ * @param {number} n - Non-negative integer
+ * @param {Object} lang - Vocabulary
+ * @returns {string} - Number in words
+ */
+function integerToWords(n, lang) {
+  if (n < 100) return lang.below100(n);
+
+  const parts = [];
+  const scales = [
+    [10000000, lang.crore],
+    [100000, lang.lakh],
+    [1000, lang.thousand],
+    [100, lang.hundred],
+  ];
+  let rest = n;
+  for (const [size, word] of scales) {
+    if (rest >= size) {
+      parts.push(`${integerToWords(Math.floor(rest / size), lang)} ${word}`);
+      rest %= size;
+    }
+  }
+  if (rest > 0) {
+    parts.push(lang.below100(rest));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Spell out digits one by one (phone numbers, codes)
+ * @param {string} digits - Digit string
+ * @param {Object} lang - Vocabulary
+ * @returns {string}
+ */
+function digitsToWords(digits, lang) {
+  return digits.split('').map((d) => lang.below100(Number(d))).join(' ');
+}
+
+/**
+ * Spell out a number as written, e.g. "1250", "2.5", "0091"
+ * @param {string} text - Number without grouping separators
+ * @param {Object} lang - Vocabulary
+ * @returns {string}
+ */
+function numberToWords(text, lang) {
+  const [whole, fraction] = text.split('.');
+
+  // Long figures and leading zeros are identifiers, not quantities
+  const spokenWhole = whole.length > 9 || (whole.length > 1 && whole[0] === '0')
+    ? digitsToWords(whole, lang)
+    : integerToWords(Number(whole), lang);
+
+  return fraction ? `${spokenWhole} ${lang.point} ${digitsToWords(fraction, lang)}` : spokenWhole;
+}
+
+/**
+ * Spell out a calendar year
+ * @param {number} year - Four-digit year
+ * @param {Object} lang - Vocabulary
+ * @returns {string}
+ */
+function yearToWords(year, lang) {
+  // 1995 is "nineteen ninety-five" / "उन्नीस सौ पचानबे"; 2024 is read as a number
+  if (year >= 1100 && year < 2000) {
+    const century = lang.below100(Math.floor(year / 100));
+    const rest = year % 100;
+    if (lang === LANGUAGES.en) {
+      return rest === 0 ? `${century} ${lang.hundred}` : `${century} ${rest < 10 ? `oh ${lang.below100(rest)}` : lang.below100(rest)}`;
+    }
+    return rest === 0 ? `${century} ${lang.hundred}` : `${century} ${lang.hundred} ${lang.below100(rest)}`;
+  }
+  return integerToWords(year, lang);
+}
+
+/**
+ * English ordinal of a number in words ("twenty-first")
+ * @param {number} n - Positive integer
+ * @returns {string}
+ */
+function toEnglishOrdinal(n) {
+  const words = integerToWords(n, LANGUAGES.en);
+  const irregular = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+  return words.replace(/(\w+)$/, (last) => {
+    if (irregular[last]) return irregular[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Strip markdown, HTML, URLs and emoji from one line of text
+ * @param {string} text - Line of text
+ * @param {Object|null} lang - Vocabulary, used to read out URL domains
+ * @returns {string}
+ */
+function stripMarkup(text, lang) {
+  let result = text
+    // HTML tags and entities
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    // Images and links keep their visible text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    // Inline code keeps its content, without the backticks
+    .replace(/`([^`]*)`/g, '$1')
+    // Headings, block quotes, list markers and table separators
+    .replace(/^\s*#{1,6}\s+/, '')
+    .replace(/^\s*>+\s?/, '')
+    .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '')
+    .replace(/^\s*\|?(?:\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/, '')
+    .replace(/\s*\|\s*/g, ', ')
+    // Emphasis and strikethrough
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/(^|[\s(])[*_]([^*_\n]+)[*_](?=[\s).,!?:;]|$)/g, '$1$2')
+    // Horizontal rules and leftover list numbers ("1." split off as a sentence)
+    .replace(/^\s*(?:[-*_]\s*){3,}$/, '')
+    .replace(/^\s*\d+[.)]\s*$/, '');
+
+  result = result.replace(/\b(?:https?:\/\/|www\.)[^\s)]+/gi, (url) => {
+    if (config.textNormalization.urls === 'strip') return '';
+    const host = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#]/)[0].replace(/[.,]+$/, '');
+    return lang ? host.split('.').join(` ${lang.dot} `) : host;
+  });
+
+  // Emoji, including modifiers, keycaps and ZWJ sequences
+  result = result.replace(/[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\uFE0F\u20E3]+(?:\u200D[\p{Extended_Pictographic}\uFE0F]+)*/gu, '');
+
+  // Leftover markdown symbols that would otherwise be read out
+  return result.replace(/[*#_~`]+/g, ' ');
+}
+
+/**
+ * Expand abbreviations, currency, dates, times and numbers into words
+ * @param {string} text - Text without markup
+ * @param {Object} lang - Vocabulary
+ * @returns {string}
+ */
+function verbalize(text, lang) {
+  const words = (n) => integerToWords(n, lang);
+  let result = text
+    // Devanagari digits behave like ASCII digits from here on
+    .replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966))
+    // Version strings: "2.0.1" is "two point zero point one"
+    .replace(/(?<![\d.])\d+(?:\.\d+){2,}(?!\.?\d)/g, (version) =>
+      version.split('.').map((part) => numberToWords(part, lang)).join(` ${lang.point} `))
+    // Ungrouped runs of five or more digits are codes and account numbers, not
+    // amounts; a currency symbol in front still makes them an amount
+    .replace(/(?<!(?:₹|Rs\.?|INR|\$|€|£)\s?)(?<![\d.,])\d{5,}(?![.,]?\d)/g, (digits) => digitsToWords(digits, lang))
+    // Indian and western digit grouping: 1,25,000 / 125,000
+    .replace(/\b\d{1,3}(?:,\d{2,3})+(?:\.\d+)?\b/g, (n) => n.replace(/,/g, ''));
+
+  for (const [abbreviation, expansion] of Object.entries(lang.abbreviations)) {
+    const pattern = new RegExp(`(^|[\\s(])${escapeRegExp(abbreviation)}(?=[\\s,)]|$)`, 'g');
+    result = result.replace(pattern, `$1${expansion}`);
+  }
+
+  // "No. 5" but not "No. I can't"
+  result = result.replace(/\bNo\.\s?(?=\d)/g, `${lang.number} `);
+
+  const currencyPattern = /(₹|Rs\.?|INR|\$|€|£)\s?(\d+(?:\.\d{1,2})?)(?:\s?\/-)?/g;
+  result = result.replace(currencyPattern, (match, symbol, amount) => {
+    const currency = lang.currencies[['Rs', 'Rs.', 'INR'].includes(symbol) ? '₹' : symbol];
+    const [whole, fraction] = amount.split('.');
+    const units = Number(whole);
+    let spoken = `${words(units)} ${units === 1 ? currency.one : currency.many}`;
+    if (fraction && Number(fraction) > 0) {
+      spoken += ` ${lang.and} ${words(Number(fraction.padEnd(2, '0')))} ${currency.subunit}`;
+    }
+    return spoken.replace(/\s+/g, ' ');
+  });
+
+  // dd/mm/yyyy and dd-mm-yyyy, as written in India
+  result = result.replace(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{4})\b/g, (match, day, month, year) => {
+    const d = Number(day);
+    const m = Number(month);
+    if (d < 1 || d > 31 || m < 1 || m > 12) return match;
+    const spokenDay = lang === LANGUAGES.en ? toEnglishOrdinal(d) : words(d);
+    return `${spokenDay} ${lang.months[m - 1]} ${yearToWords(Number(year), lang)}`;
+  });
+
+  // "10:30 बजे" already says बजे; the time words supply it
+  result = result.replace(/\b(\d{1,2}):(\d{2})(?:\s?(am|pm|AM|PM)\b|\s?बजे)?/g, (match, hours, minutes, suffix) => {
+    const h = Number(hours);
+    const m = Number(minutes);
+    if (h > 23 || m > 59) return match;
+    const spoken = lang.time(h, m, words);
+    return suffix ? `${spoken} ${suffix.toUpperCase().split('').join(' ')}` : spoken;
+  });
+
+  if (lang.yearBefore.length > 0) {
+    const pattern = new RegExp(`(^|\\s)(${lang.yearBefore.join('|')})\\s(1[1-9]\\d{2}|20\\d{2})\\b`, 'gi');
+    result = result.replace(pattern, (match, space, word, year) => `${space}${word} ${yearToWords(Number(year), lang)}`);
+  }
+  if (lang.yearAfter.length > 0) {
+    const pattern = new RegExp(`\\b(1[1-9]\\d{2}|20\\d{2})\\s(${lang.yearAfter.join('|')})(?=\\s|$|[,.।])`, 'g');
+    result = result.replace(pattern, (match, year, word) => `${yearToWords(Number(year), lang)} ${word}`);
+  }
+
+  result = result
+    .replace(/(\d+(?:\.\d+)?)\s?%/g, (match, n) => `${numberToWords(n, lang)} ${lang.percent}`)
+    .replace(/\b(\d+)\/(\d+)\b/g, (match, a, b) =>
+      lang.fractions[`${a}/${b}`] || `${numberToWords(a, lang)} ${lang.over} ${numberToWords(b, lang)}`)
+    .replace(/\b(\d+)\s?[-–]\s?(\d+)\b/g, `$1 ${lang.to} $2`)
+    .replace(/(^|\s)-(\d)/g, `$1${lang.minus} $2`)
+    .replace(/\b(\d+)\s?(km|kg|cm|mg|ml|gb|mb)\b/gi, (match, n, unit) => `${n} ${lang.units[unit.toLowerCase()]}`);
+
+  if (lang === LANGUAGES.en) {
+    result = result.replace(/\b(\d+)(st|nd|rd|th)\b/gi, (match, n) => toEnglishOrdinal(Number(n)));
+  }
+
+  return result.replace(/\d+(?:\.\d+)?/g, (n) => numberToWords(n, lang));
+}
+
+/**
+ * Create a normalizer for the sentences of one reply
+ * Sentences must be passed in order: the normalizer tracks fenced code blocks
+ * across them and drops everything inside.
+ * @param {Object} [options] - Normalizer options
+ * @param {string} [options.language] - TTS language code, selects number words
+ * @returns {{normalize: function(string): string}}
+ */
+function createSpeechNormalizer(options = {}) {
+  const lang = config.textNormalization.expand ? getLanguage(options.language) : null;
+  let inCodeBlock = false;
+
+  return {
+    /**
+     * Rewrite one sentence for speech
+     * @param {string} sentence - Sentence as written
+     * @returns {string} - Sentence to synthesize; empty if nothing is left to say
+     */
+    normalize(sentence) {
+      if (!config.textNormalization.enabled) {
+        return sentence;
+      }
+
+      const spoken = [];
+      for (const line of sentence.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+          inCodeBlock = !inCodeBlock;
+          continue;
+        }
+        if (inCodeBlock) continue;
+
+        let text = stripMarkup(line, lang);
+        if (lang) {
+          text = verbalize(text, lang);
+        }
+        spoken.push(text);
+      }
+
+      // Lines merged into one sentence (headings, list items) get a pause between them
+      return spoken
+        .map((text) => text.trim())
+        .filter(Boolean)
+        .map((text, i, lines) => (i < lines.length - 1 && !/[.!?।॥,;:]$/.test(text) ? `${text},` : text))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,.!?;:।])/g, '$1')
+        .replace(/^[\s,.;:]+/, '')
+        .replace(/([,;:])\s*$/, '')
+        .trim();
+    },
+  };
+}
+
+/**
+ * Rewrite a whole text for speech
+ * @param {string} text - Text as written
+ * @param {Object} [options] - Same options as createSpeechNormalizer
+ * @returns {string}
+ */
+function normalizeForSpeech(text, options = {}) {
+  return createSpeechNormalizer(options).normalize(text);
+}
+
+module.exports = {
+  createSpeechNormalizer,
+  normalizeForSpeech,
+};
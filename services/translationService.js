@@ -0,0 +1,93 @@
+const config = require('../config');
+const providers = require('./providers');
+const resilience = require('./resilience');
+const metrics = require('./metrics');
+const cancellation = require('./cancellation');
+const log = require('./logger').createLogger('Translate');
+
+/**
+ * Whether two language codes name the same language
+ * Only the base language counts, so "en-IN" and "en-US" match.
+ * @param {string|null} a - Language code
+ * @param {string|null} b - Language code
+ * @returns {boolean}
+ */
+function isSameLanguage(a, b) {
+  if (!a || !b) return false;
+  return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
+
+/**
+ * Build translation options from request parameters
+ * @param {Object} params - { translate, agentLanguage, translateProvider }; translate
+ *   may arrive as a string (query string, form fields)
+ * @returns {{options: Object, error: string|null}} - { enabled, agentLanguage, provider },
+ *   defaults from TRANSLATION_ENABLED, TRANSLATION_AGENT_LANGUAGE and TRANSLATE_PROVIDER
+ */
+function parseTranslationOptions(params = {}) {
+  let enabled = config.translation.enabled;
+  if (params.translate !== undefined && params.translate !== '') {
+    if (![true, false, 'true', 'false'].includes(params.translate)) {
+      return { options: null, error: 'Invalid translate: must be true or false' };
+    }
+    enabled = params.translate === true || params.translate === 'true';
+  }
+
+  if (params.agentLanguage !== undefined && typeof params.agentLanguage !== 'string') {
+    return { options: null, error: 'Invalid agentLanguage: must be a language code' };
+  }
+  if (params.translateProvider !== undefined && !providers.names.includes(params.translateProvider)) {
+    return { options: null, error: `Invalid translateProvider: must be one of ${providers.names.join(', ')}` };
+  }
+
+  return {
+    options: {
+      enabled,
+      agentLanguage: params.agentLanguage || config.translation.agentLanguage,
+      provider: params.translateProvider,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Translate text using the configured translation provider
+ * @param {string} text - Text to translate
+ * @param {Object} options - Additional options
+ * @param {string} options.provider - Translation provider to use (default: TRANSLATE_PROVIDER, 'sarvam')
+ * @param {string|null} options.source - Language of the text, null if unknown
+ * @param {string} options.target - Language to translate into
+ * @param {AbortSignal} options.signal - Cancels the translation, rejecting with its reason
+ * @returns {Promise<string>} - Translated text
+ */
+async function translateText(text, options = {}) {
+  try {
+    const { source = null, target, signal } = options;
+    const provider = providers.getTranslateProvider(options.provider);
+
+    const endTimer = metrics.translationDuration.startTimer({ provider: provider.name });
+    const translation = await resilience.callWithResilience(`translate:${provider.name}`, () =>
+      provider.translate(text, { source_language_code: source, target_language_code: target, signal }),
+    { signal });
+    endTimer();
+
+    if (!translation) {
+      throw new Error('No translation returned from translation API');
+    }
+
+    log.info('Translated text', { from: source, to: target, text, translation });
+    return translation;
+  } catch (error) {
+    if (cancellation.isCancelled(error)) {
+      throw error;
+    }
+    log.error('Error translating text', { error, response: error.response?.data });
+    throw new Error(`Translation failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isSameLanguage,
+  parseTranslationOptions,
+  translateText,
+};
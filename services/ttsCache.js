@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const log = require('./logger').createLogger('TTS Cache');
+
+/**
+ * Content-addressed cache for synthesized speech
+ * Entries are keyed on the normalized text plus every voice parameter, so the
+ * same sentence spoken by a different speaker or language is a different entry.
+ * The key is a hash; the text itself is not stored.
+ *   memory tier - LRU bounded by TTS_CACHE_MAX_ENTRIES and TTS_CACHE_MAX_BYTES
+ *   disk tier   - optional (TTS_CACHE_DIR), bounded by TTS_CACHE_DISK_MAX_ENTRIES
+ * Both tiers expire entries after TTS_CACHE_TTL_MS.
+ */
+
+// Map iteration order is insertion order, so re-inserting on read gives LRU
+const memory = new Map();
+let memoryBytes = 0;
+
+const stats = {
+  memoryHits: 0,
+  diskHits: 0,
+  misses: 0,
+  writes: 0,
+  evictions: 0,
+};
+
+/**
+ * Normalize text so trivially different inputs share an entry
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the cache key for a synthesis request
+ * @param {string} text - Text to synthesize
+ * @param {string} providerName - TTS provider
+ * @param {Object} options - Voice parameters passed to the provider
+ * @returns {string} - Hex SHA-256 key
+ */
+function buildKey(text, providerName, options = {}) {
+  const params = {};
+  for (const key of Object.keys(options).sort()) {
+    if (options[key] !== undefined) {
+      params[key] = options[key];
+    }
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ text: normalizeText(text), provider: providerName, params }))
+    .digest('hex');
+}
+
+const isExpired = (entry) => Date.now() - entry.createdAt > config.ttsCache.ttlMs;
+
+function removeFromMemory(key) {
+  const entry = memory.get(key);
+  if (entry) {
+    memoryBytes -= entry.audio.length;
+    memory.delete(key);
+  }
+}
+
+function addToMemory(key, entry) {
+  removeFromMemory(key);
+  memory.set(key, entry);
+  memoryBytes += entry.audio.length;
+
+  // Evict least recently used entries until both limits hold
+  while (memory.size > config.ttsCache.maxEntries || memoryBytes > config.ttsCache.maxBytes) {
+    const oldestKey = memory.keys().next().value;
+    removeFromMemory(oldestKey);
+    stats.evictions++;
+  }
+}
+
+const diskFile = (key) => path.join(config.ttsCache.dir, `${key}.json`);
+
+// TTS_CACHE_DIR may hold other files: only entries named after their key are the cache's
+const ENTRY_FILE = /^[0-9a-f]{64}\.json$/;
+
+/**
+ * Entry files in the cache directory
+ * @returns {Promise<Array<string>>} - File names, empty if the directory does not exist
+ */
+async function listDiskEntries() {
+  try {
+    return (await fs.readdir(config.ttsCache.dir)).filter((file) => ENTRY_FILE.test(file));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function readFromDisk(key) {
+  try {
+    return JSON.parse(await fs.readFile(diskFile(key), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Error reading disk entry', { error });
+    }
+    return null;
+  }
+}
+
+async function pruneDisk() {
+  const files = await listDiskEntries();
+  if (files.length <= config.ttsCache.diskMaxEntries) return;
+
+  const withTimes = await Promise.all(files.map(async (file) => {
+    const stat = await fs.stat(path.join(config.ttsCache.dir, file));
+    return { file, mtimeMs: stat.mtimeMs };
+  }));
+  withTimes.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  for (const { file } of withTimes.slice(0, files.length - config.ttsCache.diskMaxEntries)) {
+    await fs.rm(path.join(config.ttsCache.dir, file), { force: true });
+    stats.evictions++;
+  }
+}
+
+async function writeToDisk(key, entry) {
+  try {
+    await fs.mkdir(config.ttsCache.dir, { recursive: true });
+    await fs.writeFile(diskFile(key), JSON.stringify(entry));
+    await pruneDisk();
+  } catch (error) {
+    log.error('Error writing disk entry', { error });
+  }
+}
+
+/**
+ * Look up cached audio
+ * @param {string} key - Key from buildKey()
+ * @returns {Promise<string|null>} - Base64 audio or null on miss
+ */
+async function get(key) {
+  if (!config.ttsCache.enabled) return null;
+
+  const entry = memory.get(key);
+  if (entry) {
+    if (isExpired(entry)) {
+      removeFromMemory(key);
+    } else {
+      // Refresh LRU position
+      memory.delete(key);
+      memory.set(key, entry);
+      stats.memoryHits++;
+      return entry.audio;
+    }
+  }
+
+  if (config.ttsCache.dir) {
+    const diskEntry = await readFromDisk(key);
+    if (diskEntry && !isExpired(diskEntry)) {
+      addToMemory(key, diskEntry);
+      stats.diskHits++;
+      return diskEntry.audio;
+    }
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store synthesized audio
+ * @param {string} key - Key from buildKey()
+ * @param {string} audio - Base64 audio
+ * @param {Object} [meta] - Extra details kept with the entry (provider, ...)
+ */
+async function set(key, audio, meta = {}) {
+  if (!config.ttsCache.enabled) return;
+
+  const entry = { ...meta, audio, createdAt: Date.now() };
+  addToMemory(key, entry);
+  stats.writes++;
+
+  if (config.ttsCache.dir) {
+    await writeToDisk(key, entry);
+  }
+}
+
+/**
+ * Remove one entry, or every entry when no key is given
+ * Only entry files are deleted from TTS_CACHE_DIR, never the directory itself.
+ * @param {string} [key] - Key from buildKey()
+ * @returns {Promise<number>} - Number of memory entries removed
+ */
+async function purge(key) {
+  if (key) {
+    const existed = memory.has(key) ? 1 : 0;
+    removeFromMemory(key);
+    if (config.ttsCache.dir) {
+      await fs.rm(diskFile(key), { force: true });
+    }
+    return existed;
+  }
+
+  const count = memory.size;
+  memory.clear();
+  memoryBytes = 0;
+  if (config.ttsCache.dir) {
+    for (const file of await listDiskEntries()) {
+      await fs.rm(path.join(config.ttsCache.dir, file), { force: true });
+    }
+  }
+  return count;
+}
+
+/**
+ * Hit/miss statistics and current size
+ * @returns {Object} - Cache statistics
+ */
+function getStats() {
+  const lookups = stats.memoryHits + stats.diskHits + stats.misses;
+  return {
+    enabled: config.ttsCache.enabled,
+    ...stats,
+    hitRate: lookups > 0 ? (stats.memoryHits + stats.diskHits) / lookups : 0,
+    memoryEntries: memory.size,
+    memoryBytes: memoryBytes,
+    diskEnabled: Boolean(config.ttsCache.dir),
+  };
+}
+
+module.exports = {
+  normalizeText,
+  buildKey,
+  get,
+  set,
+  purge,
+  getStats,
+};
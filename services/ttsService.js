@@ -1,93 +1,303 @@
-const axios = require('axios');
 const config = require('../config');
+const providers = require('./providers');
+const ttsCache = require('./ttsCache');
+const resilience = require('./resilience');
+const clipService = require('./clipService');
+const metrics = require('./metrics');
+const cancellation = require('./cancellation');
+const log = require('./logger').createLogger('TTS');
 
 /**
- * Convert text to speech using Sarvam TTS API
+ * Resolve the language to synthesize in
+ * "auto" (per request or as SAVARAM_TTS_LANGUAGE) follows the language of the
+ * caller's speech; when STT reported none, the STT language setting is used.
+ * @param {string} [requested] - Requested language code or 'auto'
+ * @param {string|null} [detectedLanguage] - Language of the STT transcript
+ * @returns {string} - Language code
+ */
+function resolveTargetLanguage(requested, detectedLanguage) {
+  const language = requested || config.savaram.tts.language_code;
+  if (language !== 'auto') {
+    return language;
+  }
+  return detectedLanguage || config.savaram.stt.language_code;
+}
+
+/**
+ * Build TTS options from request parameters
+ * Numbers may arrive as strings (query string, multipart form fields).
+ * @param {Object} params - { ttsProvider, speaker, language, pace, pitch, loudness, sampleRate }
+ * @returns {{options: Object, error: string|null}} - Options for convertTextToSpeech,
+ *   or an error message describing the first invalid parameter
+ */
+function parseVoiceOptions(params = {}) {
+  if (params.ttsProvider && !providers.names.includes(params.ttsProvider)) {
+    return { options: null, error: `Invalid ttsProvider: must be one of ${providers.names.join(', ')}` };
+  }
+
+  const options = {
+    provider: params.ttsProvider,
+    speaker: params.speaker,
+    target_language_code: params.language,
+  };
+
+  const numbers = [
+    ['pace', 'pace'],
+    ['pitch', 'pitch'],
+    ['loudness', 'loudness'],
+    ['sampleRate', 'speech_sample_rate'],
+  ];
+  for (const [param, option] of numbers) {
+    if (params[param] === undefined || params[param] === '') continue;
+
+    const value = Number(params[param]);
+    if (!Number.isFinite(value)) {
+      return { options: null, error: `Invalid ${param}: must be a number` };
+    }
+    if (param === 'sampleRate' && (!Number.isInteger(value) || value <= 0)) {
+      return { options: null, error: 'Invalid sampleRate: must be a positive integer' };
+    }
+    options[option] = value;
+  }
+
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+  return { options, error: null };
+}
+
+/**
+ * Convert text to speech using the configured TTS provider
  * @param {string} text - Text to convert to speech
  * @param {Object} options - Additional options
+ * @param {string} options.provider - TTS provider to use (default: TTS_PROVIDER, 'sarvam')
  * @param {string} options.speaker - Speaker to use (default: anushka)
- * @param {string} options.target_language_code - Language code (default: hi-IN)
+ * @param {string} options.target_language_code - Language code or 'auto' (default: SAVARAM_TTS_LANGUAGE)
+ * @param {number} options.pace - Speaking rate, 1 is normal
+ * @param {number} options.pitch - Pitch shift, 0 is normal
+ * @param {number} options.loudness - Volume, 1 is normal
+ * @param {number} options.speech_sample_rate - Output sample rate in Hz
  * @param {boolean} options.enable_preprocessing - Enable preprocessing (default: true)
+ * @param {boolean} options.cache - Use the TTS cache (default: true)
+ * @param {AbortSignal} options.signal - Cancels the conversion, rejecting with its reason
  * @returns {Promise<string>} - Base64 encoded audio
  */
 async function convertTextToSpeech(text, options = {}) {
   try {
-    const speaker = options.speaker || config.savaram.tts.speaker || 'anushka';
-    const target_language_code = options.target_language_code || 'hi-IN';
-    const enable_preprocessing = options.enable_preprocessing !== false ? true : false;
-
-    console.log(`[TTS] Converting text to speech using speaker: ${speaker}`);
-    console.log(`[TTS] Text: "${text}"`);
-
-    const payload = {
-      text: text,
-      target_language_code: target_language_code,
-      speaker: speaker,
-      enable_preprocessing: enable_preprocessing,
-    };
-
-    const response = await axios.post(config.savaram.tts.url, payload, {
-      headers: {
-        'api-subscription-key': config.savaram.tts.apiKey,
-        'Content-Type': 'application/json',
-      },
-      responseType: 'arraybuffer',
-      timeout: 30000,
-    });
-
-    // Check if response is JSON (contains audio metadata) or raw binary
-    let audioData = response.data;
-
-    // Try to parse as JSON to extract audio
-    try {
-      const jsonResponse = JSON.parse(Buffer.from(response.data).toString('utf8'));
-      
-      if (jsonResponse.audios && jsonResponse.audios.length > 0) {
-        // Audio data is in base64 format in the response
-        const base64Audio = jsonResponse.audios[0];
-        console.log('[TTS] Successfully extracted audio from JSON response. Base64 length:', base64Audio.length);
-        return base64Audio;
+    const { provider: providerName, cache = true, signal, ...providerOptions } = options;
+    const provider = providers.getTtsProvider(providerName);
+    providerOptions.target_language_code = resolveTargetLanguage(providerOptions.target_language_code);
+
+    // Spoken text has numbers spelled out, which redaction cannot recognize
+    const logged = config.redaction.logs ? { characters: text.length } : { text };
+
+    const endTimer = metrics.ttsDuration.startTimer({ provider: provider.name });
+    const cacheKey = ttsCache.buildKey(text, provider.name, providerOptions);
+    if (cache) {
+      const cachedAudio = await ttsCache.get(cacheKey);
+      if (cachedAudio) {
+        endTimer({ cache: 'hit' });
+        log.debug('Cache hit', logged);
+        return cachedAudio;
       }
-    } catch (e) {
-      // Not JSON, continue with binary response
     }
 
-    // Convert response to base64
-    const base64Audio = Buffer.from(audioData).toString('base64');
+    log.info('Converting text to speech', { provider: provider.name, ...logged });
+
+    const base64Audio = await resilience.callWithResilience(`tts:${provider.name}`, () =>
+      provider.synthesize(text, { ...providerOptions, signal }),
+    { signal });
+
+    if (cache) {
+      // The entry is found by its hashed key; the text is not stored with it
+      await ttsCache.set(cacheKey, base64Audio, { provider: provider.name });
+    }
 
-    console.log('[TTS] Successfully converted text to speech. Base64 length:', base64Audio.length);
+    endTimer({ cache: cache ? 'miss' : 'off' });
+    log.info('Converted text to speech', { base64Length: base64Audio.length });
     return base64Audio;
   } catch (error) {
-    console.error('[TTS] Error converting text to speech:', error.message);
-    if (error.response?.data) {
-      console.error('[TTS] API Response:', error.response.data.toString());
+    if (cancellation.isCancelled(error)) {
+      throw error;
     }
+    log.error('Error converting text to speech', { error, response: error.response?.data?.toString() });
     throw new Error(`TTS conversion failed: ${error.message}`);
   }
 }
 
 /**
- * Convert multiple texts to speech
- * @param {Array<string>} texts - Array of texts to convert
- * @returns {Promise<Array<string>>} - Array of base64 encoded audios
+ * Create a queue that synthesizes texts in parallel, up to a concurrency
+ * limit, but delivers results strictly in the order they were queued
+ * Prerecorded clips can be queued between texts and are delivered in place.
+ * @param {Object} options - Options passed to convertTextToSpeech
+ * @param {Object} handlers - Delivery callbacks and limits
+ * @param {number} handlers.concurrency - Max parallel TTS calls (default: TTS_CONCURRENCY)
+ * @param {Function} handlers.onResult - Called in order with { index, text, clip, ttsBase64 }
+ * @param {Function} handlers.onError - Called in order with (error, { index, text, clip })
+ * @param {Function} handlers.afterSynthesis - (ttsBase64, { index, text, clip }) => audio
+ *   (or a promise of it) to deliver instead; a rejection counts as that item's error
+ * @param {AbortSignal} handlers.signal - Cancels the queue: running TTS calls are
+ *   aborted, nothing further is started or delivered and drain() rejects with its reason
+ * @returns {{push: function(string, Object=): number, pushClip: function(string): number, drain: function(): Promise<void>}}
  */
-async function convertMultipleTextsToSpeech(texts) {
-  try {
-    const results = [];
+function createSynthesisQueue(options = {}, handlers = {}) {
+  const concurrency = Math.max(1, handlers.concurrency || config.tts.concurrency);
+  const { signal } = handlers;
+  const entries = [];
+  let nextToStart = 0;
+  let nextToDeliver = 0;
+  let active = 0;
+  let drainWaiters = [];
+
+  const deliver = () => {
+    if (signal && signal.aborted) return;
 
-    for (const text of texts) {
-      const base64Audio = await convertTextToSpeech(text);
-      results.push(base64Audio);
+    while (nextToDeliver < entries.length && entries[nextToDeliver].settled) {
+      const entry = entries[nextToDeliver++];
+      try {
+        if (entry.error) {
+          if (handlers.onError) handlers.onError(entry.error, { index: entry.index, text: entry.text, clip: entry.clip });
+        } else if (handlers.onResult) {
+          handlers.onResult({ index: entry.index, text: entry.text, clip: entry.clip, ttsBase64: entry.ttsBase64 });
+        }
+      } catch (error) {
+        log.error('Error in synthesis queue handler', { error });
+      }
     }
 
-    return results;
-  } catch (error) {
-    console.error('[TTS] Error converting multiple texts:', error.message);
-    throw error;
+    if (nextToDeliver === entries.length) {
+      drainWaiters.forEach(({ resolve }) => resolve());
+      drainWaiters = [];
+    }
+  };
+
+  const startNext = () => {
+    if (signal && signal.aborted) {
+      nextToStart = entries.length;
+      return;
+    }
+
+    while (active < concurrency && nextToStart < entries.length) {
+      const entry = entries[nextToStart++];
+      active++;
+
+      let audio = entry.clip
+        ? clipService.loadClip(entry.clip)
+        : convertTextToSpeech(entry.text, { ...entry.options, signal });
+      if (handlers.afterSynthesis) {
+        audio = audio.then((ttsBase64) =>
+          handlers.afterSynthesis(ttsBase64, { index: entry.index, text: entry.text, clip: entry.clip })
+        );
+      }
+
+      audio
+        .then((ttsBase64) => {
+          entry.ttsBase64 = ttsBase64;
+        })
+        .catch((error) => {
+          entry.error = error;
+        })
+        .finally(() => {
+          entry.settled = true;
+          active--;
+          deliver();
+          startNext();
+        });
+    }
+  };
+
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      drainWaiters.forEach(({ reject }) => reject(signal.reason));
+      drainWaiters = [];
+    }, { once: true });
+  }
+
+  return {
+    /**
+     * Queue a text for synthesis
+     * @param {string} text - Text to convert to speech
+     * @param {Object} [entryOptions] - Options for this text, replacing the queue's
+     * @returns {number} - 1-based position of the text in delivery order
+     */
+    push(text, entryOptions) {
+      const entry = { index: entries.length + 1, text, options: entryOptions || options, settled: false };
+      entries.push(entry);
+      startNext();
+      return entry.index;
+    },
+
+    /**
+     * Queue a prerecorded clip
+     * @param {string} name - Clip name (see clipService)
+     * @returns {number} - 1-based position of the clip in delivery order
+     */
+    pushClip(name) {
+      const entry = { index: entries.length + 1, text: null, clip: name, settled: false };
+      entries.push(entry);
+      startNext();
+      return entry.index;
+    },
+
+    /**
+     * Wait until every queued text has been delivered
+     * @returns {Promise<void>} - Rejects with the signal's reason once cancelled
+     */
+    drain() {
+      if (signal && signal.aborted) {
+        return Promise.reject(signal.reason);
+      }
+      if (nextToDeliver === entries.length) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve, reject) => drainWaiters.push({ resolve, reject }));
+    },
+  };
+}
+
+/**
+ * Convert multiple texts to speech, in parallel up to TTS_CONCURRENCY
+ * @param {Array<string>} texts - Array of texts to convert
+ * @param {Object} options - Options passed to convertTextToSpeech
+ * @returns {Promise<Array<string>>} - Array of base64 encoded audios, in input order
+ */
+async function convertMultipleTextsToSpeech(texts, options = {}) {
+  const results = [];
+  let firstError = null;
+
+  const queue = createSynthesisQueue(options, {
+    onResult: ({ ttsBase64 }) => results.push(ttsBase64),
+    onError: (error) => {
+      firstError = firstError || error;
+    },
+  });
+
+  texts.forEach((text) => queue.push(text));
+  await queue.drain();
+
+  if (firstError) {
+    log.error('Error converting multiple texts', { error: firstError });
+    throw firstError;
   }
+
+  return results;
+}
+
+/**
+ * Cache key a convertTextToSpeech call with these arguments would use
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Same options as convertTextToSpeech
+ * @returns {string} - Cache key
+ */
+function getCacheKey(text, options = {}) {
+  const { provider: providerName, cache, signal, ...providerOptions } = options;
+  providerOptions.target_language_code = resolveTargetLanguage(providerOptions.target_language_code);
+  return ttsCache.buildKey(text, providers.getTtsProvider(providerName).name, providerOptions);
 }
 
 module.exports = {
+  resolveTargetLanguage,
+  parseVoiceOptions,
   convertTextToSpeech,
+  getCacheKey,
   convertMultipleTextsToSpeech,
+  createSynthesisQueue,
 };
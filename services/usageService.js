@@ -0,0 +1,206 @@
+const fs = require('fs');
+const config = require('../config');
+const metrics = require('./metrics');
+const log = require('./logger').createLogger('Usage');
+
+/**
+ * API key registry, per-key rate limiting and monthly usage quotas
+ * Keys come from API_KEYS ("name:key,name:key") and/or API_KEYS_FILE, a JSON
+ * array of { name, key, rateLimitPerMinute?, monthlyAudioSeconds?,
+ * monthlyTtsCharacters? }. Limits not given per key use the RATE_LIMIT_* and
+ * QUOTA_* defaults; 0 means unlimited.
+ * Usage counters are kept in memory and, when USAGE_FILE is set, saved there.
+ */
+
+/**
+ * Load API key definitions from the environment
+ * @returns {Map<string, Object>} - Key definitions by key
+ */
+function loadApiKeys() {
+  const keys = new Map();
+
+  const add = (definition) => {
+    if (!definition.key) return;
+    keys.set(definition.key, {
+      name: definition.name || definition.key.slice(0, 6),
+      key: definition.key,
+      rateLimitPerMinute: definition.rateLimitPerMinute ?? config.auth.rateLimitPerMinute,
+      monthlyAudioSeconds: definition.monthlyAudioSeconds ?? config.auth.monthlyAudioSeconds,
+      monthlyTtsCharacters: definition.monthlyTtsCharacters ?? config.auth.monthlyTtsCharacters,
+    });
+  };
+
+  for (const entry of config.auth.apiKeys) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      add({ key: entry });
+    } else {
+      add({ name: entry.slice(0, separator), key: entry.slice(separator + 1) });
+    }
+  }
+
+  if (config.auth.apiKeysFile) {
+    const definitions = JSON.parse(fs.readFileSync(config.auth.apiKeysFile, 'utf8'));
+    definitions.forEach(add);
+  }
+
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+// Fixed one-minute windows: key -> { windowStart, count }
+const rateWindows = new Map();
+
+// Monthly counters: key name -> { month, requests, audioSeconds, ttsCharacters }
+let usage = {};
+if (config.auth.usageFile && fs.existsSync(config.auth.usageFile)) {
+  usage = JSON.parse(fs.readFileSync(config.auth.usageFile, 'utf8'));
+}
+
+let saveTimer = null;
+
+function scheduleSave() {
+  if (!config.auth.usageFile || saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    fs.writeFile(config.auth.usageFile, JSON.stringify(usage, null, 2), (error) => {
+      if (error) {
+        log.error('Error saving usage file', { error });
+      }
+    });
+  }, 1000);
+  saveTimer.unref();
+}
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+function getMonthlyUsage(name) {
+  const month = currentMonth();
+  if (!usage[name] || usage[name].month !== month) {
+    usage[name] = { month, requests: 0, audioSeconds: 0, ttsCharacters: 0 };
+  }
+  return usage[name];
+}
+
+/**
+ * Whether API key authentication is enabled (at least one key configured)
+ * @returns {boolean}
+ */
+function isAuthEnabled() {
+  return apiKeys.size > 0;
+}
+
+/**
+ * Look up an API key
+ * @param {string} key - Key presented by the client
+ * @returns {Object|null} - Key definition or null if unknown
+ */
+function getApiKey(key) {
+  return (key && apiKeys.get(key)) || null;
+}
+
+/**
+ * Count a request against the key's per-minute rate limit
+ * @param {Object} apiKey - Key definition
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetMs: number}}
+ */
+function checkRateLimit(apiKey) {
+  const limit = apiKey.rateLimitPerMinute;
+  const now = Date.now();
+
+  let window = rateWindows.get(apiKey.key);
+  if (!window || now - window.windowStart >= 60000) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(apiKey.key, window);
+  }
+
+  const resetMs = window.windowStart + 60000 - now;
+  if (limit > 0 && window.count >= limit) {
+    return { allowed: false, limit, remaining: 0, resetMs };
+  }
+
+  window.count++;
+  getMonthlyUsage(apiKey.name).requests++;
+  scheduleSave();
+
+  return { allowed: true, limit, remaining: limit > 0 ? limit - window.count : Infinity, resetMs };
+}
+
+/**
+ * Check whether the key still has monthly quota of a kind
+ * @param {Object} apiKey - Key definition
+ * @param {string} kind - 'audioSeconds' or 'ttsCharacters'
+ * @returns {{allowed: boolean, used: number, limit: number}}
+ */
+function checkQuota(apiKey, kind) {
+  const limit = kind === 'audioSeconds' ? apiKey.monthlyAudioSeconds : apiKey.monthlyTtsCharacters;
+  const used = getMonthlyUsage(apiKey.name)[kind];
+  return { allowed: !limit || used < limit, used, limit };
+}
+
+/**
+ * Add usage to the key's monthly counters and the processed-volume metrics
+ * @param {Object|null} apiKey - Key definition (counters are skipped when auth is disabled)
+ * @param {Object} amounts - { audioSeconds?, ttsCharacters? }
+ */
+function recordUsage(apiKey, amounts) {
+  metrics.audioSeconds.inc({}, amounts.audioSeconds || 0);
+  metrics.ttsCharacters.inc({}, amounts.ttsCharacters || 0);
+  if (!apiKey) return;
+
+  const monthly = getMonthlyUsage(apiKey.name);
+  monthly.audioSeconds += amounts.audioSeconds || 0;
+  monthly.ttsCharacters += amounts.ttsCharacters || 0;
+  scheduleSave();
+}
+
+/**
+ * Estimate the duration of an uploaded recording
+ * WAV duration comes from the header; other formats are estimated from their
+ * size at 32 kbit/s, which over- rather than under-counts typical voice codecs.
+ * @param {Buffer} buffer - Audio file
+ * @returns {number} - Duration in seconds
+ */
+function estimateAudioSeconds(buffer) {
+  if (buffer.length > 44 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    const byteRate = buffer.readUInt32LE(28);
+    if (byteRate > 0) {
+      return (buffer.length - 44) / byteRate;
+    }
+  }
+  return buffer.length / 4000;
+}
+
+/**
+ * Usage report for every configured key
+ * @returns {Array<Object>} - Per-key usage and limits
+ */
+function getUsageReport() {
+  return Array.from(apiKeys.values()).map((apiKey) => {
+    const monthly = getMonthlyUsage(apiKey.name);
+    return {
+      name: apiKey.name,
+      month: monthly.month,
+      requests: monthly.requests,
+      audioSeconds: Math.round(monthly.audioSeconds * 10) / 10,
+      ttsCharacters: monthly.ttsCharacters,
+      limits: {
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        monthlyAudioSeconds: apiKey.monthlyAudioSeconds,
+        monthlyTtsCharacters: apiKey.monthlyTtsCharacters,
+      },
+    };
+  });
+}
+
+module.exports = {
+  isAuthEnabled,
+  getApiKey,
+  checkRateLimit,
+  checkQuota,
+  recordUsage,
+  estimateAudioSeconds,
+  getUsageReport,
+};
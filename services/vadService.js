@@ -0,0 +1,118 @@
+const config = require('../config');
+
+/**
+ * Compute the RMS energy of a 16-bit little-endian PCM frame
+ * @param {Buffer} frame - PCM16LE samples
+ * @returns {number} - Root mean square of the samples
+ */
+function computeRms(frame) {
+  const sampleCount = Math.floor(frame.length / 2);
+  if (sampleCount === 0) return 0;
+
+  let sumSquares = 0;
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = frame.readInt16LE(i * 2);
+    sumSquares += sample * sample;
+  }
+
+  return Math.sqrt(sumSquares / sampleCount);
+}
+
+/**
+ * Create an energy-based end-of-utterance detector for streamed PCM audio
+ * Frames are pushed as they arrive; once speech has been heard and is
+ * followed by enough silence (or the utterance hits its maximum length),
+ * the buffered utterance audio is returned.
+ * @param {Object} options - Detector options
+ * @param {number} options.sampleRate - Sample rate of the incoming PCM16LE mono audio
+ * @param {number} options.energyThreshold - RMS level above which a frame counts as speech
+ * @param {number} options.silenceMs - Trailing silence that ends an utterance
+ * @param {number} options.minSpeechMs - Utterances with less speech than this are discarded
+ * @param {number} options.maxUtteranceMs - Force an utterance end after this long
+ * @returns {{push: function(Buffer): (Object|null), flush: function(): (Object|null), isSpeaking: function(): boolean}}
+ */
+function createVoiceActivityDetector(options = {}) {
+  const sampleRate = options.sampleRate || 16000;
+  const energyThreshold = options.energyThreshold || config.voice.energyThreshold;
+  const silenceMs = options.silenceMs || config.voice.silenceMs;
+  const minSpeechMs = options.minSpeechMs || config.voice.minSpeechMs;
+  const maxUtteranceMs = options.maxUtteranceMs || config.voice.maxUtteranceMs;
+
+  const bytesPerMs = (sampleRate * 2) / 1000;
+
+  let frames = [];
+  let speaking = false;
+  let speechMs = 0;
+  let trailingSilenceMs = 0;
+  let utteranceMs = 0;
+
+  const reset = () => {
+    frames = [];
+    speaking = false;
+    speechMs = 0;
+    trailingSilenceMs = 0;
+    utteranceMs = 0;
+  };
+
+  const takeUtterance = () => {
+    const utterance = speechMs >= minSpeechMs
+      ? { audio: Buffer.concat(frames), sampleRate: sampleRate, durationMs: Math.round(utteranceMs) }
+      : null;
+    reset();
+    return utterance;
+  };
+
+  return {
+    /**
+     * Append a PCM frame
+     * @param {Buffer} frame - PCM16LE mono samples
+     * @returns {Object|null} - { audio, sampleRate, durationMs } when an utterance ended
+     */
+    push(frame) {
+      const frameMs = frame.length / bytesPerMs;
+      const isSpeech = computeRms(frame) >= energyThreshold;
+
+      if (!speaking && !isSpeech) {
+        // Keep nothing before speech starts
+        return null;
+      }
+
+      speaking = true;
+      frames.push(frame);
+      utteranceMs += frameMs;
+
+      if (isSpeech) {
+        speechMs += frameMs;
+        trailingSilenceMs = 0;
+      } else {
+        trailingSilenceMs += frameMs;
+      }
+
+      if (trailingSilenceMs >= silenceMs || utteranceMs >= maxUtteranceMs) {
+        return takeUtterance();
+      }
+
+      return null;
+    },
+
+    /**
+     * End the current utterance immediately
+     * @returns {Object|null} - Buffered utterance, if it contained enough speech
+     */
+    flush() {
+      return takeUtterance();
+    },
+
+    /**
+     * @returns {boolean} - Whether speech has started in the current utterance
+     */
+    isSpeaking() {
+      return speaking;
+    },
+  };
+}
+
+module.exports = {
+  computeRms,
+  createVoiceActivityDetector,
+};
@@ -0,0 +1,286 @@
+const config = require('../config');
+const log = require('./logger').createLogger('WAV');
+
+/**
+ * RIFF/WAVE parsing, writing and combining
+ * Everything is normalized to 16-bit PCM internally. Other PCM bit depths and
+ * 32-bit float input are converted; mismatched channel counts and sample rates
+ * are downmixed/resampled to the target format.
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Check whether a buffer starts with a RIFF/WAVE header
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+/**
+ * Parse a WAV file by walking its chunks
+ * @param {Buffer} buffer - WAV file
+ * @returns {{format: Object, data: Buffer}} - fmt chunk fields and raw sample data
+ */
+function parseWav(buffer) {
+  if (!isWav(buffer)) {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const declaredSize = buffer.readUInt32LE(offset + 4);
+    const bodyStart = offset + 8;
+    // Streaming encoders write 0 or 0xFFFFFFFF; clamp to what is really there
+    const size = Math.min(declaredSize, buffer.length - bodyStart);
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(bodyStart);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        // The real format code is the first two bytes of the SubFormat GUID
+        audioFormat = buffer.readUInt16LE(bodyStart + 24);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(bodyStart + 2),
+        sampleRate: buffer.readUInt32LE(bodyStart + 4),
+        byteRate: buffer.readUInt32LE(bodyStart + 8),
+        blockAlign: buffer.readUInt16LE(bodyStart + 12),
+        bitsPerSample: buffer.readUInt16LE(bodyStart + 14),
+      };
+    } else if (chunkId === 'data') {
+      data = buffer.subarray(bodyStart, bodyStart + (declaredSize === 0 ? buffer.length - bodyStart : size));
+    }
+
+    // Chunks are word-aligned
+    offset = bodyStart + size + (size % 2);
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  return { format, data };
+}
+
+/**
+ * Whether decodeWav can decode a WAV file's encoding
+ * Other encodings, such as μ-law or ADPCM, are left to whoever receives the file.
+ * @param {Object} format - fmt chunk fields, as returned by parseWav
+ * @returns {boolean}
+ */
+function isDecodable({ audioFormat, bitsPerSample }) {
+  if (audioFormat === WAVE_FORMAT_PCM) return [8, 16, 24, 32].includes(bitsPerSample);
+  return audioFormat === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32;
+}
+
+/**
+ * Decode a WAV file to interleaved 16-bit samples
+ * @param {Buffer} buffer - WAV file
+ * @returns {{sampleRate: number, channels: number, samples: Int16Array}}
+ */
+function decodeWav(buffer) {
+  const { format, data } = parseWav(buffer);
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const count = Math.floor(data.length / bytesPerSample);
+  const samples = new Int16Array(count);
+
+  if (audioFormat === WAVE_FORMAT_PCM) {
+    for (let i = 0; i < count; i++) {
+      const at = i * bytesPerSample;
+      if (bitsPerSample === 16) {
+        samples[i] = data.readInt16LE(at);
+      } else if (bitsPerSample === 8) {
+        samples[i] = (data[at] - 128) << 8;
+      } else if (bitsPerSample === 24) {
+        samples[i] = data.readIntLE(at, 3) >> 8;
+      } else if (bitsPerSample === 32) {
+        samples[i] = data.readInt32LE(at) >> 16;
+      } else {
+        throw new Error(`Unsupported PCM bit depth: ${bitsPerSample}`);
+      }
+    }
+  } else if (audioFormat === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+    for (let i = 0; i < count; i++) {
+      const value = Math.max(-1, Math.min(1, data.readFloatLE(i * 4)));
+      samples[i] = Math.round(value * 32767);
+    }
+  } else {
+    throw new Error(`Unsupported WAV format: code ${audioFormat}, ${bitsPerSample}-bit`);
+  }
+
+  return { sampleRate, channels, samples };
+}
+
+/**
+ * Mix interleaved samples down (or up) to a channel count
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {number} fromChannels - Current channel count
+ * @param {number} toChannels - Target channel count
+ * @returns {Int16Array} - Interleaved samples
+ */
+function convertChannels(samples, fromChannels, toChannels) {
+  if (fromChannels === toChannels) return samples;
+
+  const frames = Math.floor(samples.length / fromChannels);
+  const output = new Int16Array(frames * toChannels);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let c = 0; c < fromChannels; c++) {
+      sum += samples[frame * fromChannels + c];
+    }
+    const mono = Math.round(sum / fromChannels);
+    for (let c = 0; c < toChannels; c++) {
+      output[frame * toChannels + c] = mono;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Resample interleaved samples with linear interpolation
+ * Good enough for speech; not intended for music.
+ * @param {Int16Array} samples - Interleaved samples
+ * @param {number} channels - Channel count
+ * @param {number} fromRate - Current sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Int16Array} - Interleaved samples at toRate
+ */
+function resample(samples, channels, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const inFrames = Math.floor(samples.length / channels);
+  const outFrames = Math.floor((inFrames * toRate) / fromRate);
+  const output = new Int16Array(outFrames * channels);
+  const ratio = fromRate / toRate;
+
+  for (let frame = 0; frame < outFrames; frame++) {
+    const position = frame * ratio;
+    const left = Math.floor(position);
+    const right = Math.min(left + 1, inFrames - 1);
+    const fraction = position - left;
+
+    for (let c = 0; c < channels; c++) {
+      const a = samples[left * channels + c];
+      const b = samples[right * channels + c];
+      output[frame * channels + c] = Math.round(a + (b - a) * fraction);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Convert decoded audio to a target format
+ * @param {{sampleRate: number, channels: number, samples: Int16Array}} audio - Decoded audio
+ * @param {{sampleRate: number, channels: number}} target - Target format
+ * @returns {Int16Array} - Interleaved samples in the target format
+ */
+function convertFormat(audio, target) {
+  const mixed = convertChannels(audio.samples, audio.channels, target.channels);
+  return resample(mixed, target.channels, audio.sampleRate, target.sampleRate);
+}
+
+/**
+ * Write 16-bit PCM samples as a WAV file
+ * @param {Int16Array|Buffer} samples - Interleaved samples, or raw PCM16LE bytes
+ * @param {{sampleRate: number, channels: number}} format - Output format
+ * @returns {Buffer} - WAV file
+ */
+function writeWav(samples, format) {
+  const data = Buffer.isBuffer(samples)
+    ? samples
+    : Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  const channels = format.channels || 1;
+  const blockAlign = channels * 2;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Combine WAV files into one, converting every part to a common format
+ * @param {Array<Buffer>} buffers - WAV files, in playback order
+ * @param {Object} [options] - Combine options
+ * @param {number} [options.sampleRate] - Output rate (default: the first file's rate)
+ * @param {number} [options.channels] - Output channels (default: the first file's channels)
+ * @param {number} [options.silenceMs] - Silence between parts (default: AUDIO_SILENCE_BETWEEN_MS)
+ * @returns {{wav: Buffer, format: Object, durationMs: number}} - Combined WAV file
+ */
+function concatWavs(buffers, options = {}) {
+  const decoded = buffers.map(decodeWav);
+  const first = decoded[0] || { sampleRate: 24000, channels: 1 };
+  const target = {
+    sampleRate: options.sampleRate || first.sampleRate,
+    channels: options.channels || first.channels,
+  };
+  const silenceMs = options.silenceMs !== undefined ? options.silenceMs : config.audio.silenceBetweenMs;
+  const silence = new Int16Array(Math.round((target.sampleRate * silenceMs) / 1000) * target.channels);
+
+  const parts = [];
+  decoded.forEach((audio, i) => {
+    if (audio.sampleRate !== target.sampleRate || audio.channels !== target.channels) {
+      log.info('Converting part', { part: i + 1, from: `${audio.sampleRate} Hz/${audio.channels}ch`, to: `${target.sampleRate} Hz/${target.channels}ch` });
+    }
+    if (i > 0 && silence.length > 0) {
+      parts.push(silence);
+    }
+    parts.push(convertFormat(audio, target));
+  });
+
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const samples = new Int16Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    samples.set(part, offset);
+    offset += part.length;
+  }
+
+  return {
+    wav: writeWav(samples, target),
+    format: target,
+    durationMs: Math.round((total / target.channels / target.sampleRate) * 1000),
+  };
+}
+
+module.exports = {
+  isWav,
+  parseWav,
+  isDecodable,
+  decodeWav,
+  convertChannels,
+  resample,
+  convertFormat,
+  writeWav,
+  concatWavs,
+};
@@ -0,0 +1,294 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Webhook response formats
+ * Agents answer in different framings:
+ *   ndjson - one JSON value per line (n8n streaming, the original format)
+ *   sse    - Server-Sent Events, `data:` lines, optional `[DONE]` sentinel
+ *   openai - SSE carrying OpenAI chat-completion chunks
+ *   json   - a single JSON body, parsed once the response ends
+ *   text   - plain text, passed through as it arrives
+ * 'auto' picks one from the Content-Type header, or failing that from the
+ * first bytes of the body.
+ */
+
+const FORMATS = ['auto', 'ndjson', 'sse', 'openai', 'json', 'text'];
+
+/**
+ * Guess the format from a Content-Type header
+ * @param {string} [contentType] - Response Content-Type
+ * @returns {string|null} - Format, or null if the body has to be inspected
+ */
+function formatFromContentType(contentType = '') {
+  const type = contentType.toLowerCase();
+  if (type.includes('text/event-stream')) return 'sse';
+  if (/ndjson|jsonl|json-seq/.test(type)) return 'ndjson';
+  if (type.includes('text/plain')) return 'text';
+  // application/json is used for both single bodies and NDJSON streams
+  return null;
+}
+
+/**
+ * Guess the format from the start of the body
+ * @param {string} text - Body received so far
+ * @param {boolean} final - Whether the body is complete
+ * @returns {string|null} - Format, or null if more data is needed
+ */
+function formatFromBody(text, final) {
+  const body = text.trimStart();
+  if (!body) return final ? 'text' : null;
+
+  if (/^(data|event|id|retry):|^:/.test(body)) return 'sse';
+
+  if (body[0] === '{' || body[0] === '[') {
+    const newline = body.indexOf('\n');
+    if (newline === -1) return final ? 'json' : null;
+    // A first line that is complete JSON means one value per line
+    try {
+      JSON.parse(body.slice(0, newline));
+      return 'ndjson';
+    } catch (e) {
+      return 'json';
+    }
+  }
+
+  return 'text';
+}
+
+const parseJsonOrText = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return { text: text.trim() };
+  }
+};
+
+/**
+ * Create a parser that turns response chunks into webhook responses
+ * @param {string} format - One of FORMATS
+ * @param {string} [contentType] - Response Content-Type, used by 'auto'
+ * @returns {{push: function(Buffer): Array, end: function(): Array, getFormat: function(): string}}
+ */
+function createResponseParser(format = 'auto', contentType = '') {
+  const decoder = new StringDecoder('utf8');
+  let mode = format === 'auto' ? formatFromContentType(contentType) : format;
+  if (mode === 'openai') mode = 'sse';
+
+  let buffer = '';
+  // SSE event being assembled from data: lines
+  let eventData = [];
+
+  const dispatchSseEvent = (out) => {
+    if (eventData.length === 0) return;
+    const data = eventData.join('\n');
+    eventData = [];
+    if (data.trim() === '[DONE]') return;
+    out.push(parseJsonOrText(data));
+  };
+
+  const parseLines = (final) => {
+    const out = [];
+    const lines = buffer.split('\n');
+    // Keep the last incomplete line in buffer
+    buffer = final ? '' : lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+
+      if (mode === 'sse') {
+        if (line === '') {
+          dispatchSseEvent(out);
+        } else if (line.startsWith('data:')) {
+          eventData.push(line.slice(5).replace(/^ /, ''));
+        }
+        // event:, id:, retry: and :comments carry no text
+      } else if (line.trim()) {
+        out.push(parseJsonOrText(line));
+      }
+    }
+
+    if (final && mode === 'sse') {
+      dispatchSseEvent(out);
+    }
+    return out;
+  };
+
+  const parseBuffered = (final) => {
+    if (!mode) {
+      mode = formatFromBody(buffer, final);
+      if (!mode) return [];
+    }
+
+    if (mode === 'json') {
+      if (!final) return [];
+      const body = buffer.trim();
+      buffer = '';
+      return body ? [parseJsonOrText(body)] : [];
+    }
+
+    if (mode === 'text') {
+      const text = buffer;
+      buffer = '';
+      return text ? [text] : [];
+    }
+
+    return parseLines(final);
+  };
+
+  return {
+    /**
+     * Add a chunk of the response body
+     * @param {Buffer} chunk - Raw bytes
+     * @returns {Array} - Responses completed by this chunk
+     */
+    push(chunk) {
+      // The decoder holds back multi-byte characters split across chunks
+      buffer += decoder.write(chunk);
+      return parseBuffered(false);
+    },
+
+    /**
+     * End of the response body
+     * @returns {Array} - Remaining responses
+     */
+    end() {
+      buffer += decoder.end();
+      return parseBuffered(true);
+    },
+
+    /**
+     * Format in use (after detection)
+     * @returns {string}
+     */
+    getFormat() {
+      return mode || format;
+    },
+  };
+}
+
+/**
+ * Read a value by a JSONPath-like expression
+ * Supports `$` (optional), `.key`, `[0]`, `['key']` and `[*]`, e.g.
+ * "choices[0].delta.content", "$.data['reply text']", "items[*].text".
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Path expression
+ * @returns {*} - Value, an array of values for [*], or undefined
+ */
+function getPath(value, path) {
+  const tokens = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\]/g;
+  let match;
+  while ((match = pattern.exec(path.replace(/^\$/, ''))) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  let current = [value];
+  let wildcard = false;
+  for (const token of tokens) {
+    const next = [];
+    for (const item of current) {
+      if (item === null || item === undefined) continue;
+      if (token === '*') {
+        wildcard = true;
+        if (Array.isArray(item)) next.push(...item);
+        else if (typeof item === 'object') next.push(...Object.values(item));
+      } else if (item[token] !== undefined) {
+        next.push(item[token]);
+      }
+    }
+    current = next;
+  }
+
+  return wildcard ? current : current[0];
+}
+
+const asText = (value) => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    const parts = value.filter((v) => typeof v === 'string');
+    return parts.length > 0 ? parts.join('') : null;
+  }
+  return null;
+};
+
+/**
+ * Extract reply text from one webhook response
+ * With a textPath only that field is used. Otherwise the known shapes are tried:
+ * plain strings, { type: 'item', content }, OpenAI chat-completion chunks and
+ * completions, Anthropic-style content deltas, and { text | output | reply |
+ * response | message }. Arrays (e.g. n8n's [{ output }]) are joined.
+ * @param {*} response - Parsed webhook response
+ * @param {string} [textPath] - Path expression of the text field
+ * @returns {string|null} - Extracted text or null if the response carries none
+ */
+function extractText(response, textPath) {
+  if (response === null || response === undefined) return null;
+
+  if (textPath) {
+    return asText(getPath(response, textPath));
+  }
+
+  if (typeof response === 'string') return response;
+
+  if (Array.isArray(response)) {
+    const parts = response.map((item) => extractText(item)).filter((text) => text);
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  if (typeof response !== 'object') return null;
+
+  if (Array.isArray(response.choices)) {
+    const choice = response.choices[0] || {};
+    return asText(choice.delta?.content) || asText(choice.message?.content) || asText(choice.text) || null;
+  }
+
+  if (response.type === 'content_block_delta') {
+    return asText(response.delta?.text);
+  }
+
+  // Skip non-item responses (begin, end, etc.)
+  if (response.type && response.type !== 'item') {
+    return null;
+  }
+
+  for (const field of ['content', 'text', 'output', 'reply', 'response']) {
+    const text = asText(response[field]);
+    if (text) return text;
+  }
+
+  if (typeof response.message === 'string') return response.message;
+  if (response.message && typeof response.message === 'object') {
+    return asText(response.message.content);
+  }
+
+  return null;
+}
+
+/**
+ * Extract a control directive from one webhook response
+ * Directives are { type: 'directive', directive: '<name>', ...fields }:
+ *   voice    - speaker, language, pace, pitch, loudness for the rest of the
+ *              reply; without fields the request's voice is restored
+ *   play     - clip: prerecorded clip to play at this point of the reply
+ *   end      - end the conversation after this reply (reason)
+ *   transfer - hand the caller over to a human (target, reason)
+ *   dtmf     - wait for keypad input (maxDigits, timeoutMs, terminator)
+ * Other directive names are passed through for clients to act on.
+ * @param {*} response - Parsed webhook response
+ * @returns {Object|null} - { directive, ...fields } or null if the response is not a directive
+ */
+function extractDirective(response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) return null;
+  if (response.type !== 'directive' || typeof response.directive !== 'string' || !response.directive) return null;
+
+  const { type, ...directive } = response;
+  return directive;
+}
+
+module.exports = {
+  FORMATS,
+  createResponseParser,
+  getPath,
+  extractText,
+  extractDirective,
+};
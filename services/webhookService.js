@@ -1,161 +1,440 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
 const config = require('../config');
+const resilience = require('./resilience');
+const sentenceSegmenter = require('./sentenceSegmenter');
+const webhookFormats = require('./webhookFormats');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const cancellation = require('./cancellation');
+
+const log = logger.createLogger('Webhook');
+
+/**
+ * Named webhooks
+ * WEBHOOK_* configures the webhook named "default". WEBHOOKS_FILE adds more, as
+ * a JSON object of { "<name>": { url, format?, textPath?, bearerToken?,
+ * headers?, signingSecret?, payload?, languages? } }. String values in the file
+ * may reference environment variables as ${NAME}, so secrets stay out of it.
+ * A request picks a webhook by name; otherwise the first webhook listing the
+ * caller's language (exact code, then base language) is used, then
+ * WEBHOOK_DEFAULT.
+ */
+
+/**
+ * Replace ${NAME} references with environment variables
+ * @param {*} value - Value from the webhooks file
+ * @returns {*} - Value with references expanded (non-strings unchanged)
+ */
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+}
+
+/**
+ * Normalize one webhook definition
+ * @param {string} name - Webhook name
+ * @param {Object} definition - Definition from the environment or WEBHOOKS_FILE
+ * @returns {Object} - Webhook
+ */
+function defineWebhook(name, definition) {
+  const url = expandEnv(definition.url);
+  if (!url) {
+    throw new Error(`Webhook "${name}" has no url`);
+  }
+
+  const format = definition.format || 'auto';
+  if (!webhookFormats.FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" for webhook "${name}". Available: ${webhookFormats.FORMATS.join(', ')}`);
+  }
+
+  const headers = {};
+  for (const [header, value] of Object.entries(definition.headers || {})) {
+    headers[header] = expandEnv(value);
+  }
+
+  return {
+    name,
+    url,
+    format,
+    textPath: definition.textPath,
+    bearerToken: expandEnv(definition.bearerToken),
+    headers,
+    signingSecret: expandEnv(definition.signingSecret),
+    payload: definition.payload,
+    languages: (definition.languages || []).map((language) => language.toLowerCase()),
+  };
+}
 
 /**
- * Call webhook with text and process streaming response line by line
+ * Load the webhooks from the environment
+ * @returns {Map<string, Object>} - Webhooks by name
+ */
+function loadWebhooks() {
+  const webhooks = new Map();
+
+  if (config.webhook.url) {
+    webhooks.set('default', defineWebhook('default', {
+      url: config.webhook.url,
+      format: config.webhook.format,
+      textPath: config.webhook.textPath,
+      bearerToken: config.webhook.bearerToken,
+      headers: config.webhook.headers ? JSON.parse(config.webhook.headers) : {},
+      signingSecret: config.webhook.signingSecret,
+      payload: config.webhook.payloadTemplate ? JSON.parse(config.webhook.payloadTemplate) : undefined,
+    }));
+  }
+
+  if (config.webhook.webhooksFile) {
+    const definitions = JSON.parse(fs.readFileSync(config.webhook.webhooksFile, 'utf8'));
+    for (const [name, definition] of Object.entries(definitions)) {
+      webhooks.set(name, defineWebhook(name, definition));
+    }
+  }
+
+  return webhooks;
+}
+
+const webhooks = loadWebhooks();
+
+/**
+ * All configured webhooks
+ * @returns {Array<Object>} - Webhooks, as returned by selectWebhook
+ */
+function listWebhooks() {
+  return [...webhooks.values()];
+}
+
+/**
+ * Choose the webhook for a request
+ * @param {string} [name] - Webhook requested by the client
+ * @param {string} [language] - Caller's language, e.g. 'hi-IN'
+ * @returns {Object} - Webhook
+ */
+function selectWebhook(name, language) {
+  if (name) {
+    const webhook = webhooks.get(name);
+    if (!webhook) {
+      throw new Error(`Unknown webhook "${name}". Available: ${[...webhooks.keys()].join(', ')}`);
+    }
+    return webhook;
+  }
+
+  if (language) {
+    const code = language.toLowerCase();
+    const base = code.split('-')[0];
+    const all = [...webhooks.values()];
+    const routed = all.find((w) => w.languages.includes(code)) || all.find((w) => w.languages.includes(base));
+    if (routed) return routed;
+  }
+
+  const fallback = webhooks.get(config.webhook.defaultName);
+  if (!fallback) {
+    throw new Error(`No webhook configured (set WEBHOOK_URL or a "${config.webhook.defaultName}" webhook in WEBHOOKS_FILE)`);
+  }
+  return fallback;
+}
+
+/**
+ * Validate the client-supplied webhook parameters of a request
+ * @param {Object} params - Raw values (query string, form fields or a socket message)
+ * @param {string} [params.webhook] - Webhook name
+ * @param {string} [params.channel] - Channel the caller is on, e.g. 'whatsapp'
+ * @param {Object|string} [params.metadata] - Object (or JSON string) passed through to the webhook
+ * @param {string} defaultChannel - Channel when the client names none
+ * @returns {{options: Object, error: string|null}} - Options for callWebhookStream
+ */
+function parseRequestOptions({ webhook, channel, metadata }, defaultChannel) {
+  if (webhook && !webhooks.has(webhook)) {
+    return { options: null, error: `Unknown webhook "${webhook}". Available: ${[...webhooks.keys()].join(', ')}` };
+  }
+
+  if (channel !== undefined && (typeof channel !== 'string' || !/^[\w.:-]{1,64}$/.test(channel))) {
+    return { options: null, error: 'channel must be up to 64 letters, digits, or . _ : -' };
+  }
+
+  let parsedMetadata = metadata;
+  if (typeof metadata === 'string') {
+    try {
+      parsedMetadata = JSON.parse(metadata);
+    } catch (e) {
+      return { options: null, error: 'metadata must be a JSON object' };
+    }
+  }
+  if (parsedMetadata !== undefined) {
+    if (!parsedMetadata || typeof parsedMetadata !== 'object' || Array.isArray(parsedMetadata)) {
+      return { options: null, error: 'metadata must be a JSON object' };
+    }
+    if (Buffer.byteLength(JSON.stringify(parsedMetadata)) > config.webhook.metadataMaxBytes) {
+      return { options: null, error: `metadata must be at most ${config.webhook.metadataMaxBytes} bytes` };
+    }
+  }
+
+  return {
+    options: {
+      webhook: webhook || undefined,
+      channel: channel || defaultChannel,
+      metadata: parsedMetadata,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Fill a payload or header template
+ * A string that is exactly "{{name}}" is replaced by the value itself (objects
+ * included, omitted when missing); "{{name}}" inside a longer string is
+ * replaced by its text. Names may be paths, e.g. "{{metadata.callerId}}".
+ * @param {*} template - Template (any JSON value)
+ * @param {Object} values - Values by name
+ * @returns {*} - Filled template
+ */
+function renderTemplate(template, values) {
+  if (typeof template === 'string') {
+    const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (whole) {
+      return webhookFormats.getPath(values, whole[1]);
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+      const value = webhookFormats.getPath(values, name);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, values));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderTemplate(value, values);
+    }
+    return rendered;
+  }
+
+  return template;
+}
+
+/**
+ * Sign a webhook body
+ * Same scheme as job callbacks: HMAC-SHA256 over "<timestamp>.<body>".
+ * @param {string} secret - Signing secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Build the body and headers of a webhook call
+ * Without a payload template the body is { message, sessionId, language,
+ * channel, metadata }, leaving out what is not known.
+ * @param {Object} webhook - Webhook
+ * @param {Object} values - Template values
+ * @returns {{body: string, headers: Object}}
+ */
+function buildRequest(webhook, values) {
+  const payload = webhook.payload
+    ? renderTemplate(webhook.payload, values)
+    : {
+        message: values.message,
+        sessionId: values.sessionId,
+        language: values.language,
+        channel: values.channel,
+        metadata: values.metadata,
+      };
+  const body = JSON.stringify(payload);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...renderTemplate(webhook.headers, values),
+  };
+  if (webhook.bearerToken && !Object.keys(headers).some((h) => h.toLowerCase() === 'authorization')) {
+    headers.Authorization = `Bearer ${webhook.bearerToken}`;
+  }
+  if (webhook.signingSecret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers['X-Webhook-Timestamp'] = timestamp;
+    headers['X-Webhook-Signature'] = signPayload(webhook.signingSecret, timestamp, body);
+  }
+
+  return { body, headers };
+}
+
+/**
+ * Call webhook with text and process its (streaming) response
+ * The response format is set per webhook or detected; see webhookFormats.
  * @param {string} text - Text to send to webhook
- * @param {string} requestId - Request ID for tracking
- * @returns {Promise<Array>} - Array of responses, one per line from webhook
+ * @param {Object} request - Request context
+ * @param {string} request.sessionId - Conversation session ID, lets the agent keep context across turns
+ * @param {string} [request.requestId] - Request ID
+ * @param {string} [request.webhook] - Webhook name (default: routed by language)
+ * @param {string} [request.language] - Caller's language
+ * @param {string} [request.channel] - Channel the caller is on
+ * @param {Object} [request.metadata] - Client metadata passed through
+ * @param {AbortSignal} [request.signal] - Cancels the call: the stream is closed
+ *   and no further responses are reported; rejects with the signal's reason
+ * @param {Function} [onResponse] - Called as (response, content, directive) for
+ *   each parsed response as soon as it arrives; content is its extracted text
+ *   and directive its control directive (see webhookFormats.extractDirective), or null
+ * @returns {Promise<Array>} - Array of parsed responses
  */
-async function callWebhookStream(text, requestId) {
+async function callWebhookStream(text, request, onResponse) {
   try {
     const responses = [];
+    const webhook = selectWebhook(request.webhook, request.language);
+    const { body, headers } = buildRequest(webhook, {
+      message: text,
+      sessionId: request.sessionId,
+      requestId: request.requestId,
+      language: request.language,
+      channel: request.channel,
+      metadata: request.metadata,
+      webhook: webhook.name,
+      timestamp: new Date().toISOString(),
+    });
+    log.info('Calling webhook', { webhook: webhook.name });
+    const endFirstByteTimer = metrics.webhookFirstByte.startTimer({ webhook: webhook.name });
+    const endTimer = metrics.webhookDuration.startTimer({ webhook: webhook.name });
 
-    const response = await axios.post(
-      config.webhook.url,
-      {
-        message: text,
-        sessionId: requestId,
-      },
-      {
+    // Only opening the stream is retried; once lines arrive they are already consumed
+    const response = await resilience.callWithResilience(`webhook:${webhook.name}`, () =>
+      axios.post(webhook.url, body, {
+        headers,
         timeout: 60000,
         responseType: 'stream',
-      }
-    );
+        signal: request.signal,
+      }),
+    { signal: request.signal });
+
+    const parser = webhookFormats.createResponseParser(webhook.format, response.headers['content-type']);
 
     // Handle streaming response
-    return new Promise((resolve, reject) => {
-      let buffer = '';
-
-      response.data.on('data', (chunk) => {
-        buffer += chunk.toString('utf8');
-        
-        // Process complete lines
-        const lines = buffer.split('\n');
-        
-        // Keep the last incomplete line in buffer
-        buffer = lines.pop();
-
-        lines.forEach((line) => {
-          if (line.trim()) {
-            try {
-              // Try to parse as JSON (common in streaming APIs)
-              const parsed = JSON.parse(line);
-              responses.push(parsed);
-              console.log('[Webhook] Received line:', parsed);
-            } catch (e) {
-              // If not JSON, treat as plain text
-              responses.push({ text: line.trim() });
-              console.log('[Webhook] Received text line:', line.trim());
-            }
-          }
-        });
-      });
-
-      response.data.on('end', () => {
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-          try {
-            const parsed = JSON.parse(buffer);
-            responses.push(parsed);
-          } catch (e) {
-            responses.push({ text: buffer.trim() });
-          }
+    return await new Promise((resolve, reject) => {
+      const { signal } = request;
+      if (signal) {
+        const onAbort = () => {
+          response.data.destroy();
+          reject(signal.reason);
+        };
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        response.data.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+
+      const emit = (parsed) => {
+        log.debug('Received response', { response: parsed });
+        responses.push(parsed);
+        if (onResponse) {
+          onResponse(
+            parsed,
+            extractTextFromResponse(parsed, webhook.textPath || null),
+            extractDirectiveFromResponse(parsed)
+          );
+        }
+      };
+
+      // A throwing parser or onResponse must not escape the stream's listeners
+      const fail = (error) => {
+        response.data.destroy();
+        reject(error);
+      };
+
+      let firstChunk = true;
+      response.data.on('data', logger.bindContext((chunk) => {
+        if (firstChunk) {
+          firstChunk = false;
+          endFirstByteTimer();
         }
+        try {
+          parser.push(chunk).forEach(emit);
+        } catch (error) {
+          fail(error);
+        }
+      }));
 
-        console.log(`[Webhook] Stream ended. Received ${responses.length} responses`);
+      response.data.on('end', logger.bindContext(() => {
+        try {
+          parser.end().forEach(emit);
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        endTimer();
+        log.info('Stream ended', { format: parser.getFormat(), responseCount: responses.length });
         resolve(responses);
-      });
+      }));
 
-      response.data.on('error', reject);
+      // axios fails the stream itself when the signal fires
+      response.data.on('error', (error) => reject(request.signal && request.signal.aborted ? request.signal.reason : error));
     });
   } catch (error) {
-    console.error('[Webhook] Error calling webhook:', error.message);
+    if (cancellation.isCancelled(error)) {
+      throw error;
+    }
+    log.error('Error calling webhook', { error });
     throw new Error(`Webhook call failed: ${error.message}`);
   }
 }
 
 /**
  * Extract text from webhook response object
- * Handles streaming JSON with 'type' and 'content' fields
- * @param {Object} response - Response object from webhook
- * @returns {string|null} - Extracted text or null if not an item
+ * @param {Object|string} response - Response object from webhook
+ * @param {string} [textPath] - Path of the text field (default: WEBHOOK_TEXT_PATH)
+ * @returns {string|null} - Extracted text or null if the response carries none
  */
-function extractTextFromResponse(response) {
-  // Skip non-item responses (begin, end, etc.)
-  if (response.type && response.type !== 'item') {
-    return null;
-  }
-
-  // For item responses, extract content
-  if (response.content) {
-    return response.content;
-  }
-
-  if (typeof response === 'string') {
-    return response;
-  }
-  
-  if (response.text) {
-    return response.text;
-  }
-  
-  if (response.message) {
-    return response.message;
-  }
+function extractTextFromResponse(response, textPath = config.webhook.textPath) {
+  return webhookFormats.extractText(response, textPath);
+}
 
-  return null;
+/**
+ * Extract a control directive from webhook response object
+ * @param {Object|string} response - Response object from webhook
+ * @returns {Object|null} - { directive, ...fields } or null if the response is not a directive
+ */
+function extractDirectiveFromResponse(response) {
+  return webhookFormats.extractDirective(response);
 }
 
 /**
- * Split text into sentences
- * Handles multiple scenarios:
- * 1. Splits on sentence punctuation: . ! ? । ॥ ) with optional following punctuation
- * 2. Splits on newlines if no punctuation
- * 3. Splits on word boundaries if text is too long
- * 4. Returns whole text as single sentence if nothing else works
+ * Split text into sentences for TTS
+ * See sentenceSegmenter for the rules (abbreviations, decimals, Indic
+ * punctuation, fragment merging and the maximum sentence length).
  * @param {string} text - Text to split
- * @returns {Array<string>} - Array of sentences
+ * @returns {Array<string>} - Array of sentences, including any trailing text
  */
 function splitIntoSentences(text) {
-  if (!text || text.trim().length === 0) return [];
-
-  text = text.trim();
-
-  // First try: Split on sentence punctuation (. ! ? । ॥ ) or closing parenthesis)
-  // This regex captures text up to and including sentence-ending punctuation
-  let sentences = text.match(/[^.!?।॥)\n]+[.!?।॥)]+/g);
-  if (sentences && sentences.length > 0) {
-    return sentences
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-  }
-
-  // Second try: Split on newlines
-  sentences = text.split('\n');
-  if (sentences.length > 1) {
-    return sentences
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-  }
-
-  // Third try: If text is long, split on multiple spaces or word boundaries
-  if (text.length > 100) {
-    // Split on 2+ spaces or common word boundaries
-    sentences = text.split(/\s{2,}|\s+(?=[A-Z])/);
-    if (sentences.length > 1) {
-      return sentences
-        .map(s => s.trim())
-        .filter(s => s.length > 0);
-    }
-  }
+  return sentenceSegmenter.segment(text);
+}
 
-  // Fallback: Return the whole text as a single sentence
-  return [text];
+/**
+ * Create an incremental sentence detector for streamed text
+ * Text is pushed in arbitrary chunks; sentences are returned as soon as they
+ * are complete, by the same rules as splitIntoSentences. Whatever remains is
+ * returned by flush() at end of stream.
+ * @returns {{push: function(string): Array<string>, flush: function(): Array<string>}}
+ */
+function createSentenceDetector() {
+  return sentenceSegmenter.createSegmenter();
 }
 
 module.exports = {
+  selectWebhook,
+  listWebhooks,
+  parseRequestOptions,
   callWebhookStream,
   extractTextFromResponse,
+  extractDirectiveFromResponse,
   splitIntoSentences,
+  createSentenceDetector,
 };
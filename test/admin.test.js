@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const config = require('../config');
+const ttsService = require('../services/ttsService');
+const adminRoutes = require('../routes/admin');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Send a JSON request to an admin endpoint
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api/admin
+ * @param {Object} body - JSON body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('prewarm synthesizes every text', async (t) => {
+  const synthesize = t.mock.method(ttsService, 'convertTextToSpeech', async () => 'UklGRg==');
+
+  const { status, body } = await request('POST', '/tts-cache/prewarm', { texts: ['Namaste!', 'Thank you.'] });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual(synthesize.mock.calls.map((call) => call.arguments[0]), ['Namaste!', 'Thank you.']);
+});
+
+test('prewarm rejects texts that are not non-empty strings', async (t) => {
+  const synthesize = t.mock.method(ttsService, 'convertTextToSpeech', async () => 'UklGRg==');
+
+  for (const texts of [['Hi', { text: 'Hi' }], ['Hi', 42], ['  '], []]) {
+    const { status } = await request('POST', '/tts-cache/prewarm', { texts });
+    assert.equal(status, 400, JSON.stringify(texts));
+  }
+  assert.equal((await request('DELETE', '/tts-cache', { texts: [7] })).status, 400);
+  assert.equal(synthesize.mock.callCount(), 0);
+});
+
+test('prewarm is refused while the cache is disabled', async (t) => {
+  t.after(() => { config.ttsCache.enabled = true; });
+  config.ttsCache.enabled = false;
+  const synthesize = t.mock.method(ttsService, 'convertTextToSpeech', async () => 'UklGRg==');
+
+  const { status, body } = await request('POST', '/tts-cache/prewarm', { texts: ['Namaste!'] });
+
+  assert.equal(status, 409);
+  assert.match(body.error, /TTS_CACHE_ENABLED=false/);
+  assert.equal(synthesize.mock.callCount(), 0);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const audioInputService = require('../services/audioInputService');
+const wavService = require('../services/wavService');
+const { validateAudio } = require('../middleware/audio');
+
+const header = (text) => Buffer.concat([Buffer.from(text, 'binary'), Buffer.alloc(16)]);
+
+test('identifies the container from its content, not the declared type', () => {
+  const wav = wavService.writeWav(new Int16Array(16000), { sampleRate: 16000, channels: 1 });
+  assert.deepEqual(audioInputService.inspectAudio(wav, 'audio/mpeg'), {
+    format: 'wav',
+    mimeType: 'audio/wav',
+    extension: 'wav',
+    durationSeconds: 1,
+    sampleRate: 16000,
+    channels: 1,
+  });
+  assert.equal(audioInputService.inspectAudio(header('OggS'), 'audio/wav').format, 'ogg');
+  assert.equal(audioInputService.inspectAudio(header('ID3\x04'), '').format, 'mp3');
+  assert.equal(audioInputService.inspectAudio(header('\x00\x00\x00\x20ftypM4A '), '').extension, 'm4a');
+  assert.equal(audioInputService.inspectAudio(header('%PDF-1.7 not audio'), 'audio/wav'), null);
+  assert.equal(audioInputService.inspectAudio(Buffer.from('RIFF'), 'audio/wav'), null);
+});
+
+test('reads raw PCM parameters from the MIME type', () => {
+  const info = audioInputService.inspectAudio(Buffer.alloc(32000), 'audio/L16; rate=8000; channels=2');
+  assert.deepEqual(info, { format: 'pcm', mimeType: 'audio/wav', extension: 'wav', durationSeconds: 1, sampleRate: 8000, channels: 2 });
+  assert.equal(audioInputService.inspectAudio(Buffer.alloc(32000), 'audio/pcm').sampleRate, 16000);
+});
+
+test('refuses raw PCM with an out-of-range rate or channel count', () => {
+  assert.equal(audioInputService.checkPcmParams('audio/L16; rate=16000; channels=1'), null);
+  assert.equal(audioInputService.checkPcmParams('audio/wav; rate=0'), null);
+  assert.match(audioInputService.checkPcmParams('audio/L16; rate=0'), /^Invalid PCM rate/);
+  assert.match(audioInputService.checkPcmParams('audio/L16; rate=200000'), /^Invalid PCM rate/);
+  assert.match(audioInputService.checkPcmParams('audio/pcm; channels=0'), /^Invalid PCM channels/);
+  assert.match(audioInputService.checkPcmParams('audio/x-raw; channels=9'), /^Invalid PCM channels/);
+  assert.equal(audioInputService.inspectAudio(Buffer.alloc(32000), 'audio/L16; rate=0'), null);
+});
+
+test('normalizes WAV to mono at the provider\'s rate', () => {
+  const wav = wavService.writeWav(new Int16Array(44100 * 2), { sampleRate: 44100, channels: 2 });
+  const info = audioInputService.inspectAudio(wav, 'audio/wav');
+  const [segment] = audioInputService.prepareForStt(wav, info, { preferredSampleRate: 16000 });
+
+  const decoded = wavService.decodeWav(segment.buffer);
+  assert.equal(decoded.sampleRate, 16000);
+  assert.equal(decoded.channels, 1);
+  assert.equal(decoded.samples.length, 16000);
+});
+
+test('splits long recordings into overlapping segments', () => {
+  config.audio.sttSegmentOverlapSeconds = 1;
+  const pcm = Buffer.alloc(8000 * 2 * 10);
+  const info = audioInputService.inspectAudio(pcm, 'audio/L16; rate=8000');
+  const segments = audioInputService.prepareForStt(pcm, info, { preferredSampleRate: 8000, maxDurationSeconds: 4 });
+
+  assert.deepEqual(segments.map(({ filename, startSeconds }) => [filename, startSeconds]), [
+    ['recording-1.wav', 0],
+    ['recording-2.wav', 3],
+    ['recording-3.wav', 6],
+  ]);
+  assert.deepEqual(segments.map(({ buffer }) => wavService.decodeWav(buffer).samples.length / 8000), [4, 4, 4]);
+});
+
+test('passes compressed audio through unchanged', () => {
+  const ogg = header('OggS');
+  const segments = audioInputService.prepareForStt(ogg, audioInputService.inspectAudio(ogg), { maxDurationSeconds: 30 });
+  assert.deepEqual(segments, [{ buffer: ogg, mimeType: 'audio/ogg', filename: 'recording.ogg', startSeconds: 0 }]);
+});
+
+test('passes WAV encodings it cannot decode through unchanged', () => {
+  // μ-law: format code 7, 8-bit
+  const mulaw = wavService.writeWav(new Int16Array(4000), { sampleRate: 8000, channels: 1 });
+  mulaw.writeUInt16LE(7, 20);
+  mulaw.writeUInt16LE(8, 34);
+
+  const info = audioInputService.inspectAudio(mulaw, 'audio/wav');
+  assert.equal(info.format, 'wav');
+  const segments = audioInputService.prepareForStt(mulaw, info, { preferredSampleRate: 16000, maxDurationSeconds: 30 });
+  assert.deepEqual(segments, [{ buffer: mulaw, mimeType: 'audio/wav', filename: 'recording.wav', startSeconds: 0 }]);
+});
+
+test('stitches segment transcripts, dropping words repeated at the seams', () => {
+  assert.equal(
+    audioInputService.stitchTranscripts(['please transfer five hundred', 'Five hundred rupees to my', 'to my savings account']),
+    'please transfer five hundred rupees to my savings account'
+  );
+});
+
+test('the upload middleware answers 400 for bad PCM parameters and 415 for non-audio', () => {
+  const run = (file) => {
+    const outcome = { next: false, status: null };
+    const req = { file };
+    const res = {
+      status: (status) => {
+        outcome.status = status;
+        return res;
+      },
+      json: () => {},
+    };
+    validateAudio(req, res, () => { outcome.next = true; });
+    return { ...outcome, audioInfo: req.audioInfo };
+  };
+
+  assert.equal(run({ buffer: Buffer.alloc(3200), mimetype: 'audio/L16; rate=4000' }).status, 400);
+  assert.equal(run({ buffer: header('%PDF-1.7'), mimetype: 'audio/wav' }).status, 415);
+  const accepted = run({ buffer: header('OggS'), mimetype: 'audio/ogg' });
+  assert.equal(accepted.next, true);
+  assert.equal(accepted.audioInfo.format, 'ogg');
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keys are loaded when the modules are first required
+process.env.API_KEYS = 'alpha:key-alpha,beta:key-beta';
+process.env.ADMIN_API_KEY = 'admin-secret';
+process.env.RATE_LIMIT_PER_MINUTE = '2';
+
+const config = require('../config');
+const usageService = require('../services/usageService');
+const auth = require('../middleware/auth');
+
+/**
+ * Run a middleware against a fake request
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request fields (headers, url, path, apiKey)
+ * @returns {{next: boolean, status: number|null, body: Object|null, headers: Object}}
+ */
+function run(middleware, req) {
+  const outcome = { next: false, status: null, body: null, headers: {} };
+  const res = {
+    setHeader: (name, value) => { outcome.headers[name] = value; },
+    status: (status) => {
+      outcome.status = status;
+      return res;
+    },
+    json: (body) => { outcome.body = body; },
+  };
+  middleware({ headers: {}, url: '/api/stt', path: '/stt', ...req }, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+test('accepts the key as X-API-Key or a bearer token', () => {
+  assert.equal(auth.checkRequest({ headers: { 'x-api-key': 'key-alpha' }, url: '/' }).apiKey.name, 'alpha');
+  assert.equal(auth.checkRequest({ headers: { authorization: 'Bearer key-beta' }, url: '/' }).apiKey.name, 'beta');
+  assert.deepEqual(auth.checkRequest({ headers: { 'x-api-key': 'nope' }, url: '/' }), {
+    apiKey: null,
+    status: 401,
+    error: 'Invalid or missing API key',
+  });
+});
+
+test('accepts ?apiKey= only on WebSocket upgrades', () => {
+  assert.equal(auth.checkRequest({ headers: {}, url: '/api/stt?apiKey=key-beta' }).status, 401);
+  assert.equal(auth.checkRequest({ headers: { upgrade: 'websocket' }, url: '/api/voice?apiKey=key-beta' }).apiKey.name, 'beta');
+});
+
+test('rate-limits each key per minute and reports the limit in headers', () => {
+  const headers = { 'x-api-key': 'key-alpha' };
+  const first = run(auth.authenticate, { headers });
+  assert.equal(first.next, true);
+  assert.equal(first.headers['X-RateLimit-Limit'], 2);
+
+  // The checks above already counted one request for alpha
+  const limited = run(auth.authenticate, { headers });
+  assert.equal(limited.status, 429);
+  assert.ok(limited.headers['Retry-After'] > 0);
+  assert.equal(limited.headers['X-RateLimit-Remaining'], 0);
+});
+
+test('lets probes through without a key', () => {
+  assert.equal(run(auth.authenticate, { path: '/ready' }).next, true);
+  assert.equal(run(auth.authenticate, { path: '/stt' }).status, 401);
+});
+
+test('a rate limit of 0 is unlimited', () => {
+  const apiKey = { name: 'unlimited', key: 'unlimited', rateLimitPerMinute: 0 };
+  for (let i = 0; i < 100; i++) {
+    assert.equal(usageService.checkRateLimit(apiKey).allowed, true);
+  }
+});
+
+test('rejects requests once a monthly quota is used up', () => {
+  const apiKey = { name: 'quota', key: 'quota', monthlyTtsCharacters: 10 };
+  assert.equal(run(auth.requireQuota('ttsCharacters'), { apiKey }).next, true);
+
+  usageService.recordUsage(apiKey, { ttsCharacters: 10 });
+  const rejected = run(auth.requireQuota('ttsCharacters'), { apiKey });
+  assert.equal(rejected.status, 429);
+  assert.deepEqual(rejected.body, { success: false, error: 'Monthly ttsCharacters quota exceeded', used: 10, limit: 10 });
+});
+
+test('admin endpoints need ADMIN_API_KEY, not a client key', () => {
+  assert.equal(run(auth.requireAdmin, { headers: { 'x-api-key': 'admin-secret' } }).next, true);
+  assert.equal(run(auth.requireAdmin, { headers: { 'x-api-key': 'admin-secreT' } }).status, 401);
+  assert.equal(run(auth.requireAdmin, { headers: { 'x-api-key': 'admin' } }).status, 401);
+  assert.equal(run(auth.requireAdmin, { headers: { 'x-api-key': 'key-alpha' } }).status, 401);
+});
+
+test('known callers present a client or admin key, without using up their rate limit', () => {
+  const headers = { 'x-api-key': 'key-beta' };
+  for (let i = 0; i < 5; i++) {
+    assert.equal(auth.isKnownCaller({ headers, url: '/ready' }), true);
+  }
+  assert.equal(auth.isKnownCaller({ headers: { 'x-api-key': 'admin-secret' }, url: '/ready' }), true);
+  assert.equal(auth.isKnownCaller({ headers: {}, url: '/ready' }), false);
+});
+
+test('/metrics needs METRICS_TOKEN as a bearer token once one is set', (t) => {
+  t.after(() => { config.metrics.token = undefined; });
+  assert.equal(run(auth.requireMetricsToken, {}).next, true);
+
+  config.metrics.token = 'scrape-secret';
+  assert.equal(run(auth.requireMetricsToken, { headers: { authorization: 'Bearer scrape-secret' } }).next, true);
+  assert.equal(run(auth.requireMetricsToken, { headers: { authorization: 'Bearer scrape-secreT' } }).status, 401);
+  assert.equal(run(auth.requireMetricsToken, { headers: { authorization: 'scrape-secret' } }).status, 401);
+  assert.equal(run(auth.requireMetricsToken, {}).status, 401);
+});
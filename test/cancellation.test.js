@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cancellation = require('../services/cancellation');
+
+test('tracks a run until it is released', () => {
+  const tracked = cancellation.track('req-1', { owner: 'alpha', kind: 'http' });
+  const running = cancellation.find('req-1');
+  assert.equal(running.owner, 'alpha');
+  assert.equal(running.kind, 'http');
+  assert.equal(running.signal, tracked.signal);
+
+  tracked.release();
+  assert.equal(cancellation.find('req-1'), null);
+});
+
+test('cancels once, with a reason callers can tell from a failure', () => {
+  const tracked = cancellation.track('req-2');
+  assert.equal(cancellation.find('req-2').cancel('Client disconnected'), true);
+  assert.equal(tracked.cancel('again'), false);
+
+  assert.equal(tracked.signal.aborted, true);
+  assert.equal(tracked.signal.reason.message, 'Client disconnected');
+  assert.equal(cancellation.isCancelled(tracked.signal.reason), true);
+  tracked.release();
+});
+
+test('recognizes aborted axios and fetch calls as cancellations', () => {
+  assert.equal(cancellation.isCancelled(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })), true);
+  assert.equal(cancellation.isCancelled(new DOMException('aborted', 'AbortError')), true);
+  assert.equal(cancellation.isCancelled(new Error('timeout')), false);
+  assert.equal(cancellation.isCancelled(undefined), false);
+});
+
+test('a released run does not remove a newer run with the same ID', () => {
+  const first = cancellation.track('req-3');
+  const second = cancellation.track('req-3');
+  first.release();
+  assert.equal(cancellation.find('req-3').signal, second.signal);
+  second.release();
+});
+
+test('sleep ends early when cancelled', async () => {
+  await cancellation.sleep(1);
+
+  const controller = new AbortController();
+  const reason = cancellation.createCancelledError('Interrupted by caller');
+  const started = Date.now();
+  const waiting = cancellation.sleep(10000, controller.signal);
+  controller.abort(reason);
+  await assert.rejects(waiting, reason);
+  assert.ok(Date.now() - started < 1000);
+
+  await assert.rejects(cancellation.sleep(1, controller.signal), reason);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const wavService = require('../services/wavService');
+const clipService = require('../services/clipService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clips-'));
+const chime = wavService.writeWav(new Int16Array(160), { sampleRate: 16000, channels: 1 });
+fs.writeFileSync(path.join(dir, 'chime.wav'), chime);
+fs.writeFileSync(path.join(dir, 'notes.wav'), 'not audio');
+config.clips.dir = dir;
+
+test('loads a clip as base64 WAV and keeps it in memory', async () => {
+  assert.equal(await clipService.loadClip('chime'), chime.toString('base64'));
+
+  fs.unlinkSync(path.join(dir, 'chime.wav'));
+  assert.equal(await clipService.loadClip('chime'), chime.toString('base64'));
+});
+
+test('refuses bad names, missing clips and files that are not WAV', async () => {
+  await assert.rejects(clipService.loadClip('../secrets'), /^Error: Invalid clip name/);
+  await assert.rejects(clipService.loadClip('hold-music'), /^Error: Clip not found: hold-music/);
+  await assert.rejects(clipService.loadClip('notes'), /^Error: Clip notes is not a WAV file/);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SAVARAM_STT_KEY = 'stt-key';
+process.env.SAVARAM_TTS_KEY = 'tts-key';
+process.env.WEBHOOK_URL = 'https://agent.example/hook';
+
+const config = require('../config');
+const { validateConfig } = require('../services/configValidation');
+
+/**
+ * Set environment variables for one test
+ * @param {Object} t - Test context
+ * @param {Object} vars - Values by name
+ */
+function setEnv(t, vars) {
+  const previous = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  Object.assign(process.env, vars);
+}
+
+test('a complete configuration has no errors', () => {
+  assert.deepEqual(validateConfig(config), { errors: [], warnings: [] });
+});
+
+test('reports malformed environment variables', (t) => {
+  setEnv(t, {
+    PORT: '80a',
+    TTS_CONCURRENCY: '0',
+    LOG_LEVEL: 'verbose',
+    TTS_CACHE_ENABLED: 'yes',
+    WEBHOOK_FORMAT: 'xml',
+    WEBHOOK_HEADERS: '{"Authorization": "Bearer secret"',
+    NODE_ENV: 'staging',
+  });
+
+  const { errors, warnings } = validateConfig(config);
+  assert.deepEqual(errors.map((error) => error.split(' ')[0]), [
+    'PORT',
+    'LOG_LEVEL',
+    'WEBHOOK_FORMAT',
+    'WEBHOOK_HEADERS',
+    'TTS_CONCURRENCY',
+    'TTS_CACHE_ENABLED',
+  ]);
+  assert.equal(errors[0], 'PORT must be an integer (got "80a")');
+  assert.equal(errors[1], 'LOG_LEVEL must be one of debug, info, warn, error (got "verbose")');
+  assert.match(errors[3], /^WEBHOOK_HEADERS is not valid JSON/);
+  // JSON values can hold secrets, so they are not echoed
+  assert.doesNotMatch(errors[3], /secret/);
+  assert.equal(errors[4], 'TTS_CONCURRENCY must be at least 1 (got "0")');
+  assert.equal(errors[5], 'TTS_CACHE_ENABLED must be true or false (got "yes")');
+  assert.deepEqual(warnings, ['NODE_ENV must be one of development, production, test (got "staging")']);
+});
+
+test('reports missing credentials and webhooks', (t) => {
+  const { stt } = config.savaram;
+  const { url } = config.webhook;
+  t.after(() => {
+    config.savaram.stt = stt;
+    config.webhook.url = url;
+  });
+  config.savaram.stt = { ...stt, apiKey: undefined };
+  config.webhook.url = undefined;
+
+  assert.deepEqual(validateConfig(config).errors, [
+    'SAVARAM_STT_KEY is not set (required by STT_PROVIDER=sarvam)',
+    'WEBHOOK_URL is not set (or define a "default" webhook in WEBHOOKS_FILE)',
+  ]);
+});
+
+test('reports values that do not fit together', (t) => {
+  const { minChars, maxChars } = config.segmentation;
+  t.after(() => {
+    config.segmentation.minChars = minChars;
+    config.segmentation.maxChars = maxChars;
+  });
+  config.segmentation.minChars = 50;
+  config.segmentation.maxChars = 40;
+
+  assert.deepEqual(validateConfig(config).errors, ['SENTENCE_MIN_CHARS (50) must be below SENTENCE_MAX_CHARS (40)']);
+});
+
+test('requires METRICS_TOKEN in production while /metrics is enabled', (t) => {
+  const { nodeEnv } = config.server;
+  t.after(() => {
+    config.server.nodeEnv = nodeEnv;
+    config.metrics.token = undefined;
+  });
+  config.server.nodeEnv = 'production';
+
+  assert.deepEqual(validateConfig(config).errors, ['METRICS_TOKEN is not set (required in production while METRICS_ENABLED=true)']);
+  config.metrics.token = 'scrape-secret';
+  assert.deepEqual(validateConfig(config).errors, []);
+});
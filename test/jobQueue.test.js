@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const cancellation = require('../services/cancellation');
+const { createJobQueue, signCallback } = require('../services/jobQueue');
+
+config.jobs.callbackSecret = 'callback-secret';
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Wait for a job to finish, callback included
+ * @param {Object} queue - Job queue
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Finished job
+ */
+async function finished(queue, id) {
+  for (;;) {
+    const job = queue.get(id);
+    if (FINISHED.includes(job.status) && (!job.callbackUrl || ['delivered', 'failed'].includes(job.callback?.status))) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+}
+
+test('runs a job stage by stage and keeps its result, not its input', async () => {
+  const queue = createJobQueue({
+    processJob: async (job, stage) => {
+      const text = await stage('stt', async () => `heard ${job.input.audio}`);
+      return { text, reply: await stage('webhook', async () => 'hello') };
+    },
+  });
+  const { id } = queue.submit({ audio: 'clip' });
+
+  const job = await finished(queue, id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.result, { text: 'heard clip', reply: 'hello' });
+  assert.deepEqual(job.stages.map(({ name, status }) => [name, status]), [['stt', 'completed'], ['webhook', 'completed']]);
+  assert.equal('input' in job, false);
+});
+
+test('records the stage a job failed in', async () => {
+  const queue = createJobQueue({
+    processJob: async (job, stage) => {
+      await stage('stt', async () => 'text');
+      await stage('webhook', async () => {
+        throw new Error('webhook down');
+      });
+    },
+  });
+  const job = await finished(queue, queue.submit({}).id);
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'webhook down');
+  assert.deepEqual(job.stages.map(({ status }) => status), ['completed', 'failed']);
+});
+
+test('queues jobs beyond the concurrency limit and refuses them once the queue is full', async () => {
+  let release;
+  const blocked = new Promise((resolve) => { release = resolve; });
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 2, processJob: () => blocked });
+
+  const running = queue.submit({});
+  const first = queue.submit({});
+  const second = queue.submit({});
+  assert.equal(queue.get(running.id).status, 'running');
+  assert.equal(queue.get(second.id).queuePosition, 2);
+  assert.equal(queue.submit({}), null);
+
+  release('done');
+  assert.equal((await finished(queue, first.id)).result, 'done');
+});
+
+test('cancels queued and running jobs', async () => {
+  const queue = createJobQueue({
+    concurrency: 1,
+    processJob: (job, stage, signal) => stage('stt', () => cancellation.sleep(60000, signal)),
+  });
+  const running = queue.submit({});
+  const waiting = queue.submit({});
+
+  assert.equal(queue.cancel(waiting.id, 'Changed my mind'), true);
+  assert.equal(queue.get(waiting.id).status, 'cancelled');
+
+  assert.equal(queue.cancel(running.id), true);
+  const job = await finished(queue, running.id);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.stages[0].status, 'cancelled');
+  assert.equal(queue.cancel(running.id), false);
+  assert.equal(queue.cancel('unknown'), false);
+});
+
+test('POSTs the finished job to its callback URL, signed', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ status: 200 }));
+  const queue = createJobQueue({ processJob: async () => ({ text: 'hi' }) });
+  const { id } = queue.submit({}, { callbackUrl: 'https://hooks.example.com/done' });
+
+  const job = await finished(queue, id);
+  assert.deepEqual(job.callback, { status: 'delivered', attempts: 1 });
+
+  const [url, body, { headers, maxRedirects }] = post.mock.calls[0].arguments;
+  assert.equal(url, 'https://hooks.example.com/done');
+  assert.deepEqual(JSON.parse(body), { jobId: id, status: 'completed', result: { text: 'hi' }, error: null, completedAt: job.completedAt });
+  assert.equal(maxRedirects, 0);
+
+  const expected = crypto.createHmac('sha256', 'callback-secret').update(`${headers['X-Job-Timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['X-Job-Signature'], `sha256=${expected}`);
+  assert.equal(signCallback(headers['X-Job-Timestamp'], body), headers['X-Job-Signature']);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('../services/logger');
+
+const log = logger.createLogger('Test');
+
+/**
+ * Capture the log lines written to stdout and stderr
+ * The test runner reports through stdout too, in binary, so that is passed on.
+ * @param {Object} t - Test context
+ * @returns {{stdout: Array<string>, stderr: Array<string>}} - Lines written
+ */
+function capture(t) {
+  const lines = { stdout: [], stderr: [] };
+  for (const name of ['stdout', 'stderr']) {
+    const write = process[name].write.bind(process[name]);
+    t.mock.method(process[name], 'write', (chunk, ...rest) => (typeof chunk === 'string' ? lines[name].push(chunk) : write(chunk, ...rest)));
+  }
+  return lines;
+}
+
+test('writes one JSON line per entry, errors to stderr', (t) => {
+  const lines = capture(t);
+  log.info('Transcribed', { provider: 'sarvam', skipped: undefined });
+  log.error('Failed', { error: new Error('timeout') });
+  t.mock.restoreAll();
+
+  const info = JSON.parse(lines.stdout[0]);
+  assert.equal(info.level, 'info');
+  assert.equal(info.component, 'Test');
+  assert.equal(info.msg, 'Transcribed');
+  assert.equal(info.provider, 'sarvam');
+  assert.equal('skipped' in info, false);
+  assert.equal(JSON.parse(lines.stderr[0]).error, 'timeout');
+});
+
+test('drops entries below the configured level', (t) => {
+  t.after(() => { config.logging.level = 'info'; });
+  config.logging.level = 'warn';
+  const lines = capture(t);
+  log.debug('noise');
+  log.info('noise');
+  log.warn('kept');
+  t.mock.restoreAll();
+
+  assert.equal(lines.stdout.length, 0);
+  assert.equal(lines.stderr.length, 1);
+});
+
+test('adds the context to entries made inside it, including bound event handlers', async (t) => {
+  const lines = capture(t);
+  const events = new EventEmitter();
+  await logger.runWithContext({ requestId: 'req-1' }, async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    log.info('inside');
+    events.on('data', logger.bindContext(() => log.info('from event')));
+  });
+  events.emit('data');
+  log.info('outside');
+  t.mock.restoreAll();
+
+  assert.deepEqual(lines.stdout.map((line) => JSON.parse(line).requestId), ['req-1', 'req-1', undefined]);
+});
+
+test('prints readable lines in pretty format', (t) => {
+  t.after(() => { config.logging.format = 'json'; });
+  config.logging.format = 'pretty';
+  const lines = capture(t);
+  log.warn('Slow upstream', { upstream: 'stt', attempt: 2 });
+  t.mock.restoreAll();
+
+  assert.match(lines.stderr[0], /^\S+ WARN  \[Test\] Slow upstream upstream=stt attempt=2\n$/);
+});
+
+test('masks personal data in fields unless turned off', (t) => {
+  t.after(() => { config.redaction.logs = true; });
+  const lines = capture(t);
+  log.info('Transcript', { text: 'Call me on 9876543210' });
+  config.redaction.logs = false;
+  log.info('Transcript', { text: 'Call me on 9876543210' });
+  t.mock.restoreAll();
+
+  assert.deepEqual(lines.stdout.map((line) => JSON.parse(line).text), ['Call me on [PHONE]', 'Call me on 9876543210']);
+});
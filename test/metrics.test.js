@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../services/metrics');
+
+test('renders counters per label set, escaping label values', () => {
+  const counter = metrics.createCounter({ name: 'test_calls_total', help: 'Test calls', labelNames: ['route', 'status'] });
+  counter.inc({ route: '/api/tts', status: 200 });
+  counter.inc({ route: '/api/tts', status: 200, ignored: 'x' }, 2);
+  counter.inc({ route: 'say "hi"\n' });
+
+  const rendered = metrics.render();
+  assert.match(rendered, /# HELP test_calls_total Test calls\n# TYPE test_calls_total counter\n/);
+  assert.match(rendered, /^test_calls_total\{route="\/api\/tts",status="200"\} 3$/m);
+  assert.match(rendered, /^test_calls_total\{route="say \\"hi\\"\\n",status=""\} 1$/m);
+});
+
+test('renders histograms with cumulative buckets, sum and count', () => {
+  const histogram = metrics.createHistogram({ name: 'test_seconds', help: 'Test durations', labelNames: ['stage'], buckets: [0.1, 1] });
+  histogram.observe({ stage: 'stt' }, 0.05);
+  histogram.observe({ stage: 'stt' }, 0.5);
+  histogram.observe({ stage: 'stt' }, 3);
+
+  const lines = metrics.render().split('\n').filter((line) => line.startsWith('test_seconds'));
+  assert.deepEqual(lines, [
+    'test_seconds_bucket{stage="stt",le="0.1"} 1',
+    'test_seconds_bucket{stage="stt",le="1"} 2',
+    'test_seconds_bucket{stage="stt",le="+Inf"} 3',
+    'test_seconds_sum{stage="stt"} 3.55',
+    'test_seconds_count{stage="stt"} 3',
+  ]);
+});
+
+test('a timer records the elapsed time with the labels given at both ends', async () => {
+  const histogram = metrics.createHistogram({ name: 'test_timer_seconds', help: 'Timed', labelNames: ['provider', 'outcome'] });
+  const end = histogram.startTimer({ provider: 'sarvam' });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const seconds = end({ outcome: 'ok' });
+
+  assert.ok(seconds > 0);
+  assert.match(metrics.render(), /^test_timer_seconds_count\{provider="sarvam",outcome="ok"\} 1$/m);
+});
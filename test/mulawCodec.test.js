@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mulawCodec = require('../services/mulawCodec');
+const wavService = require('../services/wavService');
+
+const samplesOf = (pcm) => Array.from(new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2));
+
+/**
+ * Root mean square of PCM16LE audio
+ * @param {Buffer} pcm - Samples
+ * @returns {number}
+ */
+function rms(pcm) {
+  const samples = samplesOf(pcm);
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+/**
+ * One second of a sine tone as a WAV file
+ * @param {number} hz - Tone frequency
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer}
+ */
+function tone(hz, sampleRate) {
+  const samples = new Int16Array(sampleRate);
+  for (let i = 0; i < sampleRate; i++) {
+    samples[i] = Math.round(8000 * Math.sin((2 * Math.PI * hz * i) / sampleRate));
+  }
+  return wavService.writeWav(samples, { sampleRate, channels: 1 });
+}
+
+test('encodes and decodes the G.711 reference values', () => {
+  assert.deepEqual(Array.from(mulawCodec.encode(new Int16Array([0, -1, 32767, -32768]))), [0xff, 0x7f, 0x80, 0x00]);
+  assert.deepEqual(samplesOf(mulawCodec.decode(Buffer.from([0xff, 0x80, 0x00]))), [0, 32124, -32124]);
+});
+
+test('round trips samples within the μ-law quantization error', () => {
+  for (let value = -32000; value <= 32000; value += 97) {
+    const [decoded] = samplesOf(mulawCodec.decode(mulawCodec.encode(new Int16Array([value]))));
+    assert.ok(Math.abs(decoded - value) <= Math.max(8, Math.abs(value) * 0.04), `${value} -> ${decoded}`);
+  }
+});
+
+test('transcodes TTS output to 8 kHz, filtering out what a phone line cannot carry', () => {
+  const speech = mulawCodec.fromWav(tone(440, 24000));
+  assert.equal(speech.length, mulawCodec.SAMPLE_RATE);
+  assert.ok(rms(mulawCodec.decode(speech)) > 5000);
+
+  // Without the low-pass filter a 6 kHz tone would fold back to 2 kHz
+  assert.ok(rms(mulawCodec.decode(mulawCodec.fromWav(tone(6000, 24000)))) < 100);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const outboundGuard = require('../services/outboundGuard');
+
+const resolvesTo = (...addresses) => async () => addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('recognizes private, loopback and link-local addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(outboundGuard.isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '203.0.114.1', '2606:4700::1111']) {
+    assert.equal(outboundGuard.isPrivateAddress(address), false, address);
+  }
+});
+
+test('accepts public http(s) URLs', async () => {
+  assert.equal(await outboundGuard.checkUrl('https://8.8.8.8/hook', { allowedHosts: [] }), null);
+  assert.equal(await outboundGuard.checkUrl('https://hooks.example.com/done', { allowedHosts: [], lookup: resolvesTo('93.184.216.34') }), null);
+});
+
+test('refuses other schemes and private targets', async () => {
+  assert.equal(await outboundGuard.checkUrl('ftp://example.com/', { allowedHosts: [] }), 'must be an http(s) URL');
+  assert.equal(await outboundGuard.checkUrl('not a url', { allowedHosts: [] }), 'must be an http(s) URL');
+  assert.equal(await outboundGuard.checkUrl('http://[::1]:8080/', { allowedHosts: [] }), 'must not point at a private address');
+  assert.equal(
+    await outboundGuard.checkUrl('http://metadata.internal/', { allowedHosts: [], lookup: resolvesTo('93.184.216.34', '169.254.169.254') }),
+    'must not point at a private address'
+  );
+  assert.equal(
+    await outboundGuard.checkUrl('http://nowhere.invalid/', { allowedHosts: [], lookup: async () => { throw new Error('ENOTFOUND'); } }),
+    'host cannot be resolved'
+  );
+});
+
+test('with an allow-list, only listed hosts are accepted', async () => {
+  const allowedHosts = ['hooks.example.com', '*.partner.example'];
+  assert.equal(await outboundGuard.checkUrl('https://hooks.example.com/done', { allowedHosts }), null);
+  assert.equal(await outboundGuard.checkUrl('https://eu.partner.example/done', { allowedHosts }), null);
+  assert.equal(await outboundGuard.checkUrl('https://partner.example.evil.com/', { allowedHosts }), 'host is not allowed');
+  assert.equal(await outboundGuard.checkUrl('http://127.0.0.1/', { allowedHosts }), 'host is not allowed');
+});
+
+test('request options never follow redirects and guard the connection lookup', () => {
+  const guarded = outboundGuard.requestOptions('https://hooks.example.com/done', { allowedHosts: [] });
+  assert.equal(guarded.maxRedirects, 0);
+  assert.equal(typeof guarded.lookup, 'function');
+
+  assert.deepEqual(outboundGuard.requestOptions('https://hooks.example.com/done', { allowedHosts: ['hooks.example.com'] }), { maxRedirects: 0 });
+});
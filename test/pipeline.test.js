@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+// Webhooks are loaded when the modules are first required
+process.env.WEBHOOK_URL = 'https://agent.example/hook';
+
+const config = require('../config');
+const sarvam = require('../services/providers/sarvam');
+const sttService = require('../services/sttService');
+const sessionStore = require('../services/sessionStore');
+const cancellation = require('../services/cancellation');
+const pipeline = require('../services/pipeline');
+
+config.ttsCache.enabled = false;
+
+const TTS_OPTIONS = { provider: 'sarvam', target_language_code: 'en-IN' };
+
+/**
+ * Mock the webhook and TTS provider
+ * @param {Object} t - Test context
+ * @param {string} reply - NDJSON body of the webhook's answer
+ * @returns {{post: Object, synthesize: Object}} - The mocked methods, for their calls
+ */
+function mockUpstreams(t, reply) {
+  const post = t.mock.method(axios, 'post', async () => ({
+    headers: { 'content-type': 'application/x-ndjson' },
+    data: Readable.from([Buffer.from(reply)]),
+  }));
+  const synthesize = t.mock.method(sarvam, 'synthesize', async (text) => Buffer.from(`audio:${text}`).toString('base64'));
+  return { post, synthesize };
+}
+
+const run = (input, options = {}, handlers) => pipeline.runPipeline(
+  input,
+  { pipeline: 'test', requestId: 'req-1', sessionId: sessionStore.createSessionId(), ttsOptions: TTS_OPTIONS, ...options },
+  handlers
+);
+
+test('transcribes, calls the webhook, speaks the reply and stores the turn', async (t) => {
+  const { post } = mockUpstreams(t, '{"output":"Your order has shipped. "}\n{"output":"It arrives on Friday."}\n');
+  t.mock.method(sttService, 'transcribeAudio', async () => ({ text: 'Where is my order?', language: 'en-IN' }));
+  const stages = [];
+  const sessionId = sessionStore.createSessionId();
+
+  const outcome = await run({ audio: Buffer.from('RIFF'), mimeType: 'audio/wav' }, { sessionId }, {
+    stage: (name, fn) => {
+      stages.push(name);
+      return fn();
+    },
+  });
+
+  assert.deepEqual(stages, ['stt', 'webhook', 'tts']);
+  assert.equal(JSON.parse(post.mock.calls[0].arguments[1]).message, 'Where is my order?');
+  assert.equal(outcome.replied, true);
+  assert.equal(outcome.accumulatedText, 'Your order has shipped. It arrives on Friday.');
+  assert.deepEqual(outcome.results.map((r) => [r.sentenceIndex, r.sentence]), [
+    [1, 'Your order has shipped.'],
+    [2, 'It arrives on Friday.'],
+  ]);
+
+  const session = await sessionStore.getSession(sessionId);
+  assert.equal(session.turns[0].transcript, 'Where is my order?');
+  assert.equal(session.turns[0].audio.length, 2);
+});
+
+test('runs registered hooks before the run\'s own, each on the previous output', async (t) => {
+  const { post } = mockUpstreams(t, '{"output":"Hello there."}\n');
+  const unregister = pipeline.registerHooks({
+    beforeWebhook: (request) => ({ ...request, message: request.message.toUpperCase() }),
+  });
+  t.after(unregister);
+
+  const seen = [];
+  await run({ text: 'hi', language: 'en-IN' }, {
+    hooks: {
+      beforeWebhook: (request, context) => {
+        seen.push([request.message, context.pipeline, context.transcript.text]);
+        return { ...request, metadata: { tagged: true } };
+      },
+    },
+  });
+
+  assert.deepEqual(seen, [['HI', 'test', 'hi']]);
+  const body = JSON.parse(post.mock.calls[0].arguments[1]);
+  assert.equal(body.message, 'HI');
+  assert.deepEqual(body.metadata, { tagged: true });
+});
+
+test('a hook returning null drops the value', async (t) => {
+  const { post, synthesize } = mockUpstreams(t, '{"output":"Internal note. Your balance is low."}\n');
+
+  const silent = await run({ text: '   ' }, { hooks: { afterStt: (transcript) => (transcript.text.trim() ? undefined : null) } });
+  assert.equal(silent.replied, false);
+  assert.equal(post.mock.callCount(), 0);
+
+  const outcome = await run({ text: 'balance' }, {
+    hooks: {
+      beforeTts: (item) => (item.sentence.startsWith('Internal') ? null : undefined),
+      afterTts: (result) => ({ ...result, ttsBase64: 'UkVQTEFDRUQ=' }),
+    },
+  });
+  assert.equal(synthesize.mock.callCount(), 1);
+  assert.deepEqual(outcome.results.map((r) => [r.sentence, r.ttsBase64]), [['Your balance is low.', 'UkVQTEFDRUQ=']]);
+});
+
+test('a failing hook fails the run with its own error, not as a cancellation', async (t) => {
+  mockUpstreams(t, '{"output":"One sentence. Another sentence."}\n');
+  const boom = new Error('boom');
+
+  await assert.rejects(run({ text: 'hi' }, { hooks: { beforeTts: () => { throw boom; } } }), (error) => {
+    assert.equal(error, boom);
+    assert.equal(cancellation.isCancelled(error), false);
+    return true;
+  });
+  await assert.rejects(run({ text: 'hi' }, { hooks: { afterWebhookChunk: async () => undefined } }), /afterWebhookChunk hooks must be synchronous/);
+});
+
+test('refuses unknown hooks', () => {
+  assert.throws(() => pipeline.registerHooks({ beforeStt: () => {} }), /^Error: Invalid pipeline hooks: beforeStt/);
+});
+
+test('translates the caller for the agent and the reply back for the caller', async (t) => {
+  const { post, synthesize } = mockUpstreams(t, '{"output":"It has shipped."}\n');
+  const translate = t.mock.method(sarvam, 'translate', async (text, { target_language_code: target }) => `${target}: ${text}`);
+  const translation = { enabled: true, agentLanguage: 'en-IN' };
+
+  const outcome = await run(
+    { text: 'मेरा ऑर्डर कहाँ है?', language: 'hi-IN' },
+    { ttsOptions: { ...TTS_OPTIONS, target_language_code: 'auto' }, translation }
+  );
+
+  const body = JSON.parse(post.mock.calls[0].arguments[1]);
+  assert.deepEqual([body.message, body.language], ['en-IN: मेरा ऑर्डर कहाँ है?', 'en-IN']);
+  assert.equal(outcome.transcriptTranslation, 'en-IN: मेरा ऑर्डर कहाँ है?');
+  assert.equal(outcome.replyTranslation, 'hi-IN: It has shipped.');
+  assert.equal(synthesize.mock.calls[0].arguments[1].target_language_code, 'hi-IN');
+
+  // Keypad digits read the same in any language
+  await run({ text: '1', language: 'hi-IN' }, { translation });
+  assert.equal(JSON.parse(post.mock.calls[1].arguments[1]).message, '1');
+  assert.equal(translate.mock.callCount(), 2);
+});
+
+test('a failed webhook call stops synthesizing the sentences already queued', async (t) => {
+  t.mock.method(axios, 'post', async () => {
+    // One sentence, then the connection drops
+    const data = new Readable({ read() {} });
+    data.push('{"output":"Your order has shipped. "}\n');
+    setTimeout(() => data.destroy(new Error('socket hang up')), 10);
+    return { headers: { 'content-type': 'application/x-ndjson' }, data };
+  });
+  const synthesize = t.mock.method(sarvam, 'synthesize', (text, { signal }) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(Buffer.from(text).toString('base64')), 50);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  }));
+  const delivered = [];
+
+  await assert.rejects(run({ text: 'Where is my order?' }, {}, { onResult: (result) => delivered.push(result) }), /Webhook call failed: socket hang up/);
+  assert.equal(synthesize.mock.callCount(), 1);
+  assert.equal(synthesize.mock.calls[0].arguments[1].signal.aborted, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  assert.deepEqual(delivered, []);
+});
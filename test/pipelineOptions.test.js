@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sessionStore = require('../services/sessionStore');
+const usageService = require('../services/usageService');
+const pipelineOptions = require('../routes/pipelineOptions');
+
+test('reads request parameters from the query string before the body', () => {
+  const param = pipelineOptions.requestParam({ query: { speaker: 'arvind' }, body: { speaker: 'anushka', pace: '1.2' } });
+  assert.equal(param('speaker'), 'arvind');
+  assert.equal(param('pace'), '1.2');
+  assert.equal(param('pitch'), undefined);
+});
+
+test('parses STT, TTS, webhook and translation options in one pass', () => {
+  const params = { language: 'hi-IN', sttProvider: 'openai', speaker: 'arvind', pace: '0.9', sampleRate: '22050', translate: 'true' };
+  const { options, error } = pipelineOptions.parsePipelineOptions((name) => params[name]);
+
+  assert.equal(error, null);
+  assert.equal(options.sttOptions.language_code, 'hi-IN');
+  assert.equal(options.sttOptions.provider, 'openai');
+  assert.deepEqual(options.ttsOptions, { speaker: 'arvind', pace: 0.9, speech_sample_rate: 22050 });
+  assert.equal(options.webhookOptions.channel, 'http');
+  assert.equal(options.translation.enabled, true);
+});
+
+test('sockets take the TTS sample rate from their own parameter and default', () => {
+  const params = { sampleRate: '16000' };
+  const { options } = pipelineOptions.parsePipelineOptions((name) => params[name], {
+    channel: 'telephony',
+    ttsSampleRateParam: 'ttsSampleRate',
+    ttsSampleRate: 8000,
+  });
+
+  assert.equal(options.ttsOptions.speech_sample_rate, 8000);
+  assert.equal(options.webhookOptions.channel, 'telephony');
+});
+
+test('reports the first invalid parameter', () => {
+  const params = { ttsProvider: 'nope', translate: 'maybe' };
+  const { options, error } = pipelineOptions.parsePipelineOptions((name) => params[name]);
+
+  assert.equal(options, null);
+  assert.match(error, /^Invalid ttsProvider/);
+});
+
+test('issues a session, continues an own one and hides another key\'s', async () => {
+  const issued = await pipelineOptions.resolveSession(undefined, 'alpha');
+  assert.ok(sessionStore.isValidSessionId(issued.sessionId));
+
+  await sessionStore.addTurn(issued.sessionId, { requestId: 'r1', transcript: 'hi', reply: 'hello' }, 'alpha');
+  assert.deepEqual(await pipelineOptions.resolveSession(issued.sessionId, 'alpha'), { sessionId: issued.sessionId });
+  assert.deepEqual(await pipelineOptions.resolveSession(issued.sessionId, 'beta'), {
+    sessionId: null,
+    status: 404,
+    error: 'Session not found',
+  });
+  assert.equal((await pipelineOptions.resolveSession('../etc/passwd', 'alpha')).status, 400);
+});
+
+test('names the first monthly quota a key has used up', () => {
+  const apiKey = { name: 'quota-test', key: 'quota-test', monthlyAudioSeconds: 10, monthlyTtsCharacters: 100 };
+  assert.equal(pipelineOptions.exhaustedQuota(null), null);
+  assert.equal(pipelineOptions.exhaustedQuota(apiKey), null);
+
+  usageService.recordUsage(apiKey, { ttsCharacters: 100 });
+  assert.equal(pipelineOptions.exhaustedQuota(apiKey), 'ttsCharacters');
+
+  usageService.recordUsage(apiKey, { audioSeconds: 10 });
+  assert.equal(pipelineOptions.exhaustedQuota(apiKey), 'audioSeconds');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const config = require('../config');
+const providers = require('../services/providers');
+const local = require('../services/providers/local');
+const sttService = require('../services/sttService');
+const wavService = require('../services/wavService');
+
+test('looks providers up by name and falls back to the configured one', () => {
+  assert.deepEqual(providers.names, ['sarvam', 'openai', 'local']);
+  assert.equal(providers.getSttProvider('local').name, 'local');
+  assert.equal(providers.getTtsProvider().name, config.providers.tts);
+  assert.throws(() => providers.getProvider('nope'), /Unknown provider "nope"/);
+});
+
+test('rejects unknown per-request STT providers', () => {
+  assert.deepEqual(sttService.parseSttOptions({ language: 'ta-IN', sttProvider: 'openai' }), {
+    options: { language_code: 'ta-IN', provider: 'openai' },
+    error: null,
+  });
+  assert.match(sttService.parseSttOptions({ sttProvider: 'nope' }).error, /^Invalid sttProvider: must be one of sarvam, openai, local$/);
+});
+
+test('transcribes with the requested provider', async (t) => {
+  const transcribe = t.mock.method(local, 'transcribe', async () => ({ text: 'namaste', language: 'hi-IN' }));
+  const audio = wavService.writeWav(Buffer.alloc(3200), { sampleRate: 16000, channels: 1 });
+
+  const result = await sttService.transcribeAudio(audio, 'audio/wav', { provider: 'local', language_code: 'hi-IN' });
+
+  assert.deepEqual(result, { text: 'namaste', language: 'hi-IN' });
+  assert.equal(transcribe.mock.callCount(), 1);
+  assert.equal(transcribe.mock.calls[0].arguments[2].language_code, 'hi-IN');
+});
+
+test('local TTS accepts raw audio and JSON-wrapped audio', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: Buffer.from('RIFF audio') }));
+  assert.equal(await local.synthesize('hello', { speaker: 'amy', pace: 1.1 }), Buffer.from('RIFF audio').toString('base64'));
+  assert.deepEqual(post.mock.calls[0].arguments[1], {
+    text: 'hello',
+    voice: 'amy',
+    language: undefined,
+    speed: 1.1,
+    pitch: undefined,
+    volume: undefined,
+    sample_rate: undefined,
+  });
+
+  post.mock.mockImplementation(async () => ({ data: Buffer.from(JSON.stringify({ audios: ['UklGRg=='] })) }));
+  assert.equal(await local.synthesize('hello'), 'UklGRg==');
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// Webhooks are loaded when the module is first required
+process.env.WEBHOOK_URL = 'https://agent.example/hook';
+
+const config = require('../config');
+const readinessService = require('../services/readinessService');
+
+config.savaram.stt.apiKey = 'stt-key';
+config.savaram.tts.apiKey = 'tts-key';
+config.readiness.cacheMs = 0;
+
+test('is ready when every upstream answers, whatever the status', async (t) => {
+  const head = t.mock.method(axios, 'head', async () => ({ status: 405 }));
+
+  const report = await readinessService.checkReadiness();
+  assert.equal(report.ready, true);
+  assert.equal(report.cached, false);
+  assert.deepEqual(Object.keys(report.dependencies), ['stt', 'tts', 'webhook:default']);
+  assert.equal(report.dependencies.stt.provider, 'sarvam');
+  assert.equal(report.dependencies['webhook:default'].httpStatus, 405);
+  assert.equal(head.mock.calls.length, 3);
+});
+
+test('is not ready with a missing credential or an unreachable upstream', async (t) => {
+  t.after(() => { config.savaram.tts.apiKey = 'tts-key'; });
+  config.savaram.tts.apiKey = undefined;
+  t.mock.method(axios, 'head', async (url) => {
+    if (url === 'https://agent.example/hook') throw new Error('connect ECONNREFUSED');
+    return { status: 200 };
+  });
+
+  const { ready, dependencies } = await readinessService.checkReadiness();
+  assert.equal(ready, false);
+  assert.equal(dependencies.stt.status, 'ok');
+  assert.deepEqual([dependencies.tts.status, dependencies.tts.error], ['error', 'SAVARAM_TTS_KEY not set']);
+  assert.deepEqual([dependencies['webhook:default'].status, dependencies['webhook:default'].error], ['error', 'connect ECONNREFUSED']);
+});
+
+test('concurrent and repeated checks share one probe run while cached', async (t) => {
+  t.after(() => { config.readiness.cacheMs = 0; });
+  config.readiness.cacheMs = 60000;
+  const head = t.mock.method(axios, 'head', async () => ({ status: 200 }));
+
+  const [first, second] = await Promise.all([readinessService.checkReadiness(), readinessService.checkReadiness()]);
+  const third = await readinessService.checkReadiness();
+
+  assert.equal(head.mock.calls.length, 3);
+  assert.deepEqual([first.cached, second.cached, third.cached], [false, false, true]);
+  assert.equal(third.checkedAt, first.checkedAt);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Patterns are read when first used
+process.env.REDACTION_PATTERNS = JSON.stringify({ 'policy no': 'POL-\\d{6}' });
+
+const config = require('../config');
+const redaction = require('../services/redaction');
+const sessionStore = require('../services/sessionStore');
+
+test('masks phone, email, UPI, Aadhaar, PAN and card numbers', () => {
+  assert.equal(
+    redaction.redactText('Call me on +91 98765 43210 or 09876543210, mail a.b@example.com, pay me@okaxis.'),
+    'Call me on [PHONE] or [PHONE], mail [EMAIL], pay [UPI].'
+  );
+  assert.equal(
+    redaction.redactText('Aadhaar 2345 6789 0123, PAN ABCPE1234F, card 4111 1111 1111 1111.'),
+    'Aadhaar [AADHAAR], PAN [PAN], card [CARD].'
+  );
+});
+
+test('applies custom patterns, and leaves IDs, times and amounts alone', () => {
+  assert.equal(redaction.redactText('My policy is pol-123456.'), 'My policy is [POLICY_NO].');
+  const text = 'Order 550e8400-e29b-41d4-a716-446655440000 at 9:30 on 12/05/2024 for 45000.';
+  assert.equal(redaction.redactText(text), text);
+});
+
+test('masks every string of a log field', () => {
+  const error = new Error('failed');
+  assert.deepEqual(redaction.redactValue({ caller: ['9876543210'], attempts: 2, error }), { caller: ['[PHONE]'], attempts: 2, error });
+});
+
+test('tokens are stable within a session and turn back into the values', () => {
+  assert.equal(redaction.tokenize('s1', '9876543210 and a@b.co, again 9876543210'), '[PHONE_1] and [EMAIL_1], again [PHONE_1]');
+  assert.equal(redaction.tokenize('s1', '8765432109'), '[PHONE_2]');
+  assert.equal(redaction.tokenize('s2', '8765432109'), '[PHONE_1]');
+
+  assert.equal(redaction.detokenize('s1', 'Calling [PHONE_2], not [PHONE_9]'), 'Calling 8765432109, not [PHONE_9]');
+  assert.equal(redaction.detokenize('s3', 'Calling [PHONE_1]'), 'Calling [PHONE_1]');
+  assert.equal(redaction.hasTokens('s1'), true);
+  assert.equal(redaction.hasTokens('s3'), false);
+});
+
+test('the webhook message is masked or tokenized as configured', (t) => {
+  t.after(() => { config.redaction.webhook = 'off'; });
+
+  assert.equal(redaction.redactForWebhook('s4', 'I am 9876543210'), 'I am 9876543210');
+  config.redaction.webhook = 'mask';
+  assert.equal(redaction.redactForWebhook('s4', 'I am 9876543210'), 'I am [PHONE]');
+  config.redaction.webhook = 'tokenize';
+  assert.equal(redaction.redactForWebhook('s4', 'I am 9876543210'), 'I am [PHONE_1]');
+});
+
+test('tokens split across reply chunks are restored', (t) => {
+  t.after(() => { config.redaction.webhook = 'off'; });
+  config.redaction.webhook = 'tokenize';
+  redaction.tokenize('s5', 'a@b.co');
+
+  const detokenizer = redaction.createDetokenizer('s5');
+  assert.equal(detokenizer.push('I will mail [EMA'), 'I will mail ');
+  assert.equal(detokenizer.push('IL_1] today [unknown'), 'a@b.co today [unknown');
+  assert.equal(detokenizer.push(' [EMAIL_'), ' ');
+  assert.equal(detokenizer.flush(), '[EMAIL_');
+});
+
+test('stored turns are masked', async () => {
+  const sessionId = sessionStore.createSessionId();
+  await sessionStore.addTurn(sessionId, { requestId: 'req-1', transcript: 'My number is 9876543210', reply: 'Noted: 9876543210' });
+
+  const { turns } = await sessionStore.getSession(sessionId);
+  assert.equal(turns[0].transcript, 'My number is [PHONE]');
+  assert.equal(turns[0].reply, 'Noted: [PHONE]');
+});
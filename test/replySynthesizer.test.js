@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setImmediate: tick } = require('node:timers/promises');
+const config = require('../config');
+const sarvam = require('../services/providers/sarvam');
+const wavService = require('../services/wavService');
+const { createReplySynthesizer } = require('../services/replySynthesizer');
+
+config.ttsCache.enabled = false;
+
+const TTS_OPTIONS = { provider: 'sarvam', target_language_code: 'en-IN' };
+
+test('starts TTS for a complete sentence while the reply is still streaming', async (t) => {
+  const synthesized = [];
+  t.mock.method(sarvam, 'synthesize', async (text) => {
+    synthesized.push(text);
+    return Buffer.from(text).toString('base64');
+  });
+
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS);
+  synthesizer.pushText('Thank you for calling today. How can I');
+  await tick();
+  assert.equal(synthesized.length, 1);
+  assert.match(synthesized[0], /^Thank you for calling today/);
+
+  synthesizer.pushText(' help you?');
+  assert.equal(synthesizer.end(), 2);
+  await synthesizer.drain();
+  assert.equal(synthesized.length, 2);
+});
+
+test('delivers audio in reply order when later sentences finish first', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text) => {
+    // The first sentence is the slowest to synthesize
+    await new Promise((resolve) => setTimeout(resolve, text.startsWith('First') ? 30 : 1));
+    return Buffer.from(text).toString('base64');
+  });
+
+  const delivered = [];
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS, {
+    onResult: ({ index, sentence }) => delivered.push([index, sentence]),
+  });
+  synthesizer.pushText('First of all, welcome back. Second, your order has shipped. Third, it arrives on Friday.');
+  synthesizer.end();
+  await synthesizer.drain();
+
+  assert.deepEqual(delivered.map(([index]) => index), [1, 2, 3]);
+  assert.equal(delivered[0][1], 'First of all, welcome back.');
+});
+
+test('reports a directive after the sentences queued before it', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text) => Buffer.from(text).toString('base64'));
+
+  const directives = [];
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS, {
+    onDirective: (directive) => directives.push(directive),
+  });
+  synthesizer.pushText('Let me transfer you to an agent');
+  synthesizer.pushDirective({ directive: 'transfer', target: 'sales' });
+  synthesizer.pushText('Please hold the line.');
+  assert.equal(synthesizer.end(), 2);
+  await synthesizer.drain();
+
+  assert.deepEqual(directives, [{ directive: 'transfer', target: 'sales', afterIndex: 1 }]);
+});
+
+test('stops delivering once cancelled', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text, { signal }) => {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, 50);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+    return Buffer.from(text).toString('base64');
+  });
+
+  const controller = new AbortController();
+  const delivered = [];
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS, {
+    signal: controller.signal,
+    onResult: ({ index }) => delivered.push(index),
+  });
+  synthesizer.pushText('This sentence will never be heard.');
+  synthesizer.end();
+  const reason = new Error('client left');
+  controller.abort(reason);
+
+  await assert.rejects(synthesizer.drain(), reason);
+  assert.deepEqual(delivered, []);
+});
+
+test('a voice directive changes the voice of the sentences after it', async (t) => {
+  const synthesize = t.mock.method(sarvam, 'synthesize', async (text) => Buffer.from(text).toString('base64'));
+
+  const directives = [];
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS, {
+    onDirective: (directive) => directives.push(directive),
+  });
+  synthesizer.pushText('Here is our new offer.');
+  synthesizer.pushDirective({ directive: 'voice', speaker: 'abhilash', pace: 1.2 });
+  synthesizer.pushText('It is valid until Sunday.');
+  synthesizer.pushDirective({ directive: 'voice', pace: 'fast' });
+  synthesizer.pushText('Thank you.');
+  synthesizer.end();
+  await synthesizer.drain();
+
+  const [first, second, third] = synthesize.mock.calls.map((call) => call.arguments[1]);
+  assert.equal(first.speaker, undefined);
+  assert.equal(second.speaker, 'abhilash');
+  assert.equal(second.pace, 1.2);
+  assert.equal(third.speaker, 'abhilash');
+  assert.equal(directives[1].error, 'Invalid pace: must be a number');
+});
+
+test('a play directive queues its clip between the sentences around it', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text) => Buffer.from(text).toString('base64'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clips-'));
+  fs.writeFileSync(path.join(dir, 'jingle.wav'), wavService.writeWav(new Int16Array(16), { sampleRate: 16000, channels: 1 }));
+  config.clips.dir = dir;
+
+  const delivered = [];
+  const synthesizer = createReplySynthesizer(TTS_OPTIONS, {
+    onResult: ({ index, sentence, clip }) => delivered.push([index, sentence, clip]),
+  });
+  synthesizer.pushText('Please listen to this.');
+  synthesizer.pushDirective({ directive: 'play', clip: 'jingle' });
+  synthesizer.pushText('That was our jingle.');
+  assert.equal(synthesizer.end(), 3);
+  await synthesizer.drain();
+
+  assert.deepEqual(delivered, [
+    [1, 'Please listen to this.', undefined],
+    [2, null, 'jingle'],
+    [3, 'That was our jingle.', undefined],
+  ]);
+});
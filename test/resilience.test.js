@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const resilience = require('../services/resilience');
+
+Object.assign(config.resilience, { retries: 2, baseDelayMs: 1, maxDelayMs: 1, breakerFailureThreshold: 3, breakerResetMs: 50 });
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+const breaker = (name) => resilience.getBreakerStates().find((state) => state.name === name);
+
+test('classifies network errors, 408, 429 and 5xx as transient', () => {
+  assert.equal(resilience.isRetryable(new Error('ECONNRESET')), true);
+  assert.equal(resilience.isRetryable(httpError(408)), true);
+  assert.equal(resilience.isRetryable(httpError(429)), true);
+  assert.equal(resilience.isRetryable(httpError(503)), true);
+  assert.equal(resilience.isRetryable(httpError(400)), false);
+  assert.equal(resilience.isRetryable(httpError(401)), false);
+});
+
+test('retries transient failures', async () => {
+  let attempts = 0;
+  const result = await resilience.callWithResilience('retry', async () => {
+    attempts++;
+    if (attempts < 3) throw httpError(502);
+    return 'ok';
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+  assert.equal(breaker('retry').state, 'closed');
+});
+
+test('does not retry a rejected request or hold it against the upstream', async () => {
+  let attempts = 0;
+  await assert.rejects(resilience.callWithResilience('rejected', async () => {
+    attempts++;
+    throw httpError(400);
+  }), /HTTP 400/);
+
+  assert.equal(attempts, 1);
+  assert.equal(breaker('rejected').consecutiveFailures, 0);
+});
+
+test('opens the breaker after repeated failures and closes it after a good trial call', async () => {
+  const failing = async () => {
+    throw httpError(500);
+  };
+  await assert.rejects(resilience.callWithResilience('breaker', failing, { retries: 0 }));
+  await assert.rejects(resilience.callWithResilience('breaker', failing, { retries: 0 }));
+  await assert.rejects(resilience.callWithResilience('breaker', failing, { retries: 0 }));
+  assert.equal(breaker('breaker').state, 'open');
+
+  let called = false;
+  await assert.rejects(resilience.callWithResilience('breaker', async () => {
+    called = true;
+  }), (error) => error.circuitOpen === true);
+  assert.equal(called, false);
+
+  await new Promise((resolve) => setTimeout(resolve, config.resilience.breakerResetMs + 10));
+  assert.equal(await resilience.callWithResilience('breaker', async () => 'ok'), 'ok');
+  assert.equal(breaker('breaker').state, 'closed');
+});
+
+test('stops retrying once cancelled', async () => {
+  const controller = new AbortController();
+  const reason = new Error('client left');
+  let attempts = 0;
+
+  await assert.rejects(resilience.callWithResilience('cancelled', async () => {
+    attempts++;
+    controller.abort(reason);
+    throw new Error('socket hang up');
+  }, { signal: controller.signal }), reason);
+
+  assert.equal(attempts, 1);
+  assert.equal(breaker('cancelled').consecutiveFailures, 0);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSegmenter, segment } = require('../services/sentenceSegmenter');
+
+test('splits at sentence ends but not after abbreviations or in decimals', () => {
+  assert.deepEqual(segment('Dr. Sharma will see you at 3.30 today. Please bring your reports! Thanks.'), [
+    'Dr. Sharma will see you at 3.30 today.',
+    'Please bring your reports!',
+    'Thanks.',
+  ]);
+});
+
+test('splits Devanagari text at the danda', () => {
+  assert.deepEqual(segment('नमस्ते! आपका ऑर्डर भेज दिया गया है। क्या मैं और मदद करूँ?'), [
+    'नमस्ते! आपका ऑर्डर भेज दिया गया है।',
+    'क्या मैं और मदद करूँ?',
+  ]);
+});
+
+test('keeps initials, dotted acronyms and numbered abbreviations together', () => {
+  assert.deepEqual(segment('A. P. J. Abdul Kalam was born in India. He studied in the U.S. for a while? No.'), [
+    'A. P. J. Abdul Kalam was born in India.',
+    'He studied in the U.S. for a while?',
+    'No.',
+  ]);
+  assert.deepEqual(segment('No. 5 is the right platform for this train.', { minChars: 0 }), ['No. 5 is the right platform for this train.']);
+});
+
+test('does not split after list numbers at the start of a line', () => {
+  assert.deepEqual(segment('Steps:\n1. Open the app\n2. Tap pay'), ['Steps:\n1. Open the app', '2. Tap pay']);
+});
+
+test('merges fragments shorter than the minimum', () => {
+  assert.deepEqual(segment('Ok. Sure. That works for me today.'), ['Ok. Sure. That works for me today.']);
+});
+
+test('splits over-long sentences at clause boundaries', () => {
+  const parts = segment('This is a very long sentence, with a clause, and another clause that keeps going and going without stopping', { maxChars: 40 });
+  assert.deepEqual(parts, ['This is a very long sentence,', 'with a clause,', 'and another clause that keeps going', 'and going without stopping']);
+  assert.ok(parts.every((part) => part.length <= 40));
+});
+
+test('waits for what follows a period before deciding, and never drops the tail', () => {
+  const segmenter = createSegmenter({ minChars: 0 });
+  assert.deepEqual(segmenter.push('Hello Dr'), []);
+  assert.deepEqual(segmenter.push('. Sharma is here. Bye'), ['Hello Dr. Sharma is here.']);
+  assert.deepEqual(segmenter.push('.'), []);
+  assert.deepEqual(segmenter.flush(), ['Bye.']);
+  assert.deepEqual(segmenter.flush(), []);
+});
+
+test('empty text has no sentences', () => {
+  assert.deepEqual(segment('   '), []);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const sessionStore = require('../services/sessionStore');
+
+const turn = (requestId, fields = {}) => ({
+  requestId,
+  transcript: 'What is my balance?',
+  reply: 'Your balance is 500 rupees.',
+  audio: [{ sentenceIndex: 1, sentence: 'Your balance is 500 rupees.', ttsBase64: Buffer.from('RIFF').toString('base64') }],
+  ...fields,
+});
+
+test('accepts only session IDs that are safe as file names', () => {
+  assert.equal(sessionStore.isValidSessionId(sessionStore.createSessionId()), true);
+  assert.equal(sessionStore.isValidSessionId('call_CA123-abc'), true);
+  assert.equal(sessionStore.isValidSessionId('../secrets'), false);
+  assert.equal(sessionStore.isValidSessionId(''), false);
+  assert.equal(sessionStore.isValidSessionId(42), false);
+});
+
+test('appends turns and stores their audio', async () => {
+  const id = sessionStore.createSessionId();
+  await sessionStore.addTurn(id, turn('req-1'));
+  const second = await sessionStore.addTurn(id, turn('req-2'));
+
+  assert.equal(second.turnIndex, 2);
+  const session = await sessionStore.getSession(id);
+  assert.equal(session.turns.length, 2);
+  assert.equal(session.owner, null);
+
+  const { audioId } = session.turns[0].audio[0];
+  assert.equal(audioId, 'req-1-1');
+  assert.deepEqual(await sessionStore.getAudio(id, audioId), Buffer.from('RIFF'));
+});
+
+test('hides a session from other API keys', async () => {
+  const id = sessionStore.createSessionId();
+  await sessionStore.addTurn(id, turn('req-1'), 'alpha');
+
+  assert.ok(await sessionStore.getSession(id, 'alpha'));
+  assert.equal(await sessionStore.getSession(id, 'beta'), null);
+  assert.equal(await sessionStore.canUseSession(id, 'beta'), false);
+  assert.equal(await sessionStore.getAudio(id, 'req-1-1', 'beta'), null);
+  await assert.rejects(sessionStore.addTurn(id, turn('req-2'), 'beta'), /Session not found/);
+  assert.equal(await sessionStore.deleteSession(id, 'beta'), false);
+
+  assert.equal(await sessionStore.deleteSession(id, 'alpha'), true);
+  assert.equal(await sessionStore.getSession(id, 'alpha'), null);
+});
+
+test('a new session ID is free to use', async () => {
+  assert.equal(await sessionStore.canUseSession(sessionStore.createSessionId(), 'alpha'), true);
+});
+
+test('masks personal data in stored turns', async () => {
+  const id = sessionStore.createSessionId();
+  const stored = await sessionStore.addTurn(id, turn('req-1', { transcript: 'Mail me at asha@example.com' }));
+  assert.doesNotMatch(stored.transcript, /asha@example\.com/);
+});
+
+test('evicts the least recently updated sessions once their audio exceeds the limit', async (t) => {
+  const { memoryMaxBytes } = config.sessions;
+  config.sessions.memoryMaxBytes = 10;
+  t.after(() => {
+    config.sessions.memoryMaxBytes = memoryMaxBytes;
+  });
+
+  const [first, second, third] = [1, 2, 3].map(() => sessionStore.createSessionId());
+  await sessionStore.addTurn(first, turn('req-1'));
+  await sessionStore.addTurn(second, turn('req-1'));
+  await sessionStore.addTurn(first, turn('req-2', { audio: [] }));
+  await sessionStore.addTurn(third, turn('req-1'));
+
+  assert.equal(await sessionStore.getSession(second), null);
+  assert.equal((await sessionStore.getSession(first)).turns.length, 2);
+  assert.deepEqual(await sessionStore.getAudio(third, 'req-1-1'), Buffer.from('RIFF'));
+});
+
+test('keeps every turn when turns of one file-backed session are added at once', async (t) => {
+  const { store, dir } = config.sessions;
+  config.sessions.store = 'file';
+  config.sessions.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  // The backend is chosen when the module loads
+  delete require.cache[require.resolve('../services/sessionStore')];
+  const fileStore = require('../services/sessionStore');
+  t.after(() => {
+    fs.rmSync(config.sessions.dir, { recursive: true, force: true });
+    Object.assign(config.sessions, { store, dir });
+  });
+
+  const id = fileStore.createSessionId();
+  const stored = await Promise.all(['req-1', 'req-2', 'req-3'].map((requestId) => fileStore.addTurn(id, turn(requestId))));
+
+  assert.deepEqual(stored.map((item) => item.turnIndex), [1, 2, 3]);
+  const session = await fileStore.getSession(id);
+  assert.deepEqual(session.turns.map((item) => item.requestId), ['req-1', 'req-2', 'req-3']);
+  assert.deepEqual(fs.readdirSync(config.sessions.dir).filter((name) => name.endsWith('.tmp')), []);
+});
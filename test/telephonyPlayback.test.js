@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { createPlayback } = require('../services/telephonyPlayback');
+
+/**
+ * Create a playback that records what it sends
+ * @param {Object} t - Test context
+ * @returns {{playback: Object, sent: Array<string|Buffer>}} - Frames, and marks as 'mark:<name>'
+ */
+function record(t) {
+  const sent = [];
+  const playback = createPlayback({
+    sendMedia: (frame) => sent.push(frame),
+    sendMark: (name) => sent.push(`mark:${name}`),
+  });
+  t.after(() => playback.stop());
+  return { playback, sent };
+}
+
+test('sends a few frames ahead, then the rest as they play', async (t) => {
+  const { playback, sent } = record(t);
+  playback.play(Buffer.alloc(1000, 1));
+
+  assert.equal(sent.length, 3);
+  assert.equal(playback.queuedMs(), 80);
+
+  for (let waited = 0; sent.length < 7 && waited < 2000; waited += 20) {
+    await sleep(20);
+  }
+  assert.equal(sent.length, 7);
+  assert.ok(sent.every((frame) => frame.length === 160));
+  // The last frame is padded with μ-law silence
+  assert.deepEqual([sent[6][39], sent[6][40]], [1, 0xff]);
+});
+
+test('sends a mark once the audio before it is sent', (t) => {
+  const { playback, sent } = record(t);
+  playback.play(Buffer.alloc(320));
+  playback.mark('reply-1');
+  playback.play(Buffer.alloc(320));
+  playback.mark('reply-2');
+
+  assert.deepEqual(sent.map((item) => (typeof item === 'string' ? item : 'frame')), ['frame', 'frame', 'mark:reply-1', 'frame']);
+});
+
+test('clear drops the audio and marks not sent yet', async (t) => {
+  const { playback, sent } = record(t);
+  playback.play(Buffer.alloc(1600));
+  playback.mark('reply-1');
+  playback.play(Buffer.alloc(160));
+  playback.mark('reply-2');
+
+  assert.equal(playback.clear(), 2);
+  assert.equal(playback.queuedMs(), 0);
+  await sleep(60);
+  assert.equal(sent.length, 3);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { Readable } = require('stream');
+const axios = require('axios');
+const WebSocket = require('ws');
+
+// Webhooks are loaded when the modules are first required
+process.env.WEBHOOK_URL = 'https://agent.example/hook';
+
+const config = require('../config');
+const sarvam = require('../services/providers/sarvam');
+const wavService = require('../services/wavService');
+const { attachSocketServers } = require('../routes/sockets');
+const { TELEPHONY_SOCKET_PATH, createTelephonySocketServer } = require('../routes/telephonySocket');
+
+config.ttsCache.enabled = false;
+
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer();
+  attachSocketServers(server, { [TELEPHONY_SOCKET_PATH]: createTelephonySocketServer() });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `ws://127.0.0.1:${server.address().port}${TELEPHONY_SOCKET_PATH}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Open a media stream and start a call
+ * @param {Object} start - start payload
+ * @returns {Promise<{socket: WebSocket, events: Array<Object>}>} - Events received so far (kept up to date)
+ */
+async function startCall(start) {
+  const socket = new WebSocket(url);
+  const events = [];
+  socket.on('message', (data) => events.push(JSON.parse(data.toString())));
+  await once(socket, 'open');
+
+  socket.send(JSON.stringify({ event: 'connected' }));
+  socket.send(JSON.stringify({ event: 'start', streamSid: 'MZ1', start: { callSid: 'CA1', ...start } }));
+  return { socket, events };
+}
+
+test('rejects calls in another audio format or with invalid parameters', async () => {
+  const wrongFormat = await startCall({ mediaFormat: { encoding: 'audio/x-l16', sampleRate: 16000 } });
+  const [code, reason] = await once(wrongFormat.socket, 'close');
+  assert.equal(code, 1008);
+  assert.equal(reason.toString(), 'Unsupported encoding audio/x-l16');
+
+  const badPace = await startCall({ customParameters: { pace: 'fast' } });
+  assert.equal((await once(badPace.socket, 'close'))[1].toString(), 'Invalid pace: must be a number');
+});
+
+test('ignores malformed frames and keeps the call up', async () => {
+  const { socket } = await startCall({ mediaFormat: 'mulaw', customParameters: ['pace'], callSid: 7 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  for (const frame of ['null', '[]', '5', '"media"', '{"event":{}}', '{"event":"mark","mark":{"name":1}}', '{"event":"media","media":{"payload":5}}', '{"event":"dtmf","dtmf":{"digit":[1]}}']) {
+    socket.send(frame);
+  }
+  socket.send(JSON.stringify({ event: 'stop', streamSid: 'MZ1' }));
+  const [code, reason] = await once(socket, 'close');
+  assert.equal(code, 1000);
+  assert.equal(reason.toString(), 'Call ended');
+});
+
+test('answers keypad input with paced audio and hangs up after an end directive', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({
+    headers: { 'content-type': 'application/x-ndjson' },
+    data: Readable.from([Buffer.from('{"output":"You pressed one."}\n{"type":"directive","directive":"end"}\n')]),
+  }));
+  // 100 ms of 8 kHz audio: five 20 ms frames
+  const wav = wavService.writeWav(new Int16Array(800), { sampleRate: 8000, channels: 1 });
+  t.mock.method(sarvam, 'synthesize', async () => wav.toString('base64'));
+
+  const { socket, events } = await startCall({ mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000 } });
+  // Digits before the call is set up are dropped, and the platform gets no reply to start
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  socket.send(JSON.stringify({ event: 'dtmf', streamSid: 'MZ1', dtmf: { digit: '1' } }));
+
+  for (let waited = 0; !events.some((e) => e.mark && e.mark.name.endsWith(':end')) && waited < 5000; waited += 20) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const kinds = events.map((e) => (e.event === 'mark' ? e.mark.name.split(':')[1] : e.event));
+  assert.deepEqual(kinds, ['media', 'media', 'media', 'media', 'media', '1', 'end']);
+  assert.ok(events.every((e) => e.streamSid === 'MZ1'));
+
+  const body = JSON.parse(post.mock.calls[0].arguments[1]);
+  assert.equal(body.message, '1');
+  assert.equal(body.channel, 'telephony');
+  assert.deepEqual(body.metadata, { callSid: 'CA1', streamSid: 'MZ1', input: 'dtmf' });
+
+  // The platform reports the end mark once the reply has played
+  socket.send(JSON.stringify({ event: 'mark', streamSid: 'MZ1', mark: events.at(-1).mark }));
+  const [code, reason] = await once(socket, 'close');
+  assert.equal(code, 1000);
+  assert.equal(reason.toString(), 'Conversation ended');
+});
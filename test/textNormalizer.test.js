@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { createSpeechNormalizer, normalizeForSpeech } = require('../services/textNormalizer');
+
+const en = (text) => normalizeForSpeech(text, { language: 'en-IN' });
+
+test('spells out currency, dates, times, percentages and years in English', () => {
+  assert.equal(
+    en('Your bill is ₹1,250.50 due by 05/03/2025.'),
+    'Your bill is one thousand two hundred fifty rupees and fifty paise due by fifth March two thousand twenty-five.'
+  );
+  assert.equal(en('Dr. Sharma sees 3 patients at 10:30.'), 'Doctor Sharma sees three patients at ten thirty.');
+  assert.equal(en('Growth was 12.5% in 2023.'), 'Growth was twelve point five percent in two thousand twenty-three.');
+});
+
+test('spells out numbers in Hindi', () => {
+  assert.equal(normalizeForSpeech('कुल ₹250 देने हैं।', { language: 'hi-IN' }), 'कुल दो सौ पचास रुपये देने हैं।');
+});
+
+test('strips markup, emoji and links down to what is worth saying', () => {
+  assert.equal(en('**Call** us at https://www.example.com/help?x=1 now 😀'), 'Call us at example dot com now');
+  assert.equal(en('`code` and [link](https://a.b/c)'), 'code and link');
+});
+
+test('leaves figures to the TTS engine for languages without word lists', () => {
+  assert.equal(normalizeForSpeech('Dr. Sharma 25 km', { language: 'ta-IN' }), 'Dr. Sharma 25 km');
+});
+
+test('drops fenced code blocks spanning several sentences', () => {
+  const normalizer = createSpeechNormalizer({ language: 'en-IN' });
+  assert.equal(normalizer.normalize('Run this:\n```'), 'Run this');
+  assert.equal(normalizer.normalize('npm install'), '');
+  assert.equal(normalizer.normalize('```\nThen restart.'), 'Then restart.');
+});
+
+test('can be turned off', (t) => {
+  t.after(() => { config.textNormalization.enabled = true; });
+  config.textNormalization.enabled = false;
+  assert.equal(en('**₹5**'), '**₹5**');
+});
+
+test('reads version strings part by part', () => {
+  assert.equal(en('Update to version 2.0.1 today.'), 'Update to version two point zero point one today.');
+  assert.equal(en('Release 10.4.12.'), 'Release ten point four point twelve.');
+});
+
+test('reads long ungrouped digit runs digit by digit, but not grouped amounts', () => {
+  assert.equal(en('Your OTP is 482913.'), 'Your OTP is four eight two nine one three.');
+  assert.equal(en('Account 0012345 and 1,25,000 points.'), 'Account zero zero one two three four five and one lakh twenty-five thousand points.');
+  assert.equal(en('Pay ₹25000 now.'), 'Pay twenty-five thousand rupees now.');
+  assert.equal(en('It costs 1234.'), 'It costs one thousand two hundred thirty-four.');
+});
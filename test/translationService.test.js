@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const sarvam = require('../services/providers/sarvam');
+const cancellation = require('../services/cancellation');
+const translationService = require('../services/translationService');
+
+test('compares base languages only', () => {
+  assert.equal(translationService.isSameLanguage('en-IN', 'en-US'), true);
+  assert.equal(translationService.isSameLanguage('HI-in', 'hi'), true);
+  assert.equal(translationService.isSameLanguage('hi-IN', 'en-IN'), false);
+  assert.equal(translationService.isSameLanguage(null, 'en-IN'), false);
+});
+
+test('reads translation options, defaulting to the configuration', () => {
+  assert.deepEqual(translationService.parseTranslationOptions({}).options, {
+    enabled: config.translation.enabled,
+    agentLanguage: config.translation.agentLanguage,
+    provider: undefined,
+  });
+  assert.deepEqual(translationService.parseTranslationOptions({ translate: 'true', agentLanguage: 'hi-IN', translateProvider: 'sarvam' }), {
+    options: { enabled: true, agentLanguage: 'hi-IN', provider: 'sarvam' },
+    error: null,
+  });
+  assert.equal(translationService.parseTranslationOptions({ translate: false }).options.enabled, false);
+  assert.equal(translationService.parseTranslationOptions({ translate: 'yes' }).error, 'Invalid translate: must be true or false');
+  assert.equal(translationService.parseTranslationOptions({ agentLanguage: 5 }).error, 'Invalid agentLanguage: must be a language code');
+  assert.match(translationService.parseTranslationOptions({ translateProvider: 'nope' }).error, /^Invalid translateProvider/);
+});
+
+test('translates through the provider', async (t) => {
+  const translate = t.mock.method(sarvam, 'translate', async () => 'Where is my order?');
+
+  assert.equal(await translationService.translateText('मेरा ऑर्डर कहाँ है?', { source: 'hi-IN', target: 'en-IN' }), 'Where is my order?');
+  const [text, options] = translate.mock.calls[0].arguments;
+  assert.equal(text, 'मेरा ऑर्डर कहाँ है?');
+  assert.equal(options.source_language_code, 'hi-IN');
+  assert.equal(options.target_language_code, 'en-IN');
+});
+
+test('reports an empty translation as a failure, and a cancellation as such', async (t) => {
+  t.mock.method(sarvam, 'translate', async () => '');
+  await assert.rejects(translationService.translateText('hello', { target: 'hi-IN' }), /^Error: Translation failed: No translation returned/);
+
+  const controller = new AbortController();
+  const reason = cancellation.createCancelledError('Client disconnected');
+  controller.abort(reason);
+  await assert.rejects(translationService.translateText('hello', { target: 'hi-IN', signal: controller.signal }), reason);
+});
@@ -0,0 +1,88 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const ttsCache = require('../services/ttsCache');
+
+const defaults = { ...config.ttsCache };
+const dirs = [];
+
+beforeEach(async () => {
+  Object.assign(config.ttsCache, defaults, { enabled: true, dir: undefined });
+  await ttsCache.purge();
+});
+
+after(async () => {
+  for (const dir of dirs) {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-cache-'));
+  dirs.push(dir);
+  return dir;
+}
+
+test('keys on normalized text, provider and every voice parameter', () => {
+  const key = ttsCache.buildKey('Hello  there ', 'sarvam', { speaker: 'anushka', pace: 1 });
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(ttsCache.buildKey('Hello there', 'sarvam', { pace: 1, speaker: 'anushka', pitch: undefined }), key);
+  assert.notEqual(ttsCache.buildKey('Hello there', 'sarvam', { speaker: 'arvind', pace: 1 }), key);
+  assert.notEqual(ttsCache.buildKey('Hello there', 'openai', { speaker: 'anushka', pace: 1 }), key);
+});
+
+test('evicts the least recently used entry', async () => {
+  config.ttsCache.maxEntries = 2;
+  await ttsCache.set('a', 'QQ==');
+  await ttsCache.set('b', 'Qg==');
+  assert.equal(await ttsCache.get('a'), 'QQ==');
+  await ttsCache.set('c', 'Qw==');
+
+  assert.equal(await ttsCache.get('b'), null);
+  assert.equal(await ttsCache.get('a'), 'QQ==');
+  assert.equal(await ttsCache.get('c'), 'Qw==');
+});
+
+test('expires entries after the TTL', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  await ttsCache.set('a', 'QQ==');
+  now += config.ttsCache.ttlMs + 1;
+  assert.equal(await ttsCache.get('a'), null);
+});
+
+test('does nothing when disabled', async () => {
+  config.ttsCache.enabled = false;
+  await ttsCache.set('a', 'QQ==');
+  assert.equal(await ttsCache.get('a'), null);
+});
+
+test('keeps entries on disk without their text', async () => {
+  config.ttsCache.dir = await tempDir();
+  const key = ttsCache.buildKey('Your OTP is 4321', 'sarvam');
+  await ttsCache.set(key, 'QQ==', { provider: 'sarvam' });
+
+  const stored = JSON.parse(await fs.readFile(path.join(config.ttsCache.dir, `${key}.json`), 'utf8'));
+  assert.deepEqual(Object.keys(stored).sort(), ['audio', 'createdAt', 'provider']);
+
+  // A restart empties memory; the disk tier still has the entry
+  const dir = config.ttsCache.dir;
+  config.ttsCache.dir = undefined;
+  await ttsCache.purge();
+  config.ttsCache.dir = dir;
+  assert.equal(await ttsCache.get(key), 'QQ==');
+  assert.equal(ttsCache.getStats().diskHits, 1);
+});
+
+test('purging removes only entry files from the cache directory', async () => {
+  config.ttsCache.dir = await tempDir();
+  await fs.writeFile(path.join(config.ttsCache.dir, 'README.txt'), 'not a cache entry');
+  await ttsCache.set(ttsCache.buildKey('one', 'sarvam'), 'QQ==');
+  await ttsCache.set(ttsCache.buildKey('two', 'sarvam'), 'Qg==');
+
+  assert.equal(await ttsCache.purge(), 2);
+  assert.deepEqual(await fs.readdir(config.ttsCache.dir), ['README.txt']);
+});
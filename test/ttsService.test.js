@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const sarvam = require('../services/providers/sarvam');
+const ttsService = require('../services/ttsService');
+
+config.ttsCache.enabled = false;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('synthesizes in parallel up to the concurrency limit', async (t) => {
+  let running = 0;
+  let peak = 0;
+  t.mock.method(sarvam, 'synthesize', async (text) => {
+    running++;
+    peak = Math.max(peak, running);
+    await delay(5);
+    running--;
+    return text;
+  });
+
+  const queue = ttsService.createSynthesisQueue({}, { concurrency: 2 });
+  ['one', 'two', 'three', 'four', 'five'].forEach((text) => queue.push(text));
+  await queue.drain();
+
+  assert.equal(peak, 2);
+});
+
+test('delivers results and errors in queue order', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text) => {
+    await delay(text === 'slow' ? 20 : 1);
+    if (text === 'broken') throw Object.assign(new Error('bad input'), { response: { status: 400 } });
+    return text;
+  });
+
+  const delivered = [];
+  const queue = ttsService.createSynthesisQueue({}, {
+    concurrency: 3,
+    onResult: ({ index, ttsBase64 }) => delivered.push([index, ttsBase64]),
+    onError: (error, { index }) => delivered.push([index, error.message]),
+  });
+  assert.equal(queue.push('slow'), 1);
+  assert.equal(queue.push('broken'), 2);
+  assert.equal(queue.push('fast'), 3);
+  await queue.drain();
+
+  assert.deepEqual(delivered, [[1, 'slow'], [2, 'TTS conversion failed: bad input'], [3, 'fast']]);
+});
+
+test('converts several texts, in input order', async (t) => {
+  t.mock.method(sarvam, 'synthesize', async (text) => {
+    await delay(text.length);
+    return text.toUpperCase();
+  });
+
+  assert.deepEqual(await ttsService.convertMultipleTextsToSpeech(['a long sentence', 'short', 'mid size']), [
+    'A LONG SENTENCE',
+    'SHORT',
+    'MID SIZE',
+  ]);
+});
+
+test('a cancelled queue starts nothing further and drain rejects', async (t) => {
+  let started;
+  const firstStarted = new Promise((resolve) => { started = resolve; });
+  const synthesize = t.mock.method(sarvam, 'synthesize', async (text, { signal }) => {
+    started();
+    await delay(5);
+    if (signal.aborted) throw signal.reason;
+    return text;
+  });
+
+  const controller = new AbortController();
+  const queue = ttsService.createSynthesisQueue({}, { concurrency: 1, signal: controller.signal });
+  queue.push('first');
+  queue.push('second');
+  await firstStarted;
+  const reason = new Error('cancelled');
+  controller.abort(reason);
+
+  await assert.rejects(queue.drain(), reason);
+  await delay(10);
+  assert.equal(synthesize.mock.callCount(), 1);
+});
+
+test('parses voice controls, numbers given as strings included', () => {
+  assert.deepEqual(ttsService.parseVoiceOptions({ speaker: 'arvind', language: 'ta-IN', pace: '1.25', pitch: '-0.2', loudness: 1, sampleRate: '8000' }), {
+    options: { speaker: 'arvind', target_language_code: 'ta-IN', pace: 1.25, pitch: -0.2, loudness: 1, speech_sample_rate: 8000 },
+    error: null,
+  });
+  assert.deepEqual(ttsService.parseVoiceOptions({ pace: '' }), { options: {}, error: null });
+});
+
+test('rejects invalid voice controls', () => {
+  assert.equal(ttsService.parseVoiceOptions({ pace: 'fast' }).error, 'Invalid pace: must be a number');
+  assert.equal(ttsService.parseVoiceOptions({ sampleRate: '22.05' }).error, 'Invalid sampleRate: must be a positive integer');
+  assert.equal(ttsService.parseVoiceOptions({ sampleRate: -8000 }).error, 'Invalid sampleRate: must be a positive integer');
+  assert.match(ttsService.parseVoiceOptions({ ttsProvider: 'nope' }).error, /^Invalid ttsProvider/);
+});
+
+test('"auto" speaks in the language the caller spoke', () => {
+  assert.equal(ttsService.resolveTargetLanguage('auto', 'ta-IN'), 'ta-IN');
+  assert.equal(ttsService.resolveTargetLanguage('auto', null), config.savaram.stt.language_code);
+  assert.equal(ttsService.resolveTargetLanguage('bn-IN', 'ta-IN'), 'bn-IN');
+  assert.equal(ttsService.resolveTargetLanguage(undefined, 'ta-IN'), config.savaram.tts.language_code);
+});
+
+test('passes voice controls to the provider', async (t) => {
+  const synthesize = t.mock.method(sarvam, 'synthesize', async () => 'UklGRg==');
+  await ttsService.convertTextToSpeech('Namaste', { speaker: 'arvind', target_language_code: 'auto', pace: 0.8 });
+
+  const [text, options] = synthesize.mock.calls[0].arguments;
+  assert.equal(text, 'Namaste');
+  assert.equal(options.speaker, 'arvind');
+  assert.equal(options.pace, 0.8);
+  assert.equal(options.target_language_code, config.savaram.stt.language_code);
+});
+
+test('different voices of the same text are cached apart', () => {
+  const key = ttsService.getCacheKey('Namaste', { speaker: 'arvind' });
+  assert.notEqual(ttsService.getCacheKey('Namaste', { speaker: 'anushka' }), key);
+  assert.notEqual(ttsService.getCacheKey('Namaste', { speaker: 'arvind', pace: 1.2 }), key);
+  assert.equal(ttsService.getCacheKey('Namaste', { speaker: 'arvind', signal: new AbortController().signal }), key);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRms, createVoiceActivityDetector } = require('../services/vadService');
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * 20 ms PCM16LE frame of a constant level
+ * @param {number} level - Sample value
+ * @returns {Buffer}
+ */
+function frame(level) {
+  const samples = Buffer.alloc((SAMPLE_RATE / 1000) * 20 * 2);
+  for (let i = 0; i < samples.length; i += 2) {
+    samples.writeInt16LE(i % 4 === 0 ? level : -level, i);
+  }
+  return samples;
+}
+
+const OPTIONS = { sampleRate: SAMPLE_RATE, energyThreshold: 500, silenceMs: 100, minSpeechMs: 60, maxUtteranceMs: 1000 };
+
+test('computes the RMS level of a frame', () => {
+  assert.equal(computeRms(frame(1000)), 1000);
+  assert.equal(computeRms(Buffer.alloc(0)), 0);
+});
+
+test('ends an utterance after enough trailing silence', () => {
+  const detector = createVoiceActivityDetector(OPTIONS);
+  assert.equal(detector.push(frame(0)), null);
+  assert.equal(detector.isSpeaking(), false);
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(detector.push(frame(2000)), null);
+  }
+  assert.equal(detector.isSpeaking(), true);
+
+  let utterance = null;
+  for (let i = 0; i < 5 && !utterance; i++) {
+    utterance = detector.push(frame(0));
+  }
+  // Leading silence is dropped; 5 speech frames and 5 silent ones are kept
+  assert.deepEqual({ sampleRate: utterance.sampleRate, durationMs: utterance.durationMs }, { sampleRate: SAMPLE_RATE, durationMs: 200 });
+  assert.equal(utterance.audio.length, frame(0).length * 10);
+  assert.equal(detector.isSpeaking(), false);
+});
+
+test('discards noise bursts shorter than the minimum speech', () => {
+  const detector = createVoiceActivityDetector(OPTIONS);
+  detector.push(frame(2000));
+  let utterance = null;
+  for (let i = 0; i < 5; i++) {
+    utterance = utterance || detector.push(frame(0));
+  }
+  assert.equal(utterance, null);
+  assert.equal(detector.isSpeaking(), false);
+});
+
+test('cuts off an utterance at its maximum length', () => {
+  const detector = createVoiceActivityDetector({ ...OPTIONS, maxUtteranceMs: 200 });
+  const results = [];
+  for (let i = 0; i < 10; i++) {
+    results.push(detector.push(frame(2000)));
+  }
+  assert.equal(results.slice(0, 9).every((result) => result === null), true);
+  assert.equal(results[9].durationMs, 200);
+});
+
+test('flush returns the buffered speech', () => {
+  const detector = createVoiceActivityDetector(OPTIONS);
+  for (let i = 0; i < 4; i++) {
+    detector.push(frame(2000));
+  }
+  assert.equal(detector.flush().durationMs, 80);
+  assert.equal(detector.flush(), null);
+});
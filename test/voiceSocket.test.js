@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { attachSocketServers, MAX_PAYLOAD_BYTES } = require('../routes/sockets');
+const { VOICE_SOCKET_PATH, createVoiceSocketServer } = require('../routes/voiceSocket');
+
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer();
+  attachSocketServers(server, { [VOICE_SOCKET_PATH]: createVoiceSocketServer() });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `ws://127.0.0.1:${server.address().port}${VOICE_SOCKET_PATH}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Open a voice session and collect the messages it receives
+ * @returns {Promise<{socket: WebSocket, next: function(): Promise<Object>}>}
+ */
+async function connect() {
+  const socket = new WebSocket(url);
+  const messages = [];
+  let waiting = null;
+  socket.on('message', (data) => {
+    messages.push(JSON.parse(data.toString()));
+    if (waiting) waiting();
+  });
+  await once(socket, 'open');
+
+  const next = async () => {
+    while (messages.length === 0) {
+      await new Promise((resolve) => { waiting = resolve; });
+    }
+    return messages.shift();
+  };
+  return { socket, next };
+}
+
+test('greets the client with its session', async () => {
+  const { socket, next } = await connect();
+  const ready = await next();
+  assert.equal(ready.type, 'ready');
+  assert.equal(ready.sampleRate, 16000);
+  assert.ok(ready.sessionId);
+  socket.close();
+});
+
+test('applies a start message and keeps the session', async () => {
+  const { socket, next } = await connect();
+  const { sessionId } = await next();
+
+  socket.send(JSON.stringify({ type: 'start', sampleRate: 8000, speaker: 'arvind' }));
+  assert.deepEqual(await next(), { type: 'ready', sessionId, sampleRate: 8000 });
+  socket.close();
+});
+
+test('rejects start messages with out-of-range rates or unknown providers', async () => {
+  const { socket, next } = await connect();
+  await next();
+
+  for (const sampleRate of [0, 4000, 96000, 'fast']) {
+    socket.send(JSON.stringify({ type: 'start', sampleRate }));
+    const reply = await next();
+    assert.equal(reply.type, 'error');
+    assert.match(reply.error, /^Invalid sampleRate/);
+  }
+
+  socket.send(JSON.stringify({ type: 'start', sttProvider: 'nope' }));
+  assert.match((await next()).error, /^Invalid sttProvider/);
+  socket.close();
+});
+
+test('answers messages that are not JSON objects with an error', async () => {
+  const { socket, next } = await connect();
+  const { sessionId } = await next();
+
+  for (const frame of ['null', '[]', '5', '"start"']) {
+    socket.send(frame);
+    assert.deepEqual(await next(), { type: 'error', error: 'Message must be a JSON object' });
+  }
+
+  socket.send(JSON.stringify({ type: 'start' }));
+  assert.deepEqual(await next(), { type: 'ready', sessionId, sampleRate: 16000 });
+  socket.close();
+});
+
+test('closes the connection on an oversized message', async () => {
+  const { socket, next } = await connect();
+  await next();
+
+  socket.send(Buffer.alloc(MAX_PAYLOAD_BYTES + 1));
+  const [code] = await once(socket, 'close');
+  assert.equal(code, 1009);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const wavService = require('../services/wavService');
+
+/**
+ * Build a WAV file by hand, with optional extra chunks before the data
+ * @param {Object} format - { audioFormat, channels, sampleRate, bitsPerSample }
+ * @param {Buffer} data - Sample data
+ * @param {Array<Buffer>} [extraChunks] - Complete chunks (id, size, body)
+ * @returns {Buffer}
+ */
+function buildWav({ audioFormat = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16 }, data, extraChunks = []) {
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0);
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(audioFormat, 8);
+  fmt.writeUInt16LE(channels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE((sampleRate * channels * bitsPerSample) / 8, 16);
+  fmt.writeUInt16LE((channels * bitsPerSample) / 8, 20);
+  fmt.writeUInt16LE(bitsPerSample, 22);
+
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0);
+  dataHeader.writeUInt32LE(data.length, 4);
+
+  const body = Buffer.concat([Buffer.from('WAVE'), fmt, ...extraChunks, dataHeader, data]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0);
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+const int16 = (...values) => {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeInt16LE(value, i * 2));
+  return buffer;
+};
+
+test('writes a WAV file that parses back to the same samples', () => {
+  const wav = wavService.writeWav(new Int16Array([0, 1000, -1000, 32767]), { sampleRate: 22050, channels: 2 });
+  assert.equal(wavService.isWav(wav), true);
+  assert.equal(wav.length, 44 + 8);
+
+  const { format, data } = wavService.parseWav(wav);
+  assert.deepEqual(format, { audioFormat: 1, channels: 2, sampleRate: 22050, byteRate: 88200, blockAlign: 4, bitsPerSample: 16 });
+  assert.deepEqual(Array.from(wavService.decodeWav(wav).samples), [0, 1000, -1000, 32767]);
+  assert.deepEqual(data, int16(0, 1000, -1000, 32767));
+});
+
+test('skips unknown chunks, including odd-sized ones', () => {
+  const list = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc'), Buffer.alloc(1)]);
+  const wav = buildWav({}, int16(5, -5), [list]);
+  assert.deepEqual(Array.from(wavService.decodeWav(wav).samples), [5, -5]);
+});
+
+test('reads a streamed file whose data size was never filled in', () => {
+  const wav = buildWav({}, int16(1, 2, 3));
+  wav.writeUInt32LE(0, 40);
+  assert.deepEqual(Array.from(wavService.decodeWav(wav).samples), [1, 2, 3]);
+});
+
+test('converts 8-bit, 24-bit and float samples to 16-bit', () => {
+  assert.deepEqual(Array.from(wavService.decodeWav(buildWav({ bitsPerSample: 8 }, Buffer.from([128, 255, 0]))).samples), [0, 32512, -32768]);
+
+  const pcm24 = Buffer.alloc(6);
+  pcm24.writeIntLE(0x123456, 0, 3);
+  pcm24.writeIntLE(-0x100000, 3, 3);
+  assert.deepEqual(Array.from(wavService.decodeWav(buildWav({ bitsPerSample: 24 }, pcm24)).samples), [0x1234, -0x1000]);
+
+  const float = Buffer.alloc(12);
+  [0.5, -1, 2].forEach((value, i) => float.writeFloatLE(value, i * 4));
+  assert.deepEqual(Array.from(wavService.decodeWav(buildWav({ audioFormat: 3, bitsPerSample: 32 }, float)).samples), [16384, -32767, 32767]);
+});
+
+test('rejects files that are not WAV or lack their chunks', () => {
+  assert.throws(() => wavService.parseWav(Buffer.from('ID3 not a wav file')), /Not a RIFF\/WAVE file/);
+  assert.throws(() => wavService.parseWav(buildWav({}, Buffer.alloc(0)).subarray(0, 12)), /no fmt chunk/);
+  assert.throws(() => wavService.decodeWav(buildWav({ audioFormat: 2 }, Buffer.alloc(4))), /Unsupported WAV format/);
+});
+
+test('tells which encodings it can decode', () => {
+  assert.equal(wavService.isDecodable({ audioFormat: 1, bitsPerSample: 24 }), true);
+  assert.equal(wavService.isDecodable({ audioFormat: 3, bitsPerSample: 32 }), true);
+  assert.equal(wavService.isDecodable({ audioFormat: 3, bitsPerSample: 64 }), false);
+  // μ-law and IMA ADPCM
+  assert.equal(wavService.isDecodable({ audioFormat: 7, bitsPerSample: 8 }), false);
+  assert.equal(wavService.isDecodable({ audioFormat: 0x11, bitsPerSample: 4 }), false);
+});
+
+test('downmixes stereo and resamples', () => {
+  assert.deepEqual(Array.from(wavService.convertChannels(new Int16Array([100, 300, -100, -300]), 2, 1)), [200, -200]);
+  assert.deepEqual(Array.from(wavService.convertChannels(new Int16Array([7, 9]), 1, 2)), [7, 7, 9, 9]);
+  assert.equal(wavService.resample(new Int16Array(1600), 1, 16000, 8000).length, 800);
+  assert.equal(wavService.resample(new Int16Array(800), 1, 8000, 24000).length, 2400);
+});
+
+test('combines parts of different formats, with silence between them', () => {
+  const first = wavService.writeWav(new Int16Array(240), { sampleRate: 24000, channels: 1 });
+  const second = wavService.writeWav(new Int16Array(320), { sampleRate: 16000, channels: 2 });
+
+  const { wav, format, durationMs } = wavService.concatWavs([first, second], { silenceMs: 10 });
+  assert.deepEqual(format, { sampleRate: 24000, channels: 1 });
+  // 10 ms + 10 ms silence + 10 ms
+  assert.equal(durationMs, 30);
+  assert.equal(wavService.decodeWav(wav).samples.length, 720);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseParser, extractText, extractDirective, getPath } = require('../services/webhookFormats');
+
+/**
+ * Feed chunks through a parser
+ * @param {string} format - Parser format
+ * @param {string} contentType - Response Content-Type
+ * @param {Array<string|Buffer>} chunks - Body chunks
+ * @returns {{format: string, responses: Array}}
+ */
+function parse(format, contentType, chunks) {
+  const parser = createResponseParser(format, contentType);
+  const responses = [];
+  for (const chunk of chunks) {
+    responses.push(...parser.push(Buffer.from(chunk)));
+  }
+  responses.push(...parser.end());
+  return { format: parser.getFormat(), responses };
+}
+
+test('parses SSE events split across chunks and stops at [DONE]', () => {
+  assert.deepEqual(parse('auto', 'text/event-stream', ['data: {"text":"Hel', 'lo"}\n\n: ping\nevent: x\ndata: [DONE]\n\n']), {
+    format: 'sse',
+    responses: [{ text: 'Hello' }],
+  });
+  assert.deepEqual(parse('auto', '', ['data: one\ndata: two\n\n']).responses, [{ text: 'one\ntwo' }]);
+});
+
+test('parses OpenAI chunks with CRLF line endings', () => {
+  const { responses } = parse('openai', '', ['data: {"choices":[{"delta":{"content":"Hi"}}]}\r\n\r\ndata: [DONE]\r\n\r\n']);
+  assert.deepEqual(responses, [{ choices: [{ delta: { content: 'Hi' } }] }]);
+  assert.equal(extractText(responses[0]), 'Hi');
+});
+
+test('tells NDJSON from a single JSON body sent as application/json', () => {
+  assert.deepEqual(parse('auto', 'application/json', ['{"output":"a"}\n{"out', 'put":"b"}\nnot json\n']), {
+    format: 'ndjson',
+    responses: [{ output: 'a' }, { output: 'b' }, { text: 'not json' }],
+  });
+  assert.deepEqual(parse('auto', 'application/json', ['{"reply":\n "whole"}']), { format: 'json', responses: [{ reply: 'whole' }] });
+});
+
+test('passes plain text through as it arrives', () => {
+  assert.deepEqual(parse('auto', '', ['just text ', 'more']), { format: 'text', responses: ['just text ', 'more'] });
+  assert.deepEqual(parse('auto', '', ['']).responses, []);
+});
+
+test('keeps multi-byte characters split across chunks intact', () => {
+  const body = Buffer.from('{"text":"नमस्ते"}\n');
+  assert.deepEqual(parse('ndjson', '', [body.subarray(0, 10), body.subarray(10)]).responses, [{ text: 'नमस्ते' }]);
+});
+
+test('extracts text from the known response shapes', () => {
+  assert.equal(extractText([{ output: 'a' }, { output: 'b' }]), 'a b');
+  assert.equal(extractText({ type: 'content_block_delta', delta: { text: 'c' } }), 'c');
+  assert.equal(extractText({ message: { content: 'm' } }), 'm');
+  assert.equal(extractText({ type: 'begin' }), null);
+});
+
+test('extracts text by path when one is configured', () => {
+  assert.equal(extractText({ data: { 'reply text': 'y' } }, "$.data['reply text']"), 'y');
+  assert.equal(extractText({ items: [{ text: 'a' }, { text: 'b' }] }, 'items[*].text'), 'ab');
+  assert.equal(extractText({ a: 1 }, 'a'), null);
+  assert.equal(getPath({ a: [{ b: 1 }, { b: 2 }] }, 'a[1].b'), 2);
+});
+
+test('recognizes control directives', () => {
+  assert.deepEqual(extractDirective({ type: 'directive', directive: 'voice', speaker: 'abhilash' }), { directive: 'voice', speaker: 'abhilash' });
+  assert.deepEqual(extractDirective({ type: 'directive', directive: 'play', clip: 'hold' }), { directive: 'play', clip: 'hold' });
+  assert.equal(extractDirective({ type: 'directive' }), null);
+  assert.equal(extractDirective({ type: 'item', content: 'Hello' }), null);
+  assert.equal(extractDirective([{ type: 'directive', directive: 'end' }]), null);
+  assert.equal(extractText({ type: 'directive', directive: 'end', text: 'bye' }), null);
+});
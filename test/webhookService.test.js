@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+// Webhooks are loaded when the module is first required
+const webhooksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-')), 'webhooks.json');
+fs.writeFileSync(webhooksFile, JSON.stringify({
+  hindi: {
+    url: '${HINDI_AGENT_URL}',
+    format: 'ndjson',
+    languages: ['hi'],
+    headers: { 'X-Agent-Key': '${HINDI_AGENT_KEY}', 'X-Session': '{{sessionId}}' },
+    payload: { text: '{{message}}', caller: '{{metadata.callerId}}', tag: 'call-{{sessionId}}', context: '{{metadata}}' },
+  },
+}));
+process.env.WEBHOOK_URL = 'https://agent.example/hook';
+process.env.WEBHOOK_BEARER_TOKEN = 'agent-token';
+process.env.WEBHOOK_SIGNING_SECRET = 'agent-secret';
+process.env.WEBHOOKS_FILE = webhooksFile;
+process.env.HINDI_AGENT_URL = 'https://hindi.example/hook';
+process.env.HINDI_AGENT_KEY = 'hindi-key';
+
+const cancellation = require('../services/cancellation');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Mock axios.post with a streamed response
+ * @param {Object} t - Test context
+ * @param {Array<string>} chunks - Response body chunks
+ * @param {string} [contentType] - Response Content-Type
+ * @returns {Object} - The mocked method, for its calls
+ */
+function mockResponse(t, chunks, contentType = 'application/json') {
+  return t.mock.method(axios, 'post', async () => ({
+    headers: { 'content-type': contentType },
+    data: Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+  }));
+}
+
+test('selects a webhook by name, then by language, then the default', () => {
+  assert.equal(webhookService.selectWebhook('hindi').url, 'https://hindi.example/hook');
+  assert.equal(webhookService.selectWebhook(undefined, 'hi-IN').name, 'hindi');
+  assert.equal(webhookService.selectWebhook(undefined, 'ta-IN').name, 'default');
+  assert.throws(() => webhookService.selectWebhook('nope'), /Unknown webhook "nope"\. Available: default, hindi/);
+});
+
+test('validates the client-supplied webhook parameters', () => {
+  assert.deepEqual(webhookService.parseRequestOptions({ metadata: '{"callerId":"42"}' }, 'web'), {
+    options: { webhook: undefined, channel: 'web', metadata: { callerId: '42' } },
+    error: null,
+  });
+  assert.equal(webhookService.parseRequestOptions({ channel: 'whatsapp' }, 'web').options.channel, 'whatsapp');
+  assert.match(webhookService.parseRequestOptions({ webhook: 'nope' }, 'web').error, /^Unknown webhook/);
+  assert.match(webhookService.parseRequestOptions({ channel: 'bad channel' }, 'web').error, /^channel must be/);
+  assert.equal(webhookService.parseRequestOptions({ metadata: '[1]' }, 'web').error, 'metadata must be a JSON object');
+  assert.equal(webhookService.parseRequestOptions({ metadata: '{oops' }, 'web').error, 'metadata must be a JSON object');
+  assert.match(webhookService.parseRequestOptions({ metadata: { blob: 'x'.repeat(5000) } }, 'web').error, /^metadata must be at most/);
+});
+
+test('posts the default payload with bearer token and a verifiable signature', async (t) => {
+  const post = mockResponse(t, ['{"output":"Hello"}\n', '{"type":"directive","directive":"end"}\n']);
+  const seen = [];
+
+  const responses = await webhookService.callWebhookStream('hi there', { sessionId: 's1', channel: 'web' }, (response, content, directive) => {
+    seen.push([content, directive]);
+  });
+
+  assert.equal(responses.length, 2);
+  assert.deepEqual(seen, [['Hello', null], [null, { directive: 'end' }]]);
+
+  const [url, body, { headers }] = post.mock.calls[0].arguments;
+  assert.equal(url, 'https://agent.example/hook');
+  assert.deepEqual(JSON.parse(body), { message: 'hi there', sessionId: 's1', channel: 'web' });
+  assert.equal(headers.Authorization, 'Bearer agent-token');
+  const expected = crypto.createHmac('sha256', 'agent-secret').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+});
+
+test('fills the payload and header templates of a routed webhook', async (t) => {
+  const post = mockResponse(t, ['{"text":"नमस्ते"}\n']);
+
+  await webhookService.callWebhookStream('नमस्ते', { sessionId: 's2', language: 'hi-IN', metadata: { callerId: 7 } });
+
+  const [url, body, { headers }] = post.mock.calls[0].arguments;
+  assert.equal(url, 'https://hindi.example/hook');
+  assert.deepEqual(JSON.parse(body), { text: 'नमस्ते', caller: 7, tag: 'call-s2', context: { callerId: 7 } });
+  assert.equal(headers['X-Agent-Key'], 'hindi-key');
+  assert.equal(headers['X-Session'], 's2');
+  assert.equal(headers.Authorization, undefined);
+});
+
+test('reports a failed call as a webhook error', async (t) => {
+  t.mock.method(axios, 'post', async () => {
+    throw new Error('socket hang up');
+  });
+  await assert.rejects(webhookService.callWebhookStream('hi', { sessionId: 's3', webhook: 'hindi' }), /^Error: Webhook call failed/);
+});
+
+test('stops reading the response once cancelled', async (t) => {
+  const stream = new Readable({ read() {} });
+  t.mock.method(axios, 'post', async () => ({ headers: { 'content-type': 'application/x-ndjson' }, data: stream }));
+
+  const controller = new AbortController();
+  const reason = cancellation.createCancelledError('Client disconnected');
+  const seen = [];
+  const call = webhookService.callWebhookStream('hi', { sessionId: 's4', signal: controller.signal }, (response, content) => {
+    seen.push(content);
+    controller.abort(reason);
+    stream.push('{"output":"Too late"}\n');
+  });
+  stream.push('{"output":"First"}\n');
+
+  await assert.rejects(call, reason);
+  assert.deepEqual(seen, ['First']);
+  assert.equal(stream.destroyed, true);
+});